@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+/**
+ * @module llms-manager/cli
+ * @license MIT
+ *
+ * @description
+ * Command-line interface for LLMSManager:
+ * - generate: build llms.txt from a sitemap, feeds and other llms.txt files
+ * - parse: print an llms.txt as JSON or summary
+ * - validate: report (and optionally fix) problems in an llms.txt
+ * - diff: compare two llms.txt documents
+ * - build: generate the outputs declared in a config file
+ *
+ * Exit codes: 0 success, 1 validation errors / differences found, 2 usage or runtime error.
+ */
+
+import { readFile, writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { pathToFileURL } from "url";
+import LLMSManager from "../src/llms-manager.js";
+
+const USAGE = `Usage: llms-manager <command> [options]
+
+Commands:
+  generate (--sitemap <url|file> | --site <origin>) --title <text>
+           --description <text> [--details <text>] [--threshold <number>]
+           [--feed <url|file>]... [--llms-txt <url|file>]...
+           [--normalize-urls] [--max-tokens <n>] [--max-bytes <n>] [--enrich] [--respect-robots] [--robots-agent <name>]
+           [--cache-dir <dir>] [--out <file>]
+      Generate llms.txt from a sitemap (prints to stdout without --out).
+      --site loads every sitemap discovered via robots.txt; --feed (RSS/Atom) and
+      --llms-txt add further sources, merged after the sitemap (which may
+      then be omitted); --normalize-urls merges URLs that differ only in
+      case, trailing slash, fragment, tracking parameters or query order;
+      --max-tokens / --max-bytes drop the lowest-priority links until the
+      output fits (dropped links are listed on stderr);
+      --enrich fetches page titles and descriptions;
+      --respect-robots drops URLs robots.txt disallows for llms-manager
+      (or --robots-agent); --cache-dir keeps fetched sitemaps and pages
+      for conditional requests. An unchanged --out file is not rewritten.
+
+  parse <file|url> [--json]
+      Parse an llms.txt and print its structure.
+
+  validate <file> [--fix] [--base-url <url>]
+      Report problems; --fix rewrites the file with the corrected content.
+      Exits with 1 if errors remain.
+
+  diff <old> <new> [--json] [--fail-on-removal]
+      Compare two llms.txt documents (files or URLs): metadata changes,
+      added, removed, moved and retitled links and renamed sections.
+      Exits with 1 if they differ (with --fail-on-removal: only if links
+      or sections were removed).
+
+  check-links <file|url> [--concurrency <n>] [--timeout <ms>] [--prune]
+              [--rewrite-redirects] [--json]
+      Check that every link resolves (HEAD, falling back to GET).
+      --prune removes broken links and --rewrite-redirects replaces
+      redirected URLs in the file. Exits with 1 if broken links remain.
+
+  build [config]
+      Build from a config file (default: llms.config.json) and write
+      the outputs it declares.
+
+Options:
+  -h, --help       Show this help
+  -v, --version    Show the version`;
+
+/**
+ * Error caused by invalid command-line usage (exit code 2, prints usage).
+ */
+class UsageError extends Error {}
+
+/**
+ * Turn a sitemap argument into a URL accepted by LLMSManager.
+ * Local paths are converted to file:// URLs.
+ * @param {string} value
+ * @returns {string}
+ */
+function toSitemapUrl(value) {
+  if (/^(https?|file):\/\//i.test(value)) return value;
+  return pathToFileURL(path.resolve(value)).href;
+}
+
+/**
+ * Read and parse an llms.txt from a file path or http(s) URL.
+ * @param {string} source
+ * @returns {Promise<{parsed:object,text?:string}>} Parsed document (and raw text for files).
+ */
+async function readSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const parsed = await LLMSManager.parseLLMSTxtFromUrl(source);
+    return { parsed };
+  }
+  if (!existsSync(source)) {
+    throw new UsageError(`File not found: ${source}`);
+  }
+  const text = await readFile(source, "utf-8");
+  return { text, parsed: LLMSManager.parseLLMSTxt(text) };
+}
+
+/**
+ * `generate` command.
+ * @param {Array<string>} args
+ * @returns {Promise<number>} Exit code.
+ */
+async function generate(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      sitemap: { type: "string" },
+      site: { type: "string" },
+      feed: { type: "string", multiple: true, default: [] },
+      "llms-txt": { type: "string", multiple: true, default: [] },
+      title: { type: "string" },
+      description: { type: "string" },
+      details: { type: "string" },
+      threshold: { type: "string", default: "0.5" },
+      "normalize-urls": { type: "boolean", default: false },
+      "max-tokens": { type: "string" },
+      "max-bytes": { type: "string" },
+      enrich: { type: "boolean", default: false },
+      "respect-robots": { type: "boolean", default: false },
+      "robots-agent": { type: "string" },
+      "cache-dir": { type: "string" },
+      out: { type: "string" },
+    },
+  });
+  const sources = [
+    ...values.feed.map((url) => ({ type: "feed", url: toSitemapUrl(url) })),
+    ...values["llms-txt"].map((url) => ({
+      type: "llms",
+      url: toSitemapUrl(url),
+    })),
+  ];
+  if (!values.sitemap && !values.site && sources.length === 0) {
+    throw new UsageError(
+      "generate: --sitemap is required (or --site <origin>, --feed, --llms-txt)"
+    );
+  }
+  if (values.sitemap && values.site) {
+    throw new UsageError(
+      "generate: --sitemap and --site are mutually exclusive"
+    );
+  }
+  for (const name of ["title", "description"]) {
+    if (!values[name]) throw new UsageError(`generate: --${name} is required`);
+  }
+  const threshold = Number(values.threshold);
+  if (!Number.isFinite(threshold)) {
+    throw new UsageError("generate: --threshold must be a number");
+  }
+  let budget;
+  for (const [flag, key] of [
+    ["max-tokens", "maxTokens"],
+    ["max-bytes", "maxBytes"],
+  ]) {
+    if (values[flag] === undefined) continue;
+    const limit = Number(values[flag]);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new UsageError(`generate: --${flag} must be a positive integer`);
+    }
+    budget = { ...budget, [key]: limit };
+  }
+
+  if (values.site) {
+    // A site may list several sitemaps in robots.txt; load them all
+    const { sitemaps } = await LLMSManager.discover(values.site);
+    sources.unshift(...sitemaps.map((url) => ({ type: "sitemap", url })));
+  }
+  const sitemapUrl = values.sitemap ? toSitemapUrl(values.sitemap) : undefined;
+  const robots =
+    values["respect-robots"] || values["robots-agent"] !== undefined
+      ? { userAgent: values["robots-agent"] }
+      : false;
+  const manager = new LLMSManager({
+    sitemapUrl,
+    sources,
+    robots,
+    cacheDir: values["cache-dir"],
+    normalizeUrls: values["normalize-urls"],
+  });
+  await manager.loadSitemap();
+  manager.setMetadata(values.title, values.description, values.details);
+  manager.addCoreContent(manager.autoGenerateCoreContent(threshold));
+  if (values.enrich) await manager.enrichContent();
+
+  let dropped = [];
+  if (values.out) {
+    ({ dropped = [] } = await manager.saveToFile(values.out, { budget }));
+  } else if (budget) {
+    const result = manager.generateLLMSTxtWithinBudget(budget);
+    dropped = result.dropped;
+    process.stdout.write(result.content);
+  } else {
+    process.stdout.write(manager.generateLLMSTxt());
+  }
+  for (const { section, title, url } of dropped) {
+    process.stderr.write(`dropped [${section}] ${title} <${url}>\n`);
+  }
+  return 0;
+}
+
+/**
+ * `parse` command.
+ * @param {Array<string>} args
+ * @returns {Promise<number>} Exit code.
+ */
+async function parse(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { json: { type: "boolean", default: false } },
+  });
+  if (positionals.length !== 1) {
+    throw new UsageError("parse: expected exactly one <file|url>");
+  }
+  const { parsed } = await readSource(positionals[0]);
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(parsed, null, 2) + "\n");
+    return 0;
+  }
+  const lines = [`Title: ${parsed.title}`];
+  if (parsed.description) lines.push(`Description: ${parsed.description}`);
+  for (const section of parsed.sections) {
+    lines.push(
+      `Section "${section.name}"${section.optional ? " (optional)" : ""}: ${
+        section.items.length
+      } link(s)`
+    );
+    for (const item of section.items) {
+      lines.push(`  - ${item.title} <${item.url}>`);
+    }
+  }
+  process.stdout.write(lines.join("\n") + "\n");
+  return 0;
+}
+
+/**
+ * `validate` command.
+ * @param {Array<string>} args
+ * @returns {Promise<number>} Exit code.
+ */
+async function validate(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      fix: { type: "boolean", default: false },
+      "base-url": { type: "string" },
+    },
+  });
+  if (positionals.length !== 1) {
+    throw new UsageError("validate: expected exactly one <file>");
+  }
+  const file = positionals[0];
+  if (!existsSync(file)) throw new UsageError(`File not found: ${file}`);
+  const text = await readFile(file, "utf-8");
+
+  let report = LLMSManager.validate(text, {
+    fix: values.fix,
+    baseUrl: values["base-url"],
+  });
+  if (values.fix) {
+    for (const fix of report.fixes) {
+      process.stdout.write(`fixed: ${fix.rule}: ${fix.message}\n`);
+    }
+    if (report.output !== text) await writeFile(file, report.output, "utf-8");
+    report = LLMSManager.validate(report.output);
+  }
+
+  for (const d of report.diagnostics) {
+    process.stdout.write(
+      `${file}:${d.line}:${d.column} ${d.severity} ${d.rule} ${d.message}\n`
+    );
+  }
+  const errors = report.diagnostics.filter((d) => d.severity === "error");
+  process.stdout.write(
+    `${errors.length} error(s), ${
+      report.diagnostics.length - errors.length
+    } warning(s)\n`
+  );
+  return errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * `diff` command.
+ * @param {Array<string>} args
+ * @returns {Promise<number>} Exit code.
+ */
+async function diff(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+      "fail-on-removal": { type: "boolean", default: false },
+    },
+  });
+  if (positionals.length !== 2) {
+    throw new UsageError("diff: expected <old> and <new>");
+  }
+  const [{ parsed: before }, { parsed: after }] = await Promise.all(
+    positionals.map(readSource)
+  );
+
+  const result = LLMSManager.diff(before, after);
+  if (values.json) {
+    process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  } else {
+    process.stdout.write(result.summary + "\n");
+  }
+  if (values["fail-on-removal"]) {
+    const { links, sections } = result;
+    return links.removed.length + sections.removed.length > 0 ? 1 : 0;
+  }
+  return result.identical ? 0 : 1;
+}
+
+/**
+ * `check-links` command.
+ * @param {Array<string>} args
+ * @returns {Promise<number>} Exit code.
+ */
+async function checkLinks(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      concurrency: { type: "string", default: "4" },
+      timeout: { type: "string" },
+      prune: { type: "boolean", default: false },
+      "rewrite-redirects": { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+    },
+  });
+  if (positionals.length !== 1) {
+    throw new UsageError("check-links: expected exactly one <file|url>");
+  }
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new UsageError(
+      "check-links: --concurrency must be a positive integer"
+    );
+  }
+  const timeout =
+    values.timeout === undefined ? undefined : Number(values.timeout);
+  if (timeout !== undefined && !(timeout > 0)) {
+    throw new UsageError("check-links: --timeout must be a positive number");
+  }
+  const source = positionals[0];
+  const isUrl = /^https?:\/\//i.test(source);
+  if (isUrl && (values.prune || values["rewrite-redirects"])) {
+    throw new UsageError(
+      "check-links: --prune and --rewrite-redirects need a local file"
+    );
+  }
+  const { parsed, text } = await readSource(source);
+
+  const result = await LLMSManager.checkLinks(text ?? parsed, {
+    concurrency,
+    timeout,
+    prune: values.prune,
+    rewriteRedirects: values["rewrite-redirects"],
+  });
+  if (result.output !== undefined && result.output !== text) {
+    await writeFile(source, result.output, "utf-8");
+  }
+
+  if (values.json) {
+    const { output, ...report } = result;
+    process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+  } else {
+    for (const link of result.links) {
+      const target = link.finalUrl !== link.url ? ` -> ${link.finalUrl}` : "";
+      const reason = link.error ? ` (${link.error})` : "";
+      process.stdout.write(
+        `${link.status ?? "ERR"} ${link.method} ${link.url}${target}${reason}\n`
+      );
+    }
+    for (const url of result.pruned) process.stdout.write(`pruned: ${url}\n`);
+    for (const { from, to } of result.rewritten) {
+      process.stdout.write(`rewritten: ${from} -> ${to}\n`);
+    }
+    const broken = result.links.filter((l) => !l.ok).length;
+    process.stdout.write(
+      `${result.links.length} link(s) checked, ${broken} broken\n`
+    );
+  }
+  const remaining = result.links.filter(
+    (l) => !l.ok && !result.pruned.includes(l.url)
+  );
+  return remaining.length > 0 ? 1 : 0;
+}
+
+/**
+ * `build` command.
+ * @param {Array<string>} args
+ * @returns {Promise<number>} Exit code.
+ */
+async function build(args) {
+  const { positionals } = parseArgs({ args, allowPositionals: true });
+  if (positionals.length > 1) {
+    throw new UsageError("build: expected at most one [config]");
+  }
+  const { manager, written, unchanged, report } = await LLMSManager.build(
+    positionals[0] || "llms.config.json"
+  );
+  if (written.length === 0 && unchanged.length === 0) {
+    process.stdout.write(await manager.generate());
+  }
+  for (const file of written) {
+    process.stdout.write(`wrote ${file}\n`);
+  }
+  for (const file of unchanged) {
+    process.stdout.write(`unchanged ${file}\n`);
+  }
+  for (const { section, title, url } of report?.dropped ?? []) {
+    process.stderr.write(`dropped [${section}] ${title} <${url}>\n`);
+  }
+  return 0;
+}
+
+const COMMANDS = {
+  generate,
+  parse,
+  validate,
+  diff,
+  "check-links": checkLinks,
+  build,
+};
+
+/**
+ * Run the CLI.
+ * @param {Array<string>} argv Arguments without node and script path.
+ * @returns {Promise<number>} Exit code.
+ */
+async function main(argv) {
+  const [command, ...args] = argv;
+  if (!command || command === "-h" || command === "--help") {
+    process.stdout.write(USAGE + "\n");
+    return command ? 0 : 2;
+  }
+  if (command === "-v" || command === "--version") {
+    const pkg = JSON.parse(
+      await readFile(new URL("../package.json", import.meta.url), "utf-8")
+    );
+    process.stdout.write(`${pkg.version}\n`);
+    return 0;
+  }
+  const run = COMMANDS[command];
+  if (!run) {
+    process.stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (args.includes("-h") || args.includes("--help")) {
+    process.stdout.write(USAGE + "\n");
+    return 0;
+  }
+
+  try {
+    return await run(args);
+  } catch (err) {
+    const usage =
+      err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS");
+    process.stderr.write(`Error: ${err.message}\n`);
+    if (usage) process.stderr.write(`\n${USAGE}\n`);
+    return 2;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
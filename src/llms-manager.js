@@ -6,564 +6,6482 @@
  *
  * @description
  * Ultra high quality Node.js library to manage
- * - sitemap.xml fetching/parsing (http & https fallback, file:// support)
+ * - sitemap.xml fetching/parsing (http -> https fallback, file:// support,
+ *   sitemap indexes, gzip/deflate/brotli compression, streaming)
+ * - aggregation of several sources: sitemaps, RSS/Atom feeds and other llms.txt files
  * - generation + validation + auto-correction of llms.txt (markdown)
  * - parsing llms.txt back to JSON (from URL or file)
+ * - llms-full.txt generation (linked pages converted from HTML to Markdown)
+ * - serving llms.txt live over HTTP (node:http handler / Express middleware)
+ * - per-locale llms.txt files for multilingual sites, with a language index
+ * - JSON snapshots and JSON, JSON Lines, HTML and JSON-LD exports
  *
  * Uses only native Node.js modules:
  * - https, http
- * - fs/promises
+ * - fs, fs/promises
+ * - stream
  * - url
+ * - zlib
+ * - crypto
  *
  * Designed for robustness, strict validation, and enterprise integration.
  */
 
 import { request as httpsRequest } from "https";
 import { request as httpRequest } from "http";
-import { URL, fileURLToPath } from "url";
-import { writeFile, readFile } from "fs/promises";
-import { existsSync } from "fs";
+import { URL, fileURLToPath, pathToFileURL } from "url";
+import { writeFile, readFile, mkdir } from "fs/promises";
+import { createReadStream, existsSync } from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { Readable, pipeline } from "stream";
+import {
+  createGunzip,
+  createInflate,
+  createInflateRaw,
+  createBrotliDecompress,
+} from "zlib";
 
-class LLMSManager {
-  /** @type {string} */
-  #sitemapUrl;
+/**
+ * @typedef {object} SitemapEntry
+ * @property {string} loc Page URL (entity-decoded).
+ * @property {number} priority <priority>, 0.5 if missing.
+ * @property {Date|null} lastmod <lastmod> as Date, null if missing or invalid.
+ * @property {string|null} changefreq <changefreq>, null if missing or invalid.
+ * @property {Array<{hreflang:string,href:string}>} alternates <xhtml:link rel="alternate"> entries.
+ * @property {Array<{loc:string,title?:string,caption?:string}>} images <image:image> entries.
+ * @property {string} source Name of the source that listed the URL first.
+ * @property {string} [title] Page title given by a feed or llms.txt source.
+ * @property {string} [description] Page summary given by a feed or llms.txt source.
+ */
 
-  /** @type {Array<{loc:string,priority:number}>} */
-  #urls = [];
+/**
+ * @typedef {object} UrlNormalization
+ * @property {boolean} [stripFragment=true] Remove `#fragment`.
+ * @property {"remove"|"add"|"keep"} [trailingSlash="remove"] Trailing slash of the path;
+ *   "add" leaves paths ending in a file name alone.
+ * @property {boolean|Array<string|RegExp|{regex:string,flags?:string}>} [stripTrackingParams=true] Remove query
+ *   parameters by name; true removes utm_* and common click identifiers.
+ * @property {boolean} [sortQuery=true] Sort query parameters by name.
+ * @property {boolean} [forceHttps=false] Upgrade http:// to https://.
+ * @property {boolean} [lowercasePath=false] Lower-case the path.
+ */
 
-  /** @type {string} */
-  #title = "";
+/**
+ * @typedef {object} MergedDuplicate
+ * @property {string} url URL that was kept.
+ * @property {"sitemap"|"content"} source Whether sitemap entries or section items were merged.
+ * @property {Array<string>} duplicates URLs as given that were merged into `url`.
+ */
 
-  /** @type {string} */
-  #description = "";
+/**
+ * @typedef {object} Source
+ * @property {"sitemap"|"feed"|"llms"} type Sitemap (or index), RSS 2.0 / Atom feed, or llms.txt.
+ * @property {string} url http, https or file URL.
+ * @property {string} name Name used for attribution, the URL if not given.
+ */
 
-  /** @type {Array<{title:string,url:string}>} */
-  #coreContent = [];
+/**
+ * @typedef {object} ContentItem
+ * @property {string} title Link text.
+ * @property {string} url Absolute URL.
+ * @property {string} [notes] Short description rendered after the link.
+ */
 
-  /** @type {Array<{title:string,url:string}>} */
-  #optionalContent = [];
+/**
+ * @typedef {object} Diagnostic
+ * @property {number} line 1-based line number.
+ * @property {number} column 1-based column number.
+ * @property {"error"|"warning"} severity
+ * @property {string} rule Rule id, e.g. "missing-h1".
+ * @property {string} message Human-readable description.
+ * @property {boolean} fixable Whether fix mode can correct it.
+ */
 
-  /** @type {Array<{loc:string,priority:number}>} */
-  #sitemapEntries = [];
+/**
+ * @typedef {object} LinkReport
+ * @property {string} url Checked URL.
+ * @property {boolean} ok Whether the final response was 2xx.
+ * @property {number|null} status Final status code (null on network errors).
+ * @property {"HEAD"|"GET"} method Method of the final request.
+ * @property {Array<string>} redirects Redirect chain, in order.
+ * @property {string} finalUrl URL after redirects.
+ * @property {string|null} contentType Lower-cased media type without parameters.
+ * @property {boolean} timedOut Whether the request timed out.
+ * @property {string} [error] Failure reason.
+ */
 
-  /**
-   * Create LLMSManager instance.
-   * @param {object} options
-   * @param {string} options.sitemapUrl - Absolute URL or local file URL to sitemap.xml
-   */
-  constructor({ sitemapUrl }) {
-    if (typeof sitemapUrl !== "string" || sitemapUrl.trim() === "") {
-      throw new TypeError("sitemapUrl must be a non-empty string");
-    }
-    const trimmed = sitemapUrl.trim();
-    if (
-      !trimmed.startsWith("http://") &&
-      !trimmed.startsWith("https://") &&
-      !trimmed.startsWith("file://")
-    ) {
-      throw new TypeError(
-        "sitemapUrl must start with http://, https:// or file://"
-      );
-    }
-    this.#sitemapUrl = trimmed;
-  }
+/**
+ * @typedef {object} LinkCheckResult
+ * @property {boolean} ok Whether all links are ok.
+ * @property {Array<LinkReport>} links One report per distinct URL.
+ * @property {Array<string>} pruned URLs removed by `prune`.
+ * @property {Array<{from:string,to:string}>} rewritten URLs replaced by `rewriteRedirects`.
+ */
 
-  /**
-   * Load sitemap XML from URL or local file and parse to URLs array.
-   * @returns {Promise<void>}
-   * @throws Throws if XML invalid or no URLs found.
-   */
-  async loadSitemap() {
-    const xml = await this.#fetchWithFallback(this.#sitemapUrl);
-    const entries = this.#parseSitemapXml(xml);
-    this.#sitemapEntries = entries;
-    this.#urls = entries; // Alias for convenience
-  }
+/**
+ * @typedef {object} SectionRule
+ * @property {string} [name] Rule name shown in explanations.
+ * @property {string} [section] Target section (required unless `drop` is true).
+ * @property {boolean} [drop=false] Drop matching URLs instead of assigning them.
+ * @property {Array<string|RegExp|{regex:string,flags?:string}>} [include] URL must match one pattern (glob or regex).
+ * @property {Array<string|RegExp|{regex:string,flags?:string}>} [exclude] URL must match no pattern.
+ * @property {string|RegExp|Array<string|RegExp>} [hostname] Hostname glob(s) such as "*.example.com", or regex.
+ * @property {{min?:number,max?:number}} [priority] Inclusive priority range.
+ * @property {number} [maxAgeDays] Only URLs whose lastmod is at most this many days old.
+ * @property {number} [minAgeDays] Only URLs whose lastmod is at least this many days old.
+ * @property {number} [maxItems] Maximum items in the target section; once full the rule stops matching.
+ */
 
-  /**
-   * Get loaded sitemap entries.
-   * @returns {Array<{loc:string,priority:number}>}
-   */
-  getSitemapEntries() {
-    return this.#sitemapEntries.slice();
-  }
+/**
+ * @typedef {object} PageReport
+ * @property {string} url Page URL.
+ * @property {string} title Item title.
+ * @property {string} section Section the item belongs to.
+ * @property {"ok"|"truncated"|"skipped"|"failed"|"disallowed"} status
+ * @property {number} bytes UTF-8 bytes contributed to the document.
+ * @property {number} tokens Estimated tokens contributed to the document.
+ * @property {string} [error] Failure reason.
+ */
 
-  /**
-   * Internal method: Fetch content from URL or local file, with HTTP/HTTPS fallback.
-   * @param {string} urlString
-   * @returns {Promise<string>} Resolves raw response or file content text.
-   * @throws Throws on fetch/read failure.
-   */
-  async #fetchWithFallback(urlString) {
-    if (urlString.startsWith("file://")) {
-      // Read local file
-      try {
-        const filePath = fileURLToPath(urlString);
-        if (!existsSync(filePath)) {
-          throw new Error(`File not found: ${filePath}`);
-        }
-        return await readFile(filePath, "utf-8");
-      } catch (err) {
-        throw new Error(`Failed to read local file: ${err.message}`);
-      }
-    }
+/**
+ * @typedef {object} Budget
+ * @property {number} [maxTokens] Maximum estimated tokens.
+ * @property {number} [maxBytes] Maximum UTF-8 bytes.
+ * @property {(text:string) => number} [tokenizer] Token counter replacing the
+ *   built-in estimate, e.g. backed by the target model's tokenizer.
+ */
 
-    // Network fetch with fallback http <-> https
-    const tryRequest = (urlObj) =>
-      new Promise((resolve, reject) => {
-        const lib = urlObj.protocol === "https:" ? httpsRequest : httpRequest;
-        const req = lib(urlObj, (res) => {
-          if (res.statusCode !== 200) {
-            reject(
-              new Error(
-                `Failed to fetch ${urlObj.href} (Status: ${res.statusCode})`
-              )
-            );
-            return;
-          }
-          let data = "";
-          res.setEncoding("utf8");
-          res.on("data", (chunk) => (data += chunk));
-          res.on("end", () => resolve(data));
-        });
-        req.on("error", reject);
-        req.end();
-      });
+/**
+ * @typedef {object} Plugin
+ * @property {string} name Unique name, used in error messages.
+ * @property {(url:string, context:{type:"sitemap"|"feed"|"llms"|"page"|"robots"|"link"}) => string|void|Promise<string|void>} [beforeFetch]
+ *   Replace the URL a sitemap, feed, llms.txt, page or robots.txt is fetched
+ *   from, or a link is checked at.
+ * @property {(entries:Array<SitemapEntry>) => Array<SitemapEntry>|void|Promise<Array<SitemapEntry>|void>} [afterSitemapParsed]
+ *   Replace the entries loadSitemap() keeps.
+ * @property {(entry:SitemapEntry) => SitemapEntry|null|void|Promise<SitemapEntry|null|void>} [transformEntry]
+ *   Replace (or with null drop) an entry before it is deduplicated.
+ * @property {(item:ContentItem, context:{section:string}) => ContentItem|null|void|Promise<ContentItem|null|void>} [transformItem]
+ *   Replace (or with null drop) an item of the generated output.
+ * @property {(content:{metadata:{title:string,description:string,details:string}, sections:Array<{name:string,optional:boolean,items:Array<ContentItem>}>}) => object|void|Promise<object|void>} [beforeGenerate]
+ *   Change (or return a replacement for) the metadata and sections about to be rendered.
+ * @property {(content:string, context:{file:"llms.txt"|"llms-full.txt"}) => string|void|Promise<string|void>} [afterGenerate]
+ *   Replace the generated document.
+ * @property {(content:string, context:{path:string, file:"llms.txt"|"llms-full.txt"}) => string|void|Promise<string|void>} [beforeWrite]
+ *   Replace the content written to a file.
+ */
 
-    try {
-      const urlObj = new URL(urlString);
-      return await tryRequest(urlObj);
-    } catch (e) {
+/**
+ * @typedef {object} LocaleOptions
+ * @property {Object<string, string|RegExp|{regex:string,flags?:string}|Array<string|RegExp|{regex:string,flags?:string}>>} [patterns]
+ *   URL patterns by locale, e.g. { de: "/de/**", fr: "https://fr.example.com/**" };
+ *   globs match the URL path unless they contain "://", regexes the full URL.
+ * @property {string} [defaultLocale] Locale of the URLs no other rule assigns, except
+ *   links to hosts without sitemap entries.
+ */
+
+/**
+ * @typedef {object} DroppedItem
+ * @property {string} section Section the item belonged to.
+ * @property {string} title
+ * @property {string} url
+ * @property {number} priority Sitemap priority of the URL, 0.5 if not in the sitemap.
+ */
+
+/** Valid <changefreq> values of the sitemap protocol. */
+const CHANGEFREQ_VALUES = new Set([
+  "always",
+  "hourly",
+  "daily",
+  "weekly",
+  "monthly",
+  "yearly",
+  "never",
+]);
+
+/** Predefined XML entities. */
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Decode character references and named entity references.
+ * Unknown entities are kept as-is.
+ * @param {string} text
+ * @param {Object<string,string>} [entities=XML_ENTITIES] Named entities to decode.
+ * @returns {string}
+ */
+function decodeEntities(text, entities = XML_ENTITIES) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z\d]*);/gi, (match, ref) => {
+    if (ref[0] === "#") {
+      const code =
+        ref[1] === "x" || ref[1] === "X"
+          ? parseInt(ref.slice(2), 16)
+          : parseInt(ref.slice(1), 10);
       try {
-        // Fallback protocol switch
-        const altUrl = urlString.startsWith("https://")
-          ? urlString.replace(/^https:/, "http:")
-          : urlString.replace(/^http:/, "https:");
-        const altUrlObj = new URL(altUrl);
-        return await tryRequest(altUrlObj);
-      } catch (err) {
-        throw new Error(
-          `Failed to fetch URL with both protocols: ${e.message}; fallback error: ${err.message}`
-        );
+        return String.fromCodePoint(code);
+      } catch {
+        return match;
       }
     }
-  }
+    return entities[ref] ?? match;
+  });
+}
 
-  /**
-   * Parse sitemap XML string extracting <url> blocks with <loc> and <priority>.
-   * @param {string} xml Sitemap XML content.
-   * @returns {Array<{loc: string, priority: number}>}
-   * @throws Throws if no URLs found.
-   */
-  #parseSitemapXml(xml) {
-    if (typeof xml !== "string") {
-      throw new TypeError("XML must be string");
-    }
+/**
+ * Incremental (chunk-safe) parser for sitemap <urlset> and <sitemapindex> documents.
+ * Tags are matched by local name, so namespace prefixes (<ns:url>) are ignored.
+ * Handles CDATA sections, comments, processing instructions, entity references
+ * and the image (<image:image>) and hreflang (<xhtml:link>) extensions.
+ *
+ * Feed text with push(); each call returns the records completed so far.
+ */
+class SitemapXmlParser {
+  /** @type {string} Unconsumed input. */
+  #buffer = "";
 
-    const urls = [];
-    const urlBlocks = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)];
-    for (const block of urlBlocks) {
-      const urlBlock = block[1];
-      const locMatch = urlBlock.match(/<loc>([^<]+)<\/loc>/i);
-      if (!locMatch) continue;
-      const loc = locMatch[1].trim();
+  /** @type {Array<string>} Local names of the open elements. */
+  #stack = [];
 
-      const priorityMatch = urlBlock.match(/<priority>([\d.]+)<\/priority>/i);
-      const priority = priorityMatch ? parseFloat(priorityMatch[1]) : 0.5;
+  /** @type {object|null} Record (<url> or <sitemap>) being built. */
+  #record = null;
 
-      urls.push({ loc, priority });
-    }
+  /** @type {object|null} <image:image> being built. */
+  #image = null;
 
-    if (urls.length === 0) {
-      throw new Error("No URLs parsed from sitemap XML");
-    }
+  /** @type {string|null} Text collected for the current leaf element. */
+  #text = null;
+
+  /** @type {string|null} Local name of the root element. */
+  rootName = null;
 
-    return urls;
+  /**
+   * Whether the document is a sitemap index.
+   * @returns {boolean}
+   */
+  get isIndex() {
+    return this.rootName === "sitemapindex";
   }
 
   /**
-   * Set metadata for llms.txt header.
-   * @param {string} title Main project/site title.
-   * @param {string} description Short descriptive blockquote.
+   * Parse the next chunk of XML text.
+   * @param {string} chunk
+   * @returns {Array<object>} Records completed within this chunk.
    */
-  setMetadata(title, description) {
-    if (typeof title !== "string" || title.trim() === "") {
-      throw new TypeError("title must be non-empty string");
-    }
-    if (typeof description !== "string" || description.trim() === "") {
-      throw new TypeError("description must be non-empty string");
+  push(chunk) {
+    this.#buffer += chunk;
+    const records = [];
+    let pos = 0;
+
+    while (pos < this.#buffer.length) {
+      const lt = this.#buffer.indexOf("<", pos);
+      if (lt === -1) {
+        // Keep a trailing, possibly incomplete entity reference for the next chunk
+        const amp = this.#buffer.lastIndexOf("&");
+        const end =
+          amp >= pos && this.#buffer.indexOf(";", amp) === -1
+            ? amp
+            : this.#buffer.length;
+        this.#onText(this.#buffer.slice(pos, end));
+        pos = end;
+        break;
+      }
+      if (lt > pos) this.#onText(this.#buffer.slice(pos, lt));
+      pos = lt;
+
+      if (this.#buffer.startsWith("<![CDATA[", pos)) {
+        const end = this.#buffer.indexOf("]]>", pos + 9);
+        if (end === -1) break;
+        this.#onText(this.#buffer.slice(pos + 9, end), true);
+        pos = end + 3;
+      } else if (this.#buffer.startsWith("<!--", pos)) {
+        const end = this.#buffer.indexOf("-->", pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (this.#buffer.startsWith("<?", pos)) {
+        const end = this.#buffer.indexOf("?>", pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (this.#buffer.startsWith("<!", pos)) {
+        const end = this.#buffer.indexOf(">", pos + 2);
+        if (end === -1) break;
+        pos = end + 1;
+      } else {
+        const end = this.#findTagEnd(pos + 1);
+        if (end === -1) break;
+        const record = this.#onTag(this.#buffer.slice(pos + 1, end));
+        if (record) records.push(record);
+        pos = end + 1;
+      }
     }
-    this.#title = title.trim();
-    this.#description = description.trim();
+
+    this.#buffer = this.#buffer.slice(pos);
+    return records;
   }
 
   /**
-   * Add core content items.
-   * @param {Array<{title:string,url:string}>} items
+   * Find the closing '>' of a tag, ignoring '>' inside quoted attribute values.
+   * @param {number} from
+   * @returns {number} Index of '>' or -1 if the tag is incomplete.
    */
-  addCoreContent(items) {
-    this.#validateContentItems(items);
-    this.#coreContent.push(...items);
+  #findTagEnd(from) {
+    let quote = null;
+    for (let i = from; i < this.#buffer.length; i++) {
+      const c = this.#buffer[i];
+      if (quote) {
+        if (c === quote) quote = null;
+      } else if (c === '"' || c === "'") {
+        quote = c;
+      } else if (c === ">") {
+        return i;
+      }
+    }
+    return -1;
   }
 
   /**
-   * Add optional content items.
-   * @param {Array<{title:string,url:string}>} items
+   * Collect character data for the current leaf element.
+   * @param {string} text
+   * @param {boolean} [raw=false] CDATA content, not entity-decoded.
    */
-  addOptionalContent(items) {
-    this.#validateContentItems(items);
-    this.#optionalContent.push(...items);
+  #onText(text, raw = false) {
+    if (this.#text === null) return;
+    this.#text += raw ? text : decodeEntities(text);
   }
 
   /**
-   * Validate content items array.
-   * @param {Array<{title:string,url:string}>} items
+   * Handle a start, end or self-closing tag.
+   * @param {string} tag Tag source without the surrounding '<' and '>'.
+   * @returns {object|undefined} Completed record, if any.
    */
-  #validateContentItems(items) {
-    if (!Array.isArray(items)) {
-      throw new TypeError("items must be array");
-    }
-    for (const i of items) {
-      if (
-        typeof i.title !== "string" ||
-        i.title.trim() === "" ||
-        typeof i.url !== "string" ||
-        i.url.trim() === ""
-      ) {
-        throw new TypeError(
-          "Each item must have non-empty string properties title and url"
-        );
-      }
+  #onTag(tag) {
+    if (tag.startsWith("/")) {
+      return this.#onClose(SitemapXmlParser.#localName(tag.slice(1).trim()));
     }
+    const selfClosing = tag.endsWith("/");
+    const body = selfClosing ? tag.slice(0, -1) : tag;
+    const nameMatch = body.match(/^\s*([^\s/]+)/);
+    if (!nameMatch) return undefined;
+    const name = SitemapXmlParser.#localName(nameMatch[1]);
+    this.#onOpen(name, SitemapXmlParser.#parseAttributes(body));
+    return selfClosing ? this.#onClose(name) : undefined;
   }
 
   /**
-   * Generates a clean, validated llms.txt markdown string.
-   * - Exactly one H1 title
-   * - Exactly one blockquote description
-   * - Core Content section
-   * - Optional section (if any)
-   * - Deduplicated URLs
-   *
-   * @returns {string}
+   * @param {string} name Local element name.
+   * @param {object} attrs Attributes by local name.
    */
-  generateLLMSTxt() {
-    // 1) Build raw lines
-    const lines = [];
-
-    // Title
-    lines.push(`# ${this.#title}`);
-
-    // Description blockquote
-    lines.push(`> ${this.#description}`, ``);
-
-    // Core Content header
-    lines.push(`## Core Content`);
-    for (const { title, url } of this.#coreContent) {
-      lines.push(`- [${title}](${url})`);
-    }
-    lines.push(``); // blank line
+  #onOpen(name, attrs) {
+    if (this.rootName === null) this.rootName = name;
+    const parent = this.#stack[this.#stack.length - 1];
+    this.#stack.push(name);
 
-    // Optional section
-    if (this.#optionalContent.length) {
-      lines.push(`## Optional`);
-      for (const { title, url } of this.#optionalContent) {
-        lines.push(`- [${title}](${url})`);
-      }
-      lines.push(``);
+    if (this.#stack.length === 2 && (name === "url" || name === "sitemap")) {
+      this.#record =
+        name === "url"
+          ? {
+              loc: "",
+              priority: 0.5,
+              lastmod: null,
+              changefreq: null,
+              alternates: [],
+              images: [],
+            }
+          : { loc: "", lastmod: null };
+      return;
     }
+    if (!this.#record) return;
 
-    // 2) Deduplicate URLs while preserving order
-    const seen = new Set();
-    const finalLines = [];
-    for (const line of lines) {
-      if (line.startsWith(`- [`)) {
-        const urlMatch = line.match(/\((.+)\)$/);
-        if (urlMatch) {
-          const url = urlMatch[1];
-          if (seen.has(url)) continue;
-          seen.add(url);
-        }
-      }
-      finalLines.push(line);
+    if (name === "image" && parent === "url") {
+      this.#image = { loc: "" };
+    } else if (
+      name === "link" &&
+      parent === "url" &&
+      attrs.rel === "alternate" &&
+      attrs.hreflang &&
+      attrs.href
+    ) {
+      this.#record.alternates.push({
+        hreflang: attrs.hreflang,
+        href: attrs.href.trim(),
+      });
+    } else {
+      this.#text = "";
     }
-
-    // 3) Return joined content
-    return finalLines.join("\n");
   }
 
   /**
-   * Validates and autocorrects the llms.txt markdown content.
-   * Ensures the structure meets the expected format:
-   * - Exactly one H1 title at the start
-   * - Exactly one blockquote immediately after the title with the description
-   * - Proper sections "Core Content" and optional "Optional"
-   * - Valid markdown link format with valid absolute URLs
-   * - No duplicate URLs in content lists
-   *
-   * If any structural issues are found, this method will correct them automatically,
-   * ensuring the output is consistent and valid.
-   *
-   * @param {string} text - The raw llms.txt markdown content to validate and correct.
-   * @returns {string} - The validated and corrected markdown content.
-   * @throws {Error} If critical sections are missing or malformed beyond correction.
+   * @param {string} name Local element name.
+   * @returns {object|undefined} Completed record, if any.
    */
-  #validateAndCorrectLLMSText(text) {
-    // Split text by lines, trim trailing spaces only (preserve leading spaces)
-    const lines = text.split("\n").map((line) => line.trimEnd());
+  #onClose(name) {
+    const index = this.#stack.lastIndexOf(name);
+    if (index === -1) return undefined;
+    this.#stack.length = index;
+    const parent = this.#stack[index - 1];
+    const text = this.#text === null ? "" : this.#text.trim();
+    this.#text = null;
 
-    // --- 1. Fix H1 title line ---
-    if (!lines[0] || !lines[0].startsWith("# ")) {
-      lines.unshift(`# ${this.#title}`);
-    } else if (lines[0] !== `# ${this.#title}`) {
-      lines[0] = `# ${this.#title}`;
+    if (index === 1 && (name === "url" || name === "sitemap")) {
+      const record = this.#record;
+      this.#record = null;
+      this.#image = null;
+      return record && record.loc ? record : undefined;
     }
+    if (!this.#record) return undefined;
 
-    // --- 2. Fix blockquote description line directly below H1 ---
-    if (!lines[1] || lines[1] !== `> ${this.#description}`) {
-      // Remove all blockquote lines following the first line
-      while (lines.length > 1 && lines[1].startsWith("> ")) {
-        lines.splice(1, 1);
+    if (this.#image) {
+      if (name === "image") {
+        if (this.#image.loc) this.#record.images.push(this.#image);
+        this.#image = null;
+      } else if (
+        parent === "image" &&
+        ["loc", "title", "caption"].includes(name)
+      ) {
+        this.#image[name] = text;
       }
-      // Insert correct blockquote after H1
-      lines.splice(1, 0, `> ${this.#description}`);
+      return undefined;
     }
 
-    // --- 3. Find core and optional section indices ---
-    const coreIndex = lines.findIndex((line) =>
-      /^## Core Content$/i.test(line)
-    );
-    if (coreIndex === -1) {
-      throw new Error("Missing '## Core Content' section");
+    if (parent !== "url" && parent !== "sitemap") return undefined;
+    if (name === "loc") {
+      this.#record.loc = text;
+    } else if (name === "lastmod") {
+      const date = new Date(text);
+      this.#record.lastmod = text && !isNaN(date) ? date : null;
+    } else if (name === "priority" && parent === "url") {
+      const priority = parseFloat(text);
+      if (Number.isFinite(priority)) this.#record.priority = priority;
+    } else if (name === "changefreq" && parent === "url") {
+      const changefreq = text.toLowerCase();
+      this.#record.changefreq = CHANGEFREQ_VALUES.has(changefreq)
+        ? changefreq
+        : null;
     }
-    const optionalIndex = lines.findIndex((line) =>
-      /^## Optional$/i.test(line)
-    );
+    return undefined;
+  }
 
-    // --- 4. Validate lines in Core Content section ---
-    const coreLines =
-      optionalIndex === -1
-        ? lines.slice(coreIndex + 1)
-        : lines.slice(coreIndex + 1, optionalIndex);
+  /**
+   * Strip the namespace prefix of a qualified name.
+   * @param {string} qname
+   * @returns {string}
+   */
+  static #localName(qname) {
+    return qname.slice(qname.indexOf(":") + 1).toLowerCase();
+  }
 
-    for (const line of coreLines) {
-      if (line === "") continue;
-      if (!/^- \[.+\]\(.+\)$/.test(line)) {
-        throw new Error(`Invalid line in Core Content list: "${line}"`);
-      }
-      const urlMatch = line.match(/\((.+)\)/);
-      if (urlMatch && !this.#isValidUrl(urlMatch[1])) {
-        throw new Error(`Invalid URL in Core Content: "${urlMatch[1]}"`);
-      }
+  /**
+   * Parse tag attributes into an object keyed by local name.
+   * @param {string} tagBody
+   * @returns {object}
+   */
+  static #parseAttributes(tagBody) {
+    const attrs = {};
+    for (const [, name, dq, sq] of tagBody.matchAll(
+      /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+    )) {
+      attrs[SitemapXmlParser.#localName(name)] = decodeEntities(dq ?? sq);
     }
+    return attrs;
+  }
+}
 
-    // --- 5. Validate lines in Optional Content section ---
-    if (optionalIndex !== -1) {
-      const optionalLines = lines.slice(optionalIndex + 1);
-      for (const line of optionalLines) {
-        if (line === "") continue;
-        if (!/^- \[.+\]\(.+\)$/.test(line)) {
-          throw new Error(`Invalid line in Optional section: "${line}"`);
-        }
-        const urlMatch = line.match(/\((.+)\)/);
-        if (urlMatch && !this.#isValidUrl(urlMatch[1])) {
-          throw new Error(`Invalid URL in Optional section: "${urlMatch[1]}"`);
-        }
-      }
-    }
+/**
+ * Persistent cache of fetched documents for incremental regeneration.
+ * Stores the validators (ETag, Last-Modified), content type and a SHA-256
+ * hash of every document in `index.json`, and the decoded text next to it.
+ * Records what happened to each URL since the last takeLog() call.
+ */
+class HttpCache {
+  /** Format version of index.json; other versions are discarded. */
+  static VERSION = 1;
 
-    // --- 6. Remove duplicate URLs globally preserving order ---
-    const seenUrls = new Set();
-    const filteredLines = [];
+  #dir;
+  #index = null;
+  /** @type {Promise<object>|null} */
+  #loading = null;
+  #dirty = false;
+  /** @type {Map<string,"new"|"changed"|"unchanged"|"not-modified">} */
+  #log = new Map();
 
-    for (const line of lines) {
-      if (line.startsWith("- [")) {
-        const url = line.match(/\((.+)\)/)[1];
-        if (!seenUrls.has(url)) {
-          seenUrls.add(url);
-          filteredLines.push(line);
-        }
-      } else {
-        filteredLines.push(line);
-      }
-    }
+  /**
+   * @param {string} dir Cache directory (created on first save).
+   */
+  constructor(dir) {
+    this.#dir = dir;
+  }
 
-    // --- 7. Return final corrected text ---
-    return filteredLines.join("\n");
+  /**
+   * Cache directory.
+   * @returns {string}
+   */
+  get dir() {
+    return this.#dir;
   }
 
   /**
-   * Validate URL syntax.
-   * @param {string} urlString
-   * @returns {boolean}
+   * Get the cached document for a URL.
+   * @param {string} url
+   * @returns {Promise<{etag?:string,lastModified?:string,contentType:string,finalUrl?:string,hash:string,text:string}|null>}
    */
-  #isValidUrl(urlString) {
+  async get(url) {
+    const entry = (await this.#load())[url];
+    if (!entry) return null;
     try {
-      new URL(urlString);
-      return true;
+      const text = await readFile(path.join(this.#dir, entry.file), "utf-8");
+      return { ...entry, text };
     } catch {
-      return false;
+      return null;
     }
   }
 
   /**
-   * Save llms.txt content to file.
-   * @param {string} filepath - Target file path
-   * @returns {Promise<void>}
+   * Conditional request headers for a cached document.
+   * @param {{etag?:string,lastModified?:string}|null} cached
+   * @returns {object}
    */
-  async saveToFile(filepath) {
-    if (typeof filepath !== "string" || filepath.trim() === "") {
-      throw new TypeError("filepath must be non-empty string");
-    }
-    const content = this.generateLLMSTxt();
-    await writeFile(filepath, content, { encoding: "utf-8" });
+  static conditionalHeaders(cached) {
+    const headers = {};
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified)
+      headers["If-Modified-Since"] = cached.lastModified;
+    return headers;
   }
 
   /**
-   * Parse llms.txt content (markdown) string to JSON representation.
-   * @param {string} content - llms.txt markdown string.
-   * @returns {object} Parsed JSON:
-   * {
-   *   title: string,
-   *   description: string,
-   *   coreContent: [{title:string,url:string}],
-   *   optionalContent: [{title:string,url:string}]
-   * }
+   * Record a 304 Not Modified response for a cached URL.
+   * @param {string} url
    */
-  static parseLLMSTxt(content) {
-    if (typeof content !== "string") {
-      throw new TypeError("content must be string");
-    }
-    const lines = content.split("\n").map((l) => l.trim());
+  notModified(url) {
+    this.#log.set(url, "not-modified");
+  }
 
-    // Parse title (# line)
-    const titleLine = lines.find((l) => l.startsWith("# "));
-    if (!titleLine) throw new Error("Missing # Title line");
-    const title = titleLine.replace(/^# /, "").trim();
-
-    // Parse description (blockquote >)
-    const descLine = lines.find((l) => l.startsWith("> "));
-    if (!descLine) throw new Error("Missing > Description line");
-    const description = descLine.replace(/^> /, "").trim();
-
-    // Parse sections Core Content and Optional
-    const coreContent = [];
-    const optionalContent = [];
-
-    let mode = null;
-    for (const line of lines) {
-      if (/^## Core Content$/i.test(line)) {
-        mode = "core";
-        continue;
-      }
-      if (/^## Optional$/i.test(line)) {
-        mode = "optional";
-        continue;
-      }
-      if (line.startsWith("- [") && mode) {
-        const match = line.match(/^- \[(.+?)\]\((.+?)\)$/);
-        if (!match) continue;
-        const [, t, u] = match;
-        if (mode === "core") coreContent.push({ title: t, url: u });
-        else if (mode === "optional")
-          optionalContent.push({ title: t, url: u });
-      }
-    }
+  /**
+   * Store a freshly fetched document.
+   * @param {string} url
+   * @param {{etag?:string,lastModified?:string,contentType?:string,finalUrl?:string,text:string}} doc
+   * @returns {Promise<"new"|"changed"|"unchanged">}
+   */
+  async put(url, { etag, lastModified, contentType = "", finalUrl, text }) {
+    const index = await this.#load();
+    const hash = createHash("sha256").update(text).digest("hex");
+    const previous = index[url];
+    const status = !previous
+      ? "new"
+      : previous.hash === hash
+      ? "unchanged"
+      : "changed";
+    const file = `${createHash("sha256").update(url).digest("hex")}.txt`;
 
-    if (coreContent.length === 0) {
-      throw new Error("No core content items found in llms.txt");
+    if (status !== "unchanged") {
+      await mkdir(this.#dir, { recursive: true });
+      await writeFile(path.join(this.#dir, file), text, "utf-8");
     }
-
-    return { title, description, coreContent, optionalContent };
+    index[url] = { file, hash, contentType };
+    if (etag) index[url].etag = etag;
+    if (lastModified) index[url].lastModified = lastModified;
+    if (finalUrl && finalUrl !== url) index[url].finalUrl = finalUrl;
+    this.#dirty = true;
+    this.#log.set(url, status);
+    return status;
   }
 
   /**
-   * Parse llms.txt from a file path.
-   * @param {string} filepath
-   * @returns {Promise<object>} Parsed JSON as per parseLLMSTxt
+   * Write index.json if anything changed.
+   * @returns {Promise<void>}
    */
-  static async parseLLMSTxtFromFile(filepath) {
-    if (typeof filepath !== "string" || filepath.trim() === "") {
-      throw new TypeError("filepath must be non-empty string");
-    }
-    const content = await readFile(filepath, { encoding: "utf-8" });
-    return LLMSManager.parseLLMSTxt(content);
+  async save() {
+    if (!this.#dirty) return;
+    await mkdir(this.#dir, { recursive: true });
+    await writeFile(
+      path.join(this.#dir, "index.json"),
+      JSON.stringify({ version: HttpCache.VERSION, entries: this.#index }),
+      "utf-8"
+    );
+    this.#dirty = false;
   }
 
   /**
-   * Parse llms.txt from a URL (http or https).
-   * @param {string} url
-   * @returns {Promise<object>} Parsed JSON as per parseLLMSTxt
+   * Return and clear the per-URL statuses recorded since the last call.
+   * @returns {Array<{url:string,status:"new"|"changed"|"unchanged"|"not-modified"}>}
    */
-  static async parseLLMSTxtFromUrl(url) {
-    if (typeof url !== "string" || url.trim() === "") {
-      throw new TypeError("url must be non-empty string");
-    }
-    const text = await LLMSManager.#staticFetchUrl(url.trim());
-    return LLMSManager.parseLLMSTxt(text);
+  takeLog() {
+    const log = [...this.#log].map(([url, status]) => ({ url, status }));
+    this.#log.clear();
+    return log;
   }
 
   /**
-   * Static internal helper for fetching URL content (http/https with fallback).
-   * @private
-   * @param {string} urlString
-   * @returns {Promise<string>}
+   * Load index.json once; a missing, unreadable or outdated index starts empty.
+   * Concurrent first calls share the pending load, and so one index object.
+   * @returns {Promise<object>} Entries by URL.
    */
-  static async #staticFetchUrl(urlString) {
-    const tryRequest = (urlObj) =>
-      new Promise((resolve, reject) => {
-        const lib = urlObj.protocol === "https:" ? httpsRequest : httpRequest;
-        const req = lib(urlObj, (res) => {
-          if (res.statusCode !== 200) {
-            reject(
-              new Error(
-                `Failed to fetch ${urlObj.href} (Status: ${res.statusCode})`
-              )
+  #load() {
+    if (!this.#loading) {
+      this.#loading = (async () => {
+        try {
+          const data = JSON.parse(
+            await readFile(path.join(this.#dir, "index.json"), "utf-8")
+          );
+          this.#index =
+            data?.version === HttpCache.VERSION && data.entries
+              ? data.entries
+              : {};
+        } catch {
+          this.#index = {};
+        }
+        return this.#index;
+      })();
+    }
+    return this.#loading;
+  }
+}
+
+/**
+ * Parse a robots.txt file (RFC 9309).
+ * Consecutive user-agent lines form one group; unknown directives are ignored.
+ * @param {string} text
+ * @returns {{groups:Array<{agents:Array<string>,rules:Array<{allow:boolean,path:string}>}>, sitemaps:Array<string>}}
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let inRules = false;
+
+  for (const rawLine of text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+    } else if (key === "user-agent") {
+      if (!group || inRules) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+        inRules = false;
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (key === "allow" || key === "disallow") {
+      if (!group) continue;
+      inRules = true;
+      // An empty Disallow allows everything and adds no rule
+      if (value) group.rules.push({ allow: key === "allow", path: value });
+    }
+  }
+  return { groups, sitemaps };
+}
+
+/**
+ * Check a URL against parsed robots.txt rules.
+ * Groups naming the product token are used, otherwise the "*" groups; the
+ * longest matching path pattern wins and Allow wins ties.
+ * @param {{groups:Array}} robots Result of parseRobotsTxt().
+ * @param {string} productToken Lower-case crawler name, e.g. "llms-manager".
+ * @param {string} url Absolute URL.
+ * @returns {boolean}
+ */
+function isAllowedByRobots(robots, productToken, url) {
+  let groups = robots.groups.filter((g) => g.agents.includes(productToken));
+  if (groups.length === 0) {
+    groups = robots.groups.filter((g) => g.agents.includes("*"));
+  }
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+
+  let best = null;
+  for (const rule of groups.flatMap((g) => g.rules)) {
+    const anchored = rule.path.endsWith("$");
+    const pattern = anchored ? rule.path.slice(0, -1) : rule.path;
+    const regex = new RegExp(
+      "^" +
+        pattern
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*") +
+        (anchored ? "$" : "")
+    );
+    if (!regex.test(target)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Estimate the number of LLM tokens of a text without a tokenizer, modelled on
+ * BPE vocabularies: a Latin word is one token per six letters (three for other
+ * alphabets), a number one per three digits, punctuation one per character, and
+ * scripts written without spaces (CJK, Thai) one per character. Whitespace is
+ * folded into the following token. The estimate is additive over lines.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]|[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu
+  )) {
+    if (/^\p{N}/u.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (/^[a-z]+$/i.test(piece)) {
+      tokens += Math.ceil(piece.length / 6);
+    } else if (/^[\p{L}\p{M}]{2,}$/u.test(piece)) {
+      tokens += Math.ceil(piece.length / 3);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+/** Query parameters removed by `stripTrackingParams: true`. */
+const TRACKING_PARAMS = [
+  /^utm_/,
+  "gclid",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "fbclid",
+  "msclkid",
+  "yclid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "_gl",
+  "igshid",
+];
+
+/**
+ * Normalise an absolute URL. Scheme and host are always lower-cased and
+ * default ports removed (by the URL parser); everything else is configured.
+ * @param {string} url
+ * @param {Required<UrlNormalization>} options Validated options.
+ * @returns {string}
+ * @throws {TypeError} If the URL cannot be parsed.
+ */
+function normalizeUrl(url, options) {
+  const u = new URL(url);
+  if (options.forceHttps && u.protocol === "http:") u.protocol = "https:";
+  if (options.stripFragment) u.hash = "";
+  if (options.lowercasePath) u.pathname = u.pathname.toLowerCase();
+  if (options.trailingSlash === "remove") {
+    u.pathname = u.pathname.replace(/\/+$/, "") || "/";
+  } else if (
+    options.trailingSlash === "add" &&
+    !/(\/|\.[^/]*)$/.test(u.pathname)
+  ) {
+    u.pathname += "/";
+  }
+
+  const removed = options.stripTrackingParams;
+  if (u.search && (removed.length > 0 || options.sortQuery)) {
+    // Keep the raw `name=value` pieces so only their order and number change
+    const params = u.search
+      .slice(1)
+      .split("&")
+      .filter((piece) => piece !== "")
+      .map((piece) => {
+        const raw = piece.split("=")[0].replace(/\+/g, " ");
+        let name = raw;
+        try {
+          name = decodeURIComponent(raw);
+        } catch {
+          // Malformed escapes are compared as written
+        }
+        return { name, piece };
+      })
+      .filter(
+        ({ name }) =>
+          !removed.some((p) =>
+            typeof p === "string" ? p === name : p.test(name)
+          )
+      );
+    if (options.sortQuery) {
+      params.sort(({ name: a }, { name: b }) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+    u.search = params.map(({ piece }) => piece).join("&");
+  }
+  return u.href;
+}
+
+/** Common named HTML entities in addition to the XML ones. */
+const HTML_ENTITIES = {
+  ...XML_ENTITIES,
+  nbsp: "\u00a0",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  bull: "•",
+  middot: "·",
+  times: "×",
+  euro: "€",
+  shy: "",
+};
+
+/** HTML elements without content. */
+const HTML_VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+/** HTML elements whose content is raw text, not markup. */
+const HTML_RAW_TEXT_ELEMENTS = new Set([
+  "script",
+  "style",
+  "textarea",
+  "title",
+]);
+
+/** Page chrome and non-content elements dropped during Markdown conversion. */
+const HTML_SKIPPED_ELEMENTS = new Set([
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "canvas",
+  "iframe",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "form",
+  "button",
+  "select",
+  "textarea",
+  "title",
+  "head",
+]);
+
+/** Elements rendered as separate Markdown blocks. */
+const HTML_BLOCK_ELEMENTS = new Set([
+  "address",
+  "article",
+  "body",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "figcaption",
+  "figure",
+  "main",
+  "p",
+  "section",
+  "summary",
+]);
+
+/**
+ * Open elements implicitly closed by a new start tag, up to a boundary element.
+ * @type {Object<string,{closes:Array<string>,boundary:Array<string>}>}
+ */
+const HTML_IMPLIED_END_TAGS = {
+  p: { closes: ["p"], boundary: [] },
+  li: { closes: ["li", "p"], boundary: ["ul", "ol"] },
+  dt: { closes: ["dt", "dd", "p"], boundary: ["dl"] },
+  dd: { closes: ["dt", "dd", "p"], boundary: ["dl"] },
+  tr: { closes: ["tr", "td", "th"], boundary: ["table"] },
+  td: { closes: ["td", "th"], boundary: ["tr", "table"] },
+  th: { closes: ["td", "th"], boundary: ["tr", "table"] },
+  option: { closes: ["option"], boundary: ["select"] },
+};
+
+/**
+ * Parse HTML into a lightweight element tree.
+ * Tolerant of unclosed and misnested tags; entities are decoded in text and attributes.
+ * @param {string} html
+ * @returns {{name:string,attrs:object,children:Array}} Root node; text nodes are `{text}`.
+ */
+function parseHtml(html) {
+  const root = { name: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const tagPattern =
+    /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+  let pos = 0;
+
+  const addText = (text) => {
+    if (text)
+      current().children.push({ text: decodeEntities(text, HTML_ENTITIES) });
+  };
+
+  while (pos < html.length) {
+    const lt = html.indexOf("<", pos);
+    if (lt === -1) {
+      addText(html.slice(pos));
+      break;
+    }
+    addText(html.slice(pos, lt));
+    pos = lt;
+
+    if (html.startsWith("<!--", pos)) {
+      const end = html.indexOf("-->", pos + 4);
+      pos = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html.startsWith("<!", pos) || html.startsWith("<?", pos)) {
+      const end = html.indexOf(">", pos + 2);
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    tagPattern.lastIndex = pos;
+    const match = tagPattern.exec(html);
+    if (!match) {
+      addText("<");
+      pos += 1;
+      continue;
+    }
+    pos = tagPattern.lastIndex;
+    const [, closing, rawName, rawAttrs, selfClosing] = match;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((n) => n.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const implied = HTML_IMPLIED_END_TAGS[name];
+    if (implied) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (implied.boundary.includes(stack[i].name)) break;
+        if (implied.closes.includes(stack[i].name)) {
+          stack.length = i;
+          break;
+        }
+      }
+    }
+
+    const attrs = {};
+    for (const [, attrName, dq, sq, bare] of rawAttrs.matchAll(
+      /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+    )) {
+      attrs[attrName.toLowerCase()] = decodeEntities(
+        dq ?? sq ?? bare ?? "",
+        HTML_ENTITIES
+      );
+    }
+    const node = { name, attrs, children: [] };
+    current().children.push(node);
+
+    if (HTML_RAW_TEXT_ELEMENTS.has(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, pos);
+      const text = html.slice(pos, end === -1 ? html.length : end);
+      if (text)
+        node.children.push({ text: decodeEntities(text, HTML_ENTITIES) });
+      pos =
+        end === -1 ? html.length : html.indexOf(">", end) + 1 || html.length;
+      continue;
+    }
+    if (!selfClosing && !HTML_VOID_ELEMENTS.has(name)) stack.push(node);
+  }
+
+  return root;
+}
+
+/**
+ * Find the first element matching a predicate (depth-first).
+ * @param {object} node
+ * @param {(node:object) => boolean} predicate
+ * @returns {object|null}
+ */
+function findHtmlElement(node, predicate) {
+  if (!node.children) return null;
+  for (const child of node.children) {
+    if (!child.name) continue;
+    if (predicate(child)) return child;
+    const found = findHtmlElement(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Concatenated text content of a node.
+ * @param {object} node
+ * @returns {string}
+ */
+function htmlTextContent(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(htmlTextContent).join("");
+}
+
+/**
+ * Extract link metadata from an HTML page.
+ * The title is taken from <title>, then og:title, then the first <h1>; the
+ * description from meta description, then og:description. Whitespace is collapsed.
+ * @param {string} html
+ * @returns {{title:string|null, description:string|null}}
+ */
+function extractHtmlMetadata(html) {
+  const root = parseHtml(html);
+  const clean = (value) => (value ?? "").replace(/\s+/g, " ").trim() || null;
+  const meta = (key) => {
+    const node = findHtmlElement(
+      root,
+      (n) =>
+        n.name === "meta" &&
+        (n.attrs.name?.toLowerCase() === key ||
+          n.attrs.property?.toLowerCase() === key)
+    );
+    return clean(node?.attrs.content);
+  };
+  const text = (name) => {
+    const node = findHtmlElement(root, (n) => n.name === name);
+    return node ? clean(htmlTextContent(node)) : null;
+  };
+
+  return {
+    title: text("title") ?? meta("og:title") ?? text("h1"),
+    description: meta("description") ?? meta("og:description"),
+  };
+}
+
+/**
+ * Convert an HTML page to Markdown, keeping only its main content.
+ * The main content is the first <main>, <article> or [role=main] element,
+ * falling back to <body>; navigation, header, footer, scripts and similar
+ * page chrome are dropped.
+ * @param {string} html
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] URL used to resolve relative links and images.
+ * @param {number} [options.headingOffset=0] Levels added to every heading (capped at h6).
+ * @returns {string}
+ */
+function htmlToMarkdown(html, { baseUrl, headingOffset = 0 } = {}) {
+  const root = parseHtml(html);
+  const main =
+    findHtmlElement(root, (n) => n.name === "main") ||
+    findHtmlElement(root, (n) => n.name === "article") ||
+    findHtmlElement(root, (n) => n.attrs.role === "main") ||
+    findHtmlElement(root, (n) => n.name === "body") ||
+    root;
+
+  const resolve = (href) => {
+    try {
+      return baseUrl ? new URL(href, baseUrl).href : href;
+    } catch {
+      return href;
+    }
+  };
+
+  const renderChildren = (node, ctx) =>
+    node.children.map((child) => render(child, ctx)).join("");
+
+  const block = (text) => (text.trim() ? `\n\n${text.trim()}\n\n` : "");
+
+  const inline = (node, ctx) =>
+    renderChildren(node, ctx)
+      .replace(/\s*\n\s*/g, " ")
+      .trim();
+
+  const renderList = (node, ctx, ordered) => {
+    let counter = Number(node.attrs.start) || 1;
+    const items = node.children
+      .filter((c) => c.name === "li")
+      .map((li) => {
+        const marker = ordered ? `${counter++}. ` : "- ";
+        const body = renderChildren(li, ctx)
+          .replace(/\n{3,}/g, "\n\n")
+          .trim()
+          .replace(/\n\n(?=\s*([-*]|\d+\.) )/g, "\n");
+        return marker + body.split("\n").join(`\n${" ".repeat(marker.length)}`);
+      });
+    return block(items.join("\n"));
+  };
+
+  const renderTable = (node, ctx) => {
+    const rows = [];
+    const collect = (n) => {
+      for (const c of n.children) {
+        if (c.name === "tr") {
+          rows.push(
+            c.children
+              .filter((cell) => cell.name === "td" || cell.name === "th")
+              .map((cell) => inline(cell, ctx).replace(/\|/g, "\\|"))
+          );
+        } else if (c.name && ["thead", "tbody", "tfoot"].includes(c.name)) {
+          collect(c);
+        }
+      }
+    };
+    collect(node);
+    if (rows.length === 0) return "";
+    const width = Math.max(...rows.map((r) => r.length));
+    const line = (cells) =>
+      `| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(
+        " | "
+      )} |`;
+    return block(
+      [
+        line(rows[0]),
+        line(Array(width).fill("---")),
+        ...rows.slice(1).map(line),
+      ].join("\n")
+    );
+  };
+
+  function render(node, ctx) {
+    if (node.text !== undefined) {
+      return ctx.pre ? node.text : node.text.replace(/\s+/g, " ");
+    }
+    const { name, attrs } = node;
+    if (
+      HTML_SKIPPED_ELEMENTS.has(name) ||
+      attrs.hidden !== undefined ||
+      attrs["aria-hidden"] === "true"
+    ) {
+      return "";
+    }
+
+    const heading = name.match(/^h([1-6])$/);
+    if (heading) {
+      const level = Math.min(6, Number(heading[1]) + headingOffset);
+      const text = inline(node, ctx);
+      return text ? block(`${"#".repeat(level)} ${text}`) : "";
+    }
+
+    switch (name) {
+      case "br":
+        return "\n";
+      case "hr":
+        return block("---");
+      case "strong":
+      case "b": {
+        const text = inline(node, ctx);
+        return text ? `**${text}**` : "";
+      }
+      case "em":
+      case "i": {
+        const text = inline(node, ctx);
+        return text ? `*${text}*` : "";
+      }
+      case "code": {
+        if (ctx.pre) return htmlTextContent(node);
+        const text = htmlTextContent(node).replace(/\s+/g, " ");
+        const fence = text.includes("`") ? "``" : "`";
+        return text.trim() ? `${fence}${text}${fence}` : "";
+      }
+      case "pre": {
+        const codeNode = node.children.find((c) => c.name === "code");
+        const className = `${attrs.class || ""} ${codeNode?.attrs.class || ""}`;
+        const lang =
+          className.match(/(?:language|lang)-([\w+#.-]+)/)?.[1] || "";
+        const text = htmlTextContent(node).replace(/^\n|\n\s*$/g, "");
+        const fence = text.includes("```") ? "~~~" : "```";
+        return `\n\n${fence}${lang}\n${text}\n${fence}\n\n`;
+      }
+      case "a": {
+        const text = inline(node, ctx);
+        const href = attrs.href?.trim();
+        if (!href || href.startsWith("#") || /^javascript:/i.test(href)) {
+          return text;
+        }
+        return text ? `[${text}](${resolve(href)})` : "";
+      }
+      case "img": {
+        if (!attrs.src) return "";
+        return `![${(attrs.alt || "").trim()}](${resolve(attrs.src)})`;
+      }
+      case "ul":
+        return renderList(node, ctx, false);
+      case "ol":
+        return renderList(node, ctx, true);
+      case "table":
+        return renderTable(node, ctx);
+      case "blockquote": {
+        const text = renderChildren(node, ctx)
+          .replace(/\n{3,}/g, "\n\n")
+          .trim();
+        return block(text.replace(/^/gm, "> ").replace(/^> $/gm, ">"));
+      }
+      default:
+        return HTML_BLOCK_ELEMENTS.has(name) || name === "li"
+          ? block(renderChildren(node, ctx))
+          : renderChildren(node, ctx);
+    }
+  }
+
+  return render(main, { pre: false })
+    .split("\n")
+    .map((l) => l.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Parse an XML document into an element tree. Names are reduced to lower-case
+ * local names; comments, processing instructions and doctypes are skipped.
+ * Meant for small documents such as feeds.
+ * @param {string} xml
+ * @returns {{name:string,attrs:object,children:Array}|null} Root element; text nodes are strings.
+ */
+function parseXmlTree(xml) {
+  const localName = (qname) =>
+    qname.slice(qname.indexOf(":") + 1).toLowerCase();
+  const document = { name: "#document", attrs: {}, children: [] };
+  const stack = [document];
+  for (const [
+    ,
+    cdata,
+    closing,
+    name,
+    attrSource,
+    selfClosing,
+    text,
+  ] of xml.matchAll(
+    /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([^\s/>!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g
+  )) {
+    const parent = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+    } else if (name !== undefined && closing) {
+      const index = stack.findLastIndex((el) => el.name === localName(name));
+      if (index > 0) stack.length = index;
+    } else if (name !== undefined) {
+      const attrs = {};
+      for (const [, attr, dq, sq] of attrSource.matchAll(
+        /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+      )) {
+        attrs[localName(attr)] = decodeEntities(dq ?? sq);
+      }
+      const element = { name: localName(name), attrs, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  return document.children.find((c) => typeof c === "object") ?? null;
+}
+
+/**
+ * Parse an RSS 2.0 (or RSS 1.0) or Atom feed into sitemap-like entries.
+ * Titles and summaries are reduced to plain text; relative links are resolved
+ * against `xml:base` or the feed URL.
+ * @param {string} xml
+ * @param {string} baseUrl Feed URL.
+ * @returns {Array<SitemapEntry>|null} Entries without `source`, or null if the
+ *   document is not a feed.
+ */
+function parseFeed(xml, baseUrl) {
+  const root = parseXmlTree(xml);
+  const elements = (el, name) =>
+    el
+      ? el.children.filter((c) => typeof c === "object" && c.name === name)
+      : [];
+  const text = (el) =>
+    el
+      ? el.children.map((c) => (typeof c === "string" ? c : text(c))).join("")
+      : "";
+  const plain = (value) =>
+    htmlTextContent(parseHtml(value)).replace(/\s+/g, " ").trim();
+  const resolve = (href, base) => {
+    if (!href.trim()) return null;
+    try {
+      return new URL(href.trim(), base).href;
+    } catch {
+      return null;
+    }
+  };
+  const toDate = (value) => {
+    const date = new Date(value.trim());
+    return value.trim() && !isNaN(date) ? date : null;
+  };
+
+  let items;
+  if (root?.name === "rss" || root?.name === "rdf") {
+    const channel = elements(root, "channel")[0];
+    items = [...elements(channel, "item"), ...elements(root, "item")].map(
+      (item) => {
+        const [link] = elements(item, "link")
+          .map((el) => text(el).trim())
+          .filter(Boolean);
+        const [guid] = elements(item, "guid");
+        const permalink =
+          guid && guid.attrs.ispermalink !== "false" ? text(guid) : "";
+        return {
+          loc: resolve(link || permalink, baseUrl),
+          title: text(elements(item, "title")[0]),
+          description: text(
+            elements(item, "description")[0] ?? elements(item, "encoded")[0]
+          ),
+          date: text(elements(item, "pubdate")[0] ?? elements(item, "date")[0]),
+        };
+      }
+    );
+  } else if (root?.name === "feed") {
+    const feedBase = resolve(root.attrs.base ?? "", baseUrl) ?? baseUrl;
+    items = elements(root, "entry").map((entry) => {
+      const base = resolve(entry.attrs.base ?? "", feedBase) ?? feedBase;
+      const link = elements(entry, "link").find(
+        (el) => el.attrs.href && (el.attrs.rel ?? "alternate") === "alternate"
+      );
+      return {
+        loc: link ? resolve(link.attrs.href, base) : null,
+        title: text(elements(entry, "title")[0]),
+        description: text(
+          elements(entry, "summary")[0] ?? elements(entry, "content")[0]
+        ),
+        date: text(
+          elements(entry, "updated")[0] ?? elements(entry, "published")[0]
+        ),
+      };
+    });
+  } else {
+    return null;
+  }
+
+  return items
+    .filter(({ loc }) => loc && /^https?:/.test(loc))
+    .map(({ loc, title, description, date }) => {
+      const entry = {
+        loc,
+        priority: 0.5,
+        lastmod: toDate(date),
+        changefreq: null,
+        alternates: [],
+        images: [],
+      };
+      if (plain(title)) entry.title = plain(title);
+      if (plain(description)) entry.description = plain(description);
+      return entry;
+    });
+}
+
+class LLMSManager {
+  /** @type {Array<Source>} Sources in ingestion order */
+  #sources = [];
+
+  /** @type {Array<SitemapEntry>} */
+  #urls = [];
+
+  /** @type {string} */
+  #title = "";
+
+  /** @type {string} */
+  #description = "";
+
+  /** @type {string} */
+  #details = "";
+
+  /** @type {Array<{name:string,optional:boolean,items:Array<ContentItem>}>} */
+  #sections = [];
+
+  /** @type {Array<SitemapEntry>} */
+  #sitemapEntries = [];
+
+  /** @type {number} */
+  #maxSitemapDepth;
+
+  /** @type {number} */
+  #maxChildSitemaps;
+
+  /** @type {object} */
+  #httpOptions;
+
+  /** @type {{llmsTxt?:string,llmsFullTxt?:string}} */
+  #configOutput = {};
+
+  /** @type {{llmsTxt?:Budget,llmsFullTxt?:Budget}} */
+  #configBudget = {};
+
+  /** @type {Map<string,{title:string|null,description:string|null}>} Page metadata by URL */
+  #metadataCache = new Map();
+
+  /** @type {HttpCache|null} On-disk cache of fetched sitemaps and pages */
+  #cache = null;
+
+  /** @type {{userAgent:string}|null} robots.txt compliance settings, null when off */
+  #robots = null;
+
+  /** @type {Map<string,Promise<object>>} Parsed robots.txt by origin */
+  #robotsCache = new Map();
+
+  /** @type {Required<UrlNormalization>|null} URL normalisation settings, null when off */
+  #urlNormalization = null;
+
+  /** @type {Map<string,MergedDuplicate>} Sitemap entries merged by the last load */
+  #mergedEntries = new Map();
+
+  /** @type {Map<string,MergedDuplicate>} Section items merged when added */
+  #mergedItems = new Map();
+
+  /** @type {Array<Plugin>} Registered plugins in hook order */
+  #plugins = [];
+
+  /** Name of the section filled by addCoreContent(). */
+  static CORE_SECTION = "Core Content";
+
+  /** Name of the section filled by addOptionalContent(). */
+  static OPTIONAL_SECTION = "Optional";
+
+  /** Default options of the shared HTTP client. */
+  static #DEFAULT_HTTP_OPTIONS = Object.freeze({
+    timeout: 30000,
+    maxRedirects: 5,
+    retries: 2,
+    retryDelay: 500,
+    maxResponseSize: 50 * 1024 * 1024,
+    userAgent:
+      "llms-manager/1.0.0 (+https://github.com/CodingMarius/LLMS-Manager)",
+    headers: {},
+    allowInsecureRedirects: false,
+    signal: undefined,
+  });
+
+  /** Hooks a plugin may implement, in the order they run during a build. */
+  static #PLUGIN_HOOKS = Object.freeze([
+    "beforeFetch",
+    "afterSitemapParsed",
+    "transformEntry",
+    "transformItem",
+    "beforeGenerate",
+    "afterGenerate",
+    "beforeWrite",
+  ]);
+
+  /** Format version of toJSON() snapshots. */
+  static #SNAPSHOT_VERSION = 1;
+
+  /** Upper bound for a single retry wait, including Retry-After values. */
+  static #MAX_RETRY_DELAY = 60000;
+
+  /** Socket error codes after which an http:// URL is retried over https://. */
+  static #CONNECTION_ERRORS = new Set([
+    "ECONNREFUSED",
+    "ECONNRESET",
+    "EHOSTUNREACH",
+    "ENETUNREACH",
+  ]);
+
+  /**
+   * Create LLMSManager instance.
+   * @param {object} options
+   * @param {string} [options.sitemapUrl] - Absolute URL or local file URL to sitemap.xml;
+   *   required unless `sources` is given
+   * @param {Array<string|{type?:"sitemap"|"feed"|"llms",url:string,name?:string}>} [options.sources] -
+   *   Further sources ingested after `sitemapUrl`: sitemaps (plain URL strings),
+   *   RSS/Atom feeds and other llms.txt files
+   * @param {number} [options.maxSitemapDepth=3] - Maximum nesting depth of sitemap indexes
+   * @param {number} [options.maxChildSitemaps=1000] - Maximum number of child sitemaps followed in total
+   * @param {object} [options.http] - Options of the shared HTTP client
+   * @param {number} [options.http.timeout=30000] - Total time per request attempt in ms (0 disables)
+   * @param {number} [options.http.maxRedirects=5] - Maximum number of redirect hops
+   * @param {number} [options.http.retries=2] - Retries on network errors, timeouts, 429 and 5xx
+   * @param {number} [options.http.retryDelay=500] - Base delay in ms for exponential backoff
+   * @param {number} [options.http.maxResponseSize=52428800] - Maximum body size in bytes
+   * @param {string} [options.http.userAgent] - User-Agent header value
+   * @param {object} [options.http.headers] - Extra request headers
+   * @param {boolean} [options.http.allowInsecureRedirects=false] - Follow https → http redirects
+   * @param {AbortSignal} [options.http.signal] - Signal to abort all requests
+   * @param {boolean|{userAgent?:string}} [options.robots=false] - Exclude URLs disallowed by
+   *   robots.txt from sitemap entries and page fetches; the user-agent defaults to
+   *   the product token of `http.userAgent`
+   * @param {string} [options.cacheDir] - Directory of a persistent cache of fetched sitemaps
+   *   and pages, revalidated with conditional requests (ETag / Last-Modified)
+   * @param {boolean|UrlNormalization} [options.normalizeUrls=false] - Normalise URLs of sitemap
+   *   entries and section items and deduplicate by the result; true for the defaults
+   */
+  constructor({
+    sitemapUrl,
+    sources,
+    maxSitemapDepth = 3,
+    maxChildSitemaps = 1000,
+    http = {},
+    robots = false,
+    cacheDir,
+    normalizeUrls = false,
+  }) {
+    if (sources !== undefined && !Array.isArray(sources)) {
+      throw new TypeError("sources must be an array");
+    }
+    if (sitemapUrl !== undefined || !sources?.length) {
+      if (typeof sitemapUrl !== "string" || sitemapUrl.trim() === "") {
+        throw new TypeError("sitemapUrl must be a non-empty string");
+      }
+      const trimmed = sitemapUrl.trim();
+      if (
+        !trimmed.startsWith("http://") &&
+        !trimmed.startsWith("https://") &&
+        !trimmed.startsWith("file://")
+      ) {
+        throw new TypeError(
+          "sitemapUrl must start with http://, https:// or file://"
+        );
+      }
+      this.#sources.push({ type: "sitemap", url: trimmed, name: trimmed });
+    }
+    for (const [index, source] of (sources ?? []).entries()) {
+      this.#sources.push(LLMSManager.#normalizeSource(source, index));
+    }
+    if (!Number.isInteger(maxSitemapDepth) || maxSitemapDepth < 0) {
+      throw new TypeError("maxSitemapDepth must be a non-negative integer");
+    }
+    if (!Number.isInteger(maxChildSitemaps) || maxChildSitemaps < 0) {
+      throw new TypeError("maxChildSitemaps must be a non-negative integer");
+    }
+    this.#maxSitemapDepth = maxSitemapDepth;
+    this.#maxChildSitemaps = maxChildSitemaps;
+    this.#httpOptions = LLMSManager.#normalizeHttpOptions(http);
+    this.#robots = LLMSManager.#normalizeRobotsOption(
+      robots,
+      this.#httpOptions.userAgent
+    );
+    if (cacheDir !== undefined) {
+      if (typeof cacheDir !== "string" || cacheDir.trim() === "") {
+        throw new TypeError("cacheDir must be a non-empty string");
+      }
+      this.#cache = new HttpCache(path.resolve(cacheDir));
+    }
+    this.#urlNormalization = LLMSManager.#normalizeUrlOptions(normalizeUrls);
+  }
+
+  /**
+   * Internal helper: Validate the `normalizeUrls` option.
+   * @param {boolean|UrlNormalization} [value]
+   * @returns {Required<UrlNormalization>|null} Options with defaults and the
+   *   list of parameters to strip, or null when normalisation is off.
+   * @throws {TypeError} If the option is invalid.
+   */
+  static #normalizeUrlOptions(value) {
+    if (value === undefined || value === false) return null;
+    if (value === true) value = {};
+    if (value === null || typeof value !== "object") {
+      throw new TypeError("normalizeUrls must be boolean or an options object");
+    }
+    const {
+      stripFragment = true,
+      trailingSlash = "remove",
+      stripTrackingParams = true,
+      sortQuery = true,
+      forceHttps = false,
+      lowercasePath = false,
+      ...unknown
+    } = value;
+    const [extra] = Object.keys(unknown);
+    if (extra) {
+      throw new TypeError(`Unknown normalizeUrls option: ${extra}`);
+    }
+    for (const [key, flag] of Object.entries({
+      stripFragment,
+      sortQuery,
+      forceHttps,
+      lowercasePath,
+    })) {
+      if (typeof flag !== "boolean") {
+        throw new TypeError(`normalizeUrls.${key} must be boolean`);
+      }
+    }
+    if (!["remove", "add", "keep"].includes(trailingSlash)) {
+      throw new TypeError(
+        'normalizeUrls.trailingSlash must be "remove", "add" or "keep"'
+      );
+    }
+    let params = stripTrackingParams;
+    if (typeof params === "boolean") {
+      params = params ? TRACKING_PARAMS : [];
+    } else if (
+      !Array.isArray(params) ||
+      !params.every(
+        (p) =>
+          typeof p === "string" ||
+          p instanceof RegExp ||
+          typeof p?.regex === "string"
+      )
+    ) {
+      throw new TypeError(
+        "normalizeUrls.stripTrackingParams must be boolean or an array of names and RegExps"
+      );
+    } else {
+      params = params.map((p) => {
+        if (typeof p === "string" || p instanceof RegExp) return p;
+        try {
+          return new RegExp(p.regex, p.flags);
+        } catch (err) {
+          throw new TypeError(
+            `normalizeUrls.stripTrackingParams has an invalid regex: ${err.message}`
+          );
+        }
+      });
+    }
+    return Object.freeze({
+      stripFragment,
+      trailingSlash,
+      stripTrackingParams: params,
+      sortQuery,
+      forceHttps,
+      lowercasePath,
+    });
+  }
+
+  /**
+   * Normalise a URL the way the `normalizeUrls` option does.
+   * @example
+   * LLMSManager.normalizeUrl("HTTPS://Example.com:443/docs/?utm_source=x#intro");
+   * // "https://example.com/docs"
+   * @param {string} url Absolute URL.
+   * @param {boolean|UrlNormalization} [options=true] Normalisation options; true for the defaults.
+   * @returns {string}
+   * @throws {TypeError} If the URL or the options are invalid.
+   */
+  static normalizeUrl(url, options = true) {
+    const normalization = LLMSManager.#normalizeUrlOptions(options);
+    if (typeof url !== "string" || !LLMSManager.#isValidUrl(url.trim())) {
+      throw new TypeError(`Invalid URL: ${url}`);
+    }
+    return normalization
+      ? normalizeUrl(url.trim(), normalization)
+      : new URL(url.trim()).href;
+  }
+
+  /**
+   * Internal helper: URL under which section items are deduplicated; the
+   * normalised URL with `normalizeUrls`, the URL itself otherwise.
+   * @param {string} url
+   * @returns {string}
+   */
+  #itemKey(url) {
+    if (!this.#urlNormalization) return url;
+    try {
+      return normalizeUrl(url, this.#urlNormalization);
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Get the duplicates merged by URL normalisation and deduplication: sitemap
+   * entries of the last load and section items added with `normalizeUrls`.
+   * @returns {Array<MergedDuplicate>}
+   */
+  getMergedDuplicates() {
+    return [...this.#mergedEntries.values(), ...this.#mergedItems.values()].map(
+      (record) => ({ ...record, duplicates: [...record.duplicates] })
+    );
+  }
+
+  /**
+   * Internal helper: Record a duplicate merged into a kept URL.
+   * @param {Map<string,MergedDuplicate>} merged
+   * @param {"sitemap"|"content"} source
+   * @param {string} url Kept URL.
+   * @param {string} duplicate Merged URL as given.
+   */
+  static #recordDuplicate(merged, source, url, duplicate) {
+    const record = merged.get(url) ?? { url, source, duplicates: [] };
+    record.duplicates.push(duplicate);
+    merged.set(url, record);
+  }
+
+  /**
+   * Internal helper: Validate one entry of the `sources` constructor option.
+   * @param {string|{type?:string,url:string,name?:string}} source A string is a sitemap URL.
+   * @param {number} index Position in `sources`, for error messages.
+   * @returns {Source}
+   * @throws {TypeError} If the source is invalid.
+   */
+  static #normalizeSource(source, index) {
+    if (typeof source === "string") source = { url: source };
+    if (source === null || typeof source !== "object") {
+      throw new TypeError(
+        `sources[${index}] must be a URL string or { type, url, name }`
+      );
+    }
+    const { type = "sitemap", url, name, ...unknown } = source;
+    const [extra] = Object.keys(unknown);
+    if (extra) {
+      throw new TypeError(`Unknown source option: ${extra}`);
+    }
+    if (!["sitemap", "feed", "llms"].includes(type)) {
+      throw new TypeError(
+        `sources[${index}].type must be "sitemap", "feed" or "llms"`
+      );
+    }
+    if (typeof url !== "string" || !/^(https?|file):\/\//.test(url.trim())) {
+      throw new TypeError(
+        `sources[${index}].url must start with http://, https:// or file://`
+      );
+    }
+    if (
+      name !== undefined &&
+      (typeof name !== "string" || name.trim() === "")
+    ) {
+      throw new TypeError(`sources[${index}].name must be a non-empty string`);
+    }
+    return { type, url: url.trim(), name: name?.trim() ?? url.trim() };
+  }
+
+  /**
+   * Get the sources the manager ingests, in order.
+   * @returns {Array<Source>}
+   */
+  getSources() {
+    return this.#sources.map((source) => ({ ...source }));
+  }
+
+  /**
+   * Register a plugin. Its hooks run after those of earlier plugins, each
+   * receiving the previous result; a hook returning undefined keeps the value.
+   * Hooks may be async. Errors thrown by a hook are rethrown naming the plugin
+   * and hook, with the original error as `cause`.
+   * The generation hooks (transformItem, beforeGenerate, afterGenerate) run in
+   * generate(), saveToFile(), generateLLMSFullTxt() and createHandler();
+   * the synchronous generateLLMSTxt() and generateLLMSTxtWithinBudget() skip
+   * them, so use generate() to get the hooked output.
+   * @example
+   * manager.use({
+   *   name: "no-admin",
+   *   transformEntry: (entry) => (entry.loc.includes("/admin/") ? null : entry),
+   * });
+   * @param {Plugin} plugin
+   * @returns {this}
+   * @throws {TypeError} If the plugin is invalid.
+   * @throws {Error} If a plugin with the same name is registered.
+   */
+  use(plugin) {
+    if (
+      plugin === null ||
+      typeof plugin !== "object" ||
+      typeof plugin.name !== "string" ||
+      plugin.name.trim() === ""
+    ) {
+      throw new TypeError("plugin must be an object with a non-empty name");
+    }
+    for (const key of Object.keys(plugin)) {
+      if (key !== "name" && !LLMSManager.#PLUGIN_HOOKS.includes(key)) {
+        throw new TypeError(`Plugin "${plugin.name}": unknown hook ${key}`);
+      }
+    }
+    for (const hook of LLMSManager.#PLUGIN_HOOKS) {
+      if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+        throw new TypeError(
+          `Plugin "${plugin.name}": ${hook} must be a function`
+        );
+      }
+    }
+    if (this.#plugins.some((p) => p.name === plugin.name)) {
+      throw new Error(`Plugin already registered: "${plugin.name}"`);
+    }
+    this.#plugins.push(plugin);
+    return this;
+  }
+
+  /**
+   * Names of the registered plugins in hook order.
+   * @returns {Array<string>}
+   */
+  getPlugins() {
+    return this.#plugins.map((p) => p.name);
+  }
+
+  /**
+   * Internal helper: Run a hook of every plugin in order, each receiving the
+   * previous result. null (transformEntry, transformItem) drops the value and
+   * ends the chain.
+   * @param {string} hook
+   * @param {*} value
+   * @param {object} [context] Second hook argument.
+   * @returns {Promise<*>} The final value.
+   * @throws {Error} Naming the plugin and hook that failed.
+   */
+  async #runHook(hook, value, context) {
+    for (const plugin of this.#plugins) {
+      if (!plugin[hook]) continue;
+      try {
+        const result = await plugin[hook](value, context);
+        const next = result === undefined ? value : result;
+        this.#checkHookResult(hook, next);
+        if (next === null) return null;
+        value = next;
+      } catch (err) {
+        throw new Error(
+          `Plugin "${plugin.name}" failed in ${hook}: ${err.message}`,
+          { cause: err }
+        );
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Internal helper: Validate the value a hook produced.
+   * @param {string} hook
+   * @param {*} value
+   * @throws {TypeError} If the value is not what the hook must return.
+   */
+  #checkHookResult(hook, value) {
+    const isEntry = (e) =>
+      e !== null &&
+      typeof e === "object" &&
+      typeof e.loc === "string" &&
+      e.loc !== "";
+    switch (hook) {
+      case "beforeFetch":
+        if (typeof value !== "string" || !/^(https?|file):\/\//i.test(value)) {
+          throw new TypeError("must return an http(s) or file URL");
+        }
+        break;
+      case "afterSitemapParsed":
+        if (!Array.isArray(value) || !value.every(isEntry)) {
+          throw new TypeError("must return an array of entries");
+        }
+        break;
+      case "transformEntry":
+        if (value !== null && !isEntry(value)) {
+          throw new TypeError("must return an entry with a loc, or null");
+        }
+        break;
+      case "transformItem":
+        if (value !== null) this.#validateContentItems([value]);
+        break;
+      case "beforeGenerate": {
+        const { metadata, sections } = value ?? {};
+        if (
+          typeof metadata?.title !== "string" ||
+          typeof metadata.description !== "string" ||
+          typeof metadata.details !== "string" ||
+          !Array.isArray(sections)
+        ) {
+          throw new TypeError(
+            "must return { metadata: { title, description, details }, sections }"
+          );
+        }
+        for (const section of sections) {
+          this.#validateSectionName(section?.name);
+          this.#validateContentItems(section.items);
+        }
+        break;
+      }
+      default:
+        if (typeof value !== "string") {
+          throw new TypeError("must return a string");
+        }
+    }
+  }
+
+  /**
+   * Internal helper: Validate the `robots` constructor option.
+   * @param {boolean|{userAgent?:string}} robots
+   * @param {string} httpUserAgent User-Agent header the product token defaults to.
+   * @returns {{userAgent:string}|null}
+   * @throws {TypeError} If the option is invalid.
+   */
+  static #normalizeRobotsOption(robots, httpUserAgent) {
+    if (robots === false) return null;
+    if (robots === true) robots = {};
+    if (robots === null || typeof robots !== "object") {
+      throw new TypeError("robots must be boolean or { userAgent }");
+    }
+    const { userAgent = httpUserAgent.split(/[/\s]/)[0], ...unknown } = robots;
+    const [extra] = Object.keys(unknown);
+    if (extra) {
+      throw new TypeError(`Unknown robots option: ${extra}`);
+    }
+    if (typeof userAgent !== "string" || userAgent.trim() === "") {
+      throw new TypeError("robots.userAgent must be a non-empty string");
+    }
+    return { userAgent: userAgent.trim().toLowerCase() };
+  }
+
+  /**
+   * Load sitemap XML from URL or local file and parse to URLs array.
+   * Sitemap indexes (<sitemapindex>) are followed recursively and the
+   * entries of all child sitemaps are merged, deduplicated by <loc>.
+   * With several `sources`, their entries are merged in order: every entry
+   * records the `source` that listed it first, and a title or description a
+   * later source provides for the same page fills in a missing one.
+   * With the `robots` option, entries disallowed by robots.txt are dropped.
+   * Sitemaps are parsed while they stream in; `filter` and `limit` are applied
+   * on the fly, so rejected entries are never kept in memory.
+   * @param {object} [options]
+   * @param {(entry:SitemapEntry) => boolean|Promise<boolean>} [options.filter] - Keep only entries it accepts.
+   * @param {number} [options.limit=Infinity] - Stop reading after this many kept entries.
+   * @returns {Promise<void>}
+   * @throws Throws if XML invalid, limits are exceeded or no URLs found.
+   */
+  async loadSitemap({ filter, limit = Infinity } = {}) {
+    if (filter !== undefined && typeof filter !== "function") {
+      throw new TypeError("filter must be a function");
+    }
+    if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+      throw new TypeError("limit must be a positive integer");
+    }
+
+    const counts = { parsed: 0, allowed: 0 };
+    const entries = [];
+    for await (const entry of this.#streamEntries(counts)) {
+      if (filter && !(await filter(entry))) continue;
+      entries.push(entry);
+      if (entries.length >= limit) break;
+    }
+
+    if (counts.parsed === 0) {
+      throw new Error("No URLs parsed from sitemap XML");
+    }
+    if (counts.allowed === 0) {
+      throw new Error("All sitemap URLs are disallowed by robots.txt");
+    }
+    if (entries.length === 0) {
+      throw new Error("No sitemap URLs matched the filter");
+    }
+
+    const kept = await this.#runHook("afterSitemapParsed", entries);
+    this.#sitemapEntries = kept;
+    this.#urls = kept; // Alias for convenience
+  }
+
+  /**
+   * Stream the sitemap entries one by one while the sitemap (and the children
+   * of sitemap indexes) download, without loading them into the manager.
+   * Entries are deduplicated by <loc> and, with the `robots` option, filtered
+   * by robots.txt. Leaving the loop early closes the pending request.
+   * @example
+   * for await (const entry of manager.streamSitemapEntries()) {
+   *   if (entry.loc.includes("/docs/")) docs.push(entry);
+   *   if (docs.length === 100) break;
+   * }
+   * @returns {AsyncGenerator<SitemapEntry>}
+   * @throws Throws if XML invalid or limits are exceeded.
+   */
+  async *streamSitemapEntries() {
+    yield* this.#streamEntries({ parsed: 0, allowed: 0 });
+  }
+
+  /**
+   * Internal method: Deduplicated, robots-filtered entries of all sources.
+   * @param {{parsed:number,allowed:number}} counts Updated with the number of
+   *   distinct and of allowed entries seen so far.
+   * @returns {AsyncGenerator<SitemapEntry>}
+   */
+  async *#streamEntries(counts) {
+    const state = { visited: new Set(), childCount: 0 };
+    // Kept URL by dedupe key; earlier entries are only kept for merging
+    // titles when there are several sources
+    const seen = new Map();
+    const kept = this.#sources.length > 1 ? new Map() : null;
+    this.#mergedEntries = new Map();
+    try {
+      for (const source of this.#sources) {
+        for await (const parsed of this.#streamSource(source, state)) {
+          const entry = await this.#runHook("transformEntry", parsed);
+          if (entry === null) continue;
+          // Deduplicate by normalised URL, first occurrence wins
+          const key = this.#entryKey(entry.loc);
+          if (seen.has(key)) {
+            LLMSManager.#recordDuplicate(
+              this.#mergedEntries,
+              "sitemap",
+              seen.get(key),
+              entry.loc
+            );
+            const first = kept?.get(key);
+            if (first && first.title === undefined && entry.title) {
+              first.title = entry.title;
+            }
+            if (first && first.description === undefined && entry.description) {
+              first.description = entry.description;
+            }
+            continue;
+          }
+          if (this.#urlNormalization) entry.loc = key;
+          seen.set(key, entry.loc);
+          kept?.set(key, entry);
+          counts.parsed += 1;
+          if (!(await this.isAllowed(entry.loc))) continue;
+          counts.allowed += 1;
+          yield entry;
+        }
+      }
+    } finally {
+      await this.#cache?.save();
+    }
+  }
+
+  /**
+   * Internal helper: Key under which entries are deduplicated: the normalised
+   * URL with `normalizeUrls`, otherwise the URL with its fragment removed and
+   * in canonical form (lower-case scheme and host, percent-encoded path).
+   * @param {string} loc
+   * @returns {string}
+   */
+  #entryKey(loc) {
+    try {
+      if (this.#urlNormalization) {
+        return normalizeUrl(loc, this.#urlNormalization);
+      }
+      const url = new URL(loc);
+      url.hash = "";
+      return url.href;
+    } catch {
+      return loc;
+    }
+  }
+
+  /**
+   * Internal method: Stream the entries of one source, attributed to it.
+   * @param {Source} source
+   * @param {{visited:Set<string>,childCount:number}} state Shared sitemap traversal state.
+   * @returns {AsyncGenerator<SitemapEntry>}
+   * @throws Throws on fetch failure or if a feed or llms.txt cannot be parsed.
+   */
+  async *#streamSource(source, state) {
+    let entries;
+    if (source.type === "sitemap") {
+      entries = this.#streamSitemap(source.url, 0, state);
+    } else {
+      const text = await LLMSManager.#fetchWithFallback(
+        await this.#runHook("beforeFetch", source.url, { type: source.type }),
+        this.#httpOptions,
+        this.#cache
+      );
+      entries =
+        source.type === "feed"
+          ? LLMSManager.#feedEntries(text, source.url)
+          : LLMSManager.#llmsTxtEntries(text, source.url);
+    }
+    for await (const entry of entries) {
+      entry.source = source.name;
+      yield entry;
+    }
+  }
+
+  /**
+   * Internal helper: Entries of an RSS or Atom feed.
+   * @param {string} text Feed XML.
+   * @param {string} url Feed URL, for relative links and error messages.
+   * @returns {Array<SitemapEntry>}
+   * @throws {Error} If the document is not an RSS or Atom feed.
+   */
+  static #feedEntries(text, url) {
+    const entries = parseFeed(text, url);
+    if (!entries) {
+      throw new Error(`Not an RSS or Atom feed: ${url}`);
+    }
+    return entries;
+  }
+
+  /**
+   * Internal helper: Entries for the links of another llms.txt, as parsed by
+   * parseLLMSTxt(). Link text becomes the title and notes the description;
+   * links of an "Optional" section get priority 0.3 so the default threshold
+   * of autoGenerateCoreContent() leaves them out.
+   * @param {string} text llms.txt content.
+   * @param {string} url llms.txt URL, for relative links.
+   * @returns {Array<SitemapEntry>}
+   */
+  static #llmsTxtEntries(text, url) {
+    const { sections } = LLMSManager.parseLLMSTxt(text);
+    const entries = [];
+    for (const { optional, items } of sections) {
+      for (const { title, url: href, notes } of items) {
+        let loc;
+        try {
+          loc = new URL(href, url).href;
+        } catch {
+          continue;
+        }
+        const entry = {
+          loc,
+          priority: optional ? 0.3 : 0.5,
+          lastmod: null,
+          changefreq: null,
+          alternates: [],
+          images: [],
+        };
+        if (title) entry.title = title;
+        if (notes) entry.description = notes;
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Internal method: Stream one sitemap and, if it is a sitemap index, all of its children.
+   * @param {string} urlString Sitemap URL (http, https or file).
+   * @param {number} depth Current index nesting depth (0 = root).
+   * @param {{visited:Set<string>,childCount:number}} state Shared traversal state.
+   * @returns {AsyncGenerator<SitemapEntry>}
+   * @throws Throws if depth or child-count limits are exceeded.
+   */
+  async *#streamSitemap(urlString, depth, state) {
+    state.visited.add(urlString);
+    const parser = new SitemapXmlParser();
+    const records = [];
+    for await (const chunk of this.#openSitemap(urlString)) {
+      for (const record of parser.push(chunk)) {
+        // Index records are few; collect them and follow children afterwards
+        if (parser.isIndex) records.push(record);
+        else yield record;
+      }
+    }
+    if (!parser.isIndex) return;
+
+    if (depth >= this.#maxSitemapDepth) {
+      throw new Error(
+        `Sitemap index nesting exceeds maxSitemapDepth (${
+          this.#maxSitemapDepth
+        }) at ${urlString}`
+      );
+    }
+
+    for (const childUrl of this.#resolveChildSitemaps(records, urlString)) {
+      // Skip already visited sitemaps to break reference loops
+      if (state.visited.has(childUrl)) continue;
+      state.childCount += 1;
+      if (state.childCount > this.#maxChildSitemaps) {
+        throw new Error(
+          `Sitemap index references more than maxChildSitemaps (${
+            this.#maxChildSitemaps
+          }) child sitemaps`
+        );
+      }
+      yield* this.#streamSitemap(childUrl, depth + 1, state);
+    }
+  }
+
+  /**
+   * Internal method: Open a sitemap as a stream of decoded text chunks.
+   * With `cacheDir` the document is fetched whole so it can be revalidated
+   * and stored; otherwise it is decompressed and decoded while it streams.
+   * @param {string} urlString Sitemap URL (http, https or file).
+   * @returns {AsyncGenerator<string>}
+   * @throws Throws on fetch/read failure.
+   */
+  async *#openSitemap(urlString) {
+    urlString = await this.#runHook("beforeFetch", urlString, {
+      type: "sitemap",
+    });
+    const httpOptions = this.#httpOptions;
+    if (this.#cache) {
+      yield await LLMSManager.#fetchWithFallback(
+        urlString,
+        httpOptions,
+        this.#cache
+      );
+      return;
+    }
+
+    if (urlString.startsWith("file://")) {
+      const filePath = fileURLToPath(urlString);
+      let stream = null;
+      try {
+        if (!existsSync(filePath)) {
+          throw new Error(`File not found: ${filePath}`);
+        }
+        stream = createReadStream(filePath);
+        yield* LLMSManager.#decodeStream(stream, {
+          path: filePath,
+          maxSize: httpOptions.maxResponseSize,
+        });
+      } catch (err) {
+        throw new Error(`Failed to read local file: ${err.message}`);
+      } finally {
+        // Also runs when the consumer stops early, e.g. loadSitemap({ limit })
+        stream?.destroy();
+      }
+      return;
+    }
+
+    const res = await LLMSManager.#withProtocolFallback(
+      urlString,
+      (href) => LLMSManager.#openStream(href, httpOptions),
+      httpOptions.signal
+    );
+    try {
+      yield* LLMSManager.#decodeStream(res.stream, {
+        path: new URL(res.url).pathname,
+        contentEncoding: res.headers["content-encoding"],
+        maxSize: httpOptions.maxResponseSize,
+        href: res.url,
+      });
+    } finally {
+      res.stream.destroy();
+    }
+  }
+
+  /**
+   * Discover the sitemaps of a site from its robots.txt `Sitemap:` directives,
+   * falling back to `/sitemap.xml` and `/sitemap_index.xml` when there are none.
+   * @param {string} origin Site origin or any URL on it; a bare hostname implies https.
+   * @param {object} [options]
+   * @param {object} [options.http] HTTP options as accepted by the constructor.
+   * @returns {Promise<{origin:string, robotsTxt:string, source:"robots"|"fallback", sitemaps:Array<string>}>}
+   * @throws {TypeError} If origin is not an http(s) URL or hostname.
+   * @throws Throws if no sitemap can be found.
+   */
+  static async discover(origin, { http = {} } = {}) {
+    return LLMSManager.#discover(
+      origin,
+      LLMSManager.#normalizeHttpOptions(http),
+      async (url) => url
+    );
+  }
+
+  /**
+   * Discover the sitemaps of a site like the static discover(), with the
+   * manager's HTTP options. The fetched URLs pass the plugins' beforeFetch
+   * hooks (`type` "robots" for robots.txt, "sitemap" for the fallback probes).
+   * @param {string} origin Site origin or any URL on it; a bare hostname implies https.
+   * @returns {Promise<{origin:string, robotsTxt:string, source:"robots"|"fallback", sitemaps:Array<string>}>}
+   * @throws {TypeError} If origin is not an http(s) URL or hostname.
+   * @throws Throws if no sitemap can be found.
+   */
+  async discover(origin) {
+    return LLMSManager.#discover(origin, this.#httpOptions, (url, type) =>
+      this.#runHook("beforeFetch", url, { type })
+    );
+  }
+
+  /**
+   * Internal helper: Shared implementation of the discover() methods.
+   * @param {string} origin
+   * @param {object} httpOptions Normalized HTTP options.
+   * @param {(url:string, type:"robots"|"sitemap") => Promise<string>} beforeFetch
+   *   URL to request instead of the given one.
+   * @returns {Promise<{origin:string, robotsTxt:string, source:"robots"|"fallback", sitemaps:Array<string>}>}
+   */
+  static async #discover(origin, httpOptions, beforeFetch) {
+    if (typeof origin !== "string" || origin.trim() === "") {
+      throw new TypeError("origin must be a non-empty string");
+    }
+    const raw = origin.trim();
+    let base;
+    try {
+      base = new URL(/^[a-z][\w+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+    } catch {
+      throw new TypeError(`Invalid origin: ${raw}`);
+    }
+    if (base.protocol !== "http:" && base.protocol !== "https:") {
+      throw new TypeError("origin must be an http(s) URL or hostname");
+    }
+    const robotsTxt = new URL("/robots.txt", base.origin).href;
+
+    const { robots } = await LLMSManager.#fetchRobots(
+      await beforeFetch(robotsTxt, "robots"),
+      httpOptions
+    );
+    const sitemaps = [];
+    for (const value of robots.sitemaps) {
+      try {
+        const href = new URL(value, robotsTxt).href;
+        if (!sitemaps.includes(href)) sitemaps.push(href);
+      } catch {
+        // Ignore malformed Sitemap directives
+      }
+    }
+    if (sitemaps.length > 0) {
+      return { origin: base.origin, robotsTxt, source: "robots", sitemaps };
+    }
+
+    for (const candidate of ["/sitemap.xml", "/sitemap_index.xml"]) {
+      const href = new URL(candidate, base.origin).href;
+      try {
+        // Probe with HEAD so whole sitemaps are not downloaded
+        const url = await beforeFetch(href, "sitemap");
+        let res = await LLMSManager.#request(url, {
+          ...httpOptions,
+          method: "HEAD",
+        });
+        if (res.statusCode === 405) {
+          res = await LLMSManager.#request(url, httpOptions);
+        }
+        if (res.statusCode >= 200 && res.statusCode < 300) sitemaps.push(href);
+      } catch {
+        // Unreachable candidates are skipped
+      }
+    }
+    if (sitemaps.length === 0) {
+      throw new Error(
+        `No sitemap found for ${base.origin}: robots.txt has no Sitemap directives and /sitemap.xml and /sitemap_index.xml are unavailable`
+      );
+    }
+    return { origin: base.origin, robotsTxt, source: "fallback", sitemaps };
+  }
+
+  /**
+   * Check whether a URL may be crawled according to its site's robots.txt
+   * (fetched once per origin). Always true when the `robots` option is off or
+   * for non-http(s) URLs.
+   * @param {string} url
+   * @returns {Promise<boolean>}
+   */
+  async isAllowed(url) {
+    if (!this.#robots) return true;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return true;
+    }
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return true;
+    }
+    if (!this.#robotsCache.has(parsed.origin)) {
+      const pending = this.#runHook(
+        "beforeFetch",
+        `${parsed.origin}/robots.txt`,
+        { type: "robots" }
+      )
+        .then((url) => LLMSManager.#fetchRobots(url, this.#httpOptions))
+        .then((r) => r.robots);
+      this.#robotsCache.set(parsed.origin, pending);
+      // Failures (e.g. aborted requests) are retried by the next call
+      pending.catch(() => {
+        if (this.#robotsCache.get(parsed.origin) === pending) {
+          this.#robotsCache.delete(parsed.origin);
+        }
+      });
+    }
+    const robots = await this.#robotsCache.get(parsed.origin);
+    return isAllowedByRobots(robots, this.#robots.userAgent, parsed.href);
+  }
+
+  /**
+   * Remove section items whose URL is disallowed by robots.txt (see isAllowed).
+   * Sitemap entries are already filtered by loadSitemap(); use this for
+   * manually added items.
+   * @returns {Promise<Array<string>>} Removed URLs.
+   */
+  async removeDisallowed() {
+    const removed = [];
+    for (const section of this.#sections) {
+      const kept = [];
+      for (const item of section.items) {
+        if (await this.isAllowed(item.url)) kept.push(item);
+        else removed.push(item.url);
+      }
+      section.items = kept;
+    }
+    return removed;
+  }
+
+  /**
+   * Internal helper: Fetch and parse the robots.txt of an origin (RFC 9309):
+   * a missing file (4xx) allows everything, an unreachable one (5xx, network
+   * errors) disallows everything.
+   * @param {string} url URL of the robots.txt.
+   * @param {object} httpOptions Normalized HTTP options.
+   * @returns {Promise<{status:"ok"|"missing"|"unreachable", robots:{groups:Array,sitemaps:Array<string>}}>}
+   */
+  static async #fetchRobots(url, httpOptions) {
+    const disallowAll = {
+      groups: [{ agents: ["*"], rules: [{ allow: false, path: "/" }] }],
+      sitemaps: [],
+    };
+    let res;
+    try {
+      res = await LLMSManager.#request(url, httpOptions);
+    } catch (err) {
+      if (httpOptions.signal?.aborted) throw err;
+      return { status: "unreachable", robots: disallowAll };
+    }
+    if (res.statusCode >= 400 && res.statusCode < 500) {
+      return { status: "missing", robots: { groups: [], sitemaps: [] } };
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return { status: "unreachable", robots: disallowAll };
+    }
+    const text = await LLMSManager.#decodeBody(res.body, {
+      path: "/robots.txt",
+      contentEncoding: res.headers["content-encoding"],
+      maxSize: httpOptions.maxResponseSize,
+    });
+    return { status: "ok", robots: parseRobotsTxt(text) };
+  }
+
+  /**
+   * Get loaded sitemap entries.
+   * @returns {Array<SitemapEntry>}
+   */
+  getSitemapEntries() {
+    return this.#sitemapEntries.slice();
+  }
+
+  /**
+   * Internal method: Fetch content from URL or local file, with HTTP -> HTTPS fallback.
+   * Shared by instance and static methods; network requests go through #request.
+   * @param {string} urlString
+   * @param {object} [options] HTTP options as accepted by the constructor's `http` option.
+   * @param {HttpCache|null} [cache] Cache for conditional requests and change tracking.
+   * @returns {Promise<string>} Resolves raw response or file content text.
+   * @throws Throws on fetch/read failure.
+   */
+  static async #fetchWithFallback(urlString, options = {}, cache = null) {
+    const httpOptions = LLMSManager.#normalizeHttpOptions(options);
+
+    if (urlString.startsWith("file://")) {
+      // Read local file
+      try {
+        const filePath = fileURLToPath(urlString);
+        if (!existsSync(filePath)) {
+          throw new Error(`File not found: ${filePath}`);
+        }
+        const buffer = await readFile(filePath);
+        const text = await LLMSManager.#decodeBody(buffer, {
+          path: filePath,
+          maxSize: httpOptions.maxResponseSize,
+        });
+        if (cache) await cache.put(urlString, { text });
+        return text;
+      } catch (err) {
+        throw new Error(`Failed to read local file: ${err.message}`);
+      }
+    }
+
+    const tryRequest = async (href) => {
+      const cached = cache ? await cache.get(href) : null;
+      const res = await LLMSManager.#request(
+        href,
+        cached
+          ? {
+              ...httpOptions,
+              headers: {
+                ...httpOptions.headers,
+                ...HttpCache.conditionalHeaders(cached),
+              },
+            }
+          : httpOptions
+      );
+      if (cached && res.statusCode === 304) {
+        cache.notModified(href);
+        return cached.text;
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw new Error(
+          `Failed to fetch ${res.url} (Status: ${res.statusCode})`
+        );
+      }
+      const text = await LLMSManager.#decodeBody(res.body, {
+        path: new URL(res.url).pathname,
+        contentEncoding: res.headers["content-encoding"],
+        maxSize: httpOptions.maxResponseSize,
+      });
+      if (cache) {
+        await cache.put(href, {
+          etag: res.headers.etag,
+          lastModified: res.headers["last-modified"],
+          text,
+        });
+      }
+      return text;
+    };
+
+    return LLMSManager.#withProtocolFallback(
+      urlString,
+      tryRequest,
+      httpOptions.signal
+    );
+  }
+
+  /**
+   * Internal helper: Run a fetch attempt, retrying an http:// URL once over
+   * https:// when the connection itself fails. HTTP error statuses, timeouts
+   * and https:// URLs never fall back, so requests are not downgraded to
+   * plain http and the retry and timeout budget is spent only once.
+   * @template T
+   * @param {string} urlString Absolute http(s) URL.
+   * @param {(href:string) => Promise<T>} attempt
+   * @param {AbortSignal} [signal] Abort signal; no fallback once aborted.
+   * @returns {Promise<T>}
+   * @throws Throws if the attempt fails without a fallback, if both attempts
+   * fail (or on abort).
+   */
+  static async #withProtocolFallback(urlString, attempt, signal) {
+    const url = new URL(urlString);
+    try {
+      return await attempt(url.href);
+    } catch (e) {
+      if (
+        signal?.aborted ||
+        url.protocol !== "http:" ||
+        !LLMSManager.#CONNECTION_ERRORS.has(e.code)
+      ) {
+        throw e;
+      }
+      try {
+        url.protocol = "https:";
+        return await attempt(url.href);
+      } catch (err) {
+        throw new Error(
+          `Failed to fetch URL with both protocols: ${e.message}; fallback error: ${err.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Internal helper: Open a 2xx response body as a stream (redirects and
+   * retries as in #request).
+   * @param {string} href Absolute http(s) URL.
+   * @param {object} httpOptions Normalized HTTP options.
+   * @returns {Promise<{url:string,headers:object,stream:import("stream").Readable}>}
+   * @throws Throws on network errors and non-2xx responses.
+   */
+  static async #openStream(href, httpOptions) {
+    const res = await LLMSManager.#request(href, {
+      ...httpOptions,
+      stream: true,
+    });
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.stream.destroy();
+      throw new Error(`Failed to fetch ${res.url} (Status: ${res.statusCode})`);
+    }
+    return res;
+  }
+
+  /**
+   * Internal helper: Decode a raw response or file body to UTF-8 text chunk by
+   * chunk. Undoes Content-Encoding, then decompresses gzip and zlib payloads
+   * detected by their magic bytes and brotli payloads by a `.br` extension.
+   * @param {AsyncIterable<Buffer>} chunks Raw body.
+   * @param {object} [options]
+   * @param {string} [options.path=""] Path or URL path, used to detect `.br` files.
+   * @param {string} [options.contentEncoding=""] Content-Encoding header value.
+   * @param {number} [options.maxSize=Infinity] Limit for raw and decoded bytes.
+   * @param {string} [options.href] URL named in size errors.
+   * @returns {AsyncGenerator<string>}
+   * @throws Throws on unsupported encodings, corrupt data or exceeded limits.
+   */
+  static async *#decodeStream(
+    chunks,
+    { path: source = "", contentEncoding = "", maxSize = Infinity, href } = {}
+  ) {
+    const limited = async function* (input, error) {
+      let size = 0;
+      for await (const chunk of input) {
+        size += chunk.length;
+        if (size > maxSize) throw error();
+        yield chunk;
+      }
+    };
+    const through = (input, transform) =>
+      pipeline(Readable.from(input), transform, () => {});
+    // Read the first bytes without losing them
+    const peek = async (input) => {
+      const iterator = input[Symbol.asyncIterator]();
+      let head = Buffer.alloc(0);
+      let done = false;
+      while (head.length < 2 && !done) {
+        const next = await iterator.next();
+        if (next.done) done = true;
+        else head = Buffer.concat([head, next.value]);
+      }
+      const rest = async function* () {
+        try {
+          if (head.length > 0) yield head;
+          if (done) return;
+          for (;;) {
+            const next = await iterator.next();
+            if (next.done) return;
+            yield next.value;
+          }
+        } finally {
+          if (!done) await iterator.return?.();
+        }
+      };
+      return { head, rest: rest() };
+    };
+    const isZlib = (head) =>
+      head[0] === 0x78 && [0x01, 0x5e, 0x9c, 0xda].includes(head[1]);
+
+    let body = limited(chunks, () =>
+      href
+        ? LLMSManager.#sizeError(href, maxSize)
+        : new Error(`Body exceeds maxResponseSize (${maxSize} bytes)`)
+    );
+
+    // 1) Undo transfer encodings in reverse order of application
+    const encodings = String(contentEncoding)
+      .split(",")
+      .map((e) => e.trim().toLowerCase())
+      .filter((e) => e && e !== "identity")
+      .reverse();
+    for (const encoding of encodings) {
+      if (encoding === "gzip" || encoding === "x-gzip") {
+        body = through(body, createGunzip());
+      } else if (encoding === "deflate") {
+        const { head, rest } = await peek(body);
+        body = through(
+          rest,
+          isZlib(head) ? createInflate() : createInflateRaw()
+        );
+      } else if (encoding === "br") {
+        body = through(body, createBrotliDecompress());
+      } else {
+        throw new Error(`Unsupported Content-Encoding: ${encoding}`);
+      }
+    }
+
+    // 2) Sniff compressed payloads, e.g. sitemap.xml.gz served as octet-stream
+    const { head, rest } = await peek(body);
+    body = rest;
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+      body = through(body, createGunzip());
+    } else if (isZlib(head)) {
+      body = through(body, createInflate());
+    } else if (/\.br$/i.test(source) && encodings.length === 0) {
+      // Brotli has no magic bytes, rely on the extension
+      body = through(body, createBrotliDecompress());
+    }
+
+    const decoder = new TextDecoder("utf-8");
+    for await (const chunk of limited(
+      body,
+      () =>
+        new Error(
+          `Decompressed body exceeds maxResponseSize (${maxSize} bytes)`
+        )
+    )) {
+      const text = decoder.decode(chunk, { stream: true });
+      if (text) yield text;
+    }
+    const tail = decoder.decode();
+    if (tail) yield tail;
+  }
+
+  /**
+   * Internal helper: Validate HTTP options and merge them with the defaults.
+   * @param {object} [options]
+   * @returns {object} Complete HTTP options.
+   * @throws {TypeError} If an option has an invalid type or range.
+   */
+  static #normalizeHttpOptions(options = {}) {
+    if (options === null || typeof options !== "object") {
+      throw new TypeError("http options must be an object");
+    }
+    const merged = { ...LLMSManager.#DEFAULT_HTTP_OPTIONS, ...options };
+    for (const key of [
+      "timeout",
+      "maxRedirects",
+      "retries",
+      "retryDelay",
+      "maxResponseSize",
+    ]) {
+      if (!Number.isFinite(merged[key]) || merged[key] < 0) {
+        throw new TypeError(`http.${key} must be a non-negative number`);
+      }
+    }
+    if (typeof merged.userAgent !== "string") {
+      throw new TypeError("http.userAgent must be a string");
+    }
+    if (merged.headers === null || typeof merged.headers !== "object") {
+      throw new TypeError("http.headers must be an object");
+    }
+    if (typeof merged.allowInsecureRedirects !== "boolean") {
+      throw new TypeError("http.allowInsecureRedirects must be boolean");
+    }
+    if (
+      merged.signal !== undefined &&
+      !(merged.signal instanceof AbortSignal)
+    ) {
+      throw new TypeError("http.signal must be an AbortSignal");
+    }
+    return merged;
+  }
+
+  /**
+   * Internal method: Perform an HTTP(S) request following redirects and retrying
+   * transient failures (network errors, timeouts, 429 and 5xx) with exponential
+   * backoff that honours Retry-After. Non-2xx final responses are returned, not thrown.
+   * The extra `headers` are dropped once a redirect leaves the original origin,
+   * and https → http redirects are refused unless `allowInsecureRedirects` is set.
+   * @param {string} urlString Absolute http(s) URL.
+   * @param {object} options Normalized HTTP options (see #normalizeHttpOptions).
+   * @param {string} [options.method="GET"]
+   * @param {boolean} [options.stream=false] Return the body as `stream` instead of buffering it.
+   * @returns {Promise<{url:string,statusCode:number,headers:object,body:Buffer|null,stream?:import("stream").Readable,redirects:Array<string>}>}
+   * @throws Throws on redirect loops, too many redirects, aborts or exhausted retries.
+   */
+  static async #request(urlString, options) {
+    const redirects = [];
+    const visited = new Set([urlString]);
+    let current = urlString;
+
+    for (;;) {
+      const res = await LLMSManager.#requestWithRetry(current, options);
+
+      const location = res.headers.location;
+      if (![301, 302, 303, 307, 308].includes(res.statusCode) || !location) {
+        return { ...res, url: current, redirects };
+      }
+      res.stream?.destroy();
+
+      const next = new URL(location, current);
+      if (next.protocol !== "http:" && next.protocol !== "https:") {
+        throw new Error(`Refusing redirect from ${current} to ${next.href}`);
+      }
+      if (
+        current.startsWith("https:") &&
+        next.protocol === "http:" &&
+        !options.allowInsecureRedirects
+      ) {
+        throw new Error(
+          `Refusing insecure redirect from ${current} to ${next.href} (set http.allowInsecureRedirects to follow it)`
+        );
+      }
+      if (visited.has(next.href)) {
+        throw new Error(`Redirect loop detected at ${next.href}`);
+      }
+      if (redirects.length >= options.maxRedirects) {
+        throw new Error(
+          `Too many redirects (max ${options.maxRedirects}) starting at ${urlString}`
+        );
+      }
+      visited.add(next.href);
+      redirects.push(next.href);
+      // Credentials and other extra headers only go to the original origin
+      if (next.origin !== new URL(urlString).origin) {
+        options = { ...options, headers: {} };
+      }
+      current = next.href;
+    }
+  }
+
+  /**
+   * Internal helper: Send one request, retrying transient failures.
+   * @param {string} urlString
+   * @param {object} options Normalized HTTP options.
+   * @returns {Promise<{statusCode:number,headers:object,body:Buffer}>}
+   */
+  static async #requestWithRetry(urlString, options) {
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      try {
+        res = await LLMSManager.#sendRequest(urlString, options);
+      } catch (err) {
+        if (
+          options.signal?.aborted ||
+          err.fatal ||
+          attempt >= options.retries
+        ) {
+          throw err;
+        }
+        await LLMSManager.#sleep(
+          Math.min(
+            options.retryDelay * 2 ** attempt,
+            LLMSManager.#MAX_RETRY_DELAY
+          ),
+          options.signal
+        );
+        continue;
+      }
+
+      const retryable = res.statusCode === 429 || res.statusCode >= 500;
+      if (!retryable || attempt >= options.retries) return res;
+      res.stream?.destroy();
+
+      let delay = options.retryDelay * 2 ** attempt;
+      const retryAfter = res.headers["retry-after"];
+      if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const waitMs = Number.isFinite(seconds)
+          ? seconds * 1000
+          : Date.parse(retryAfter) - Date.now();
+        if (Number.isFinite(waitMs)) delay = Math.max(delay, waitMs);
+      }
+      await LLMSManager.#sleep(
+        Math.min(delay, LLMSManager.#MAX_RETRY_DELAY),
+        options.signal
+      );
+    }
+  }
+
+  /**
+   * Internal helper: Send a single HTTP(S) request and buffer the raw body.
+   * Enforces the total timeout, the abort signal and the response size cap.
+   * @param {string} urlString
+   * @param {object} options Normalized HTTP options.
+   * @returns {Promise<{statusCode:number,headers:object,body:Buffer}>}
+   */
+  static #sendRequest(urlString, options) {
+    return new Promise((resolve, reject) => {
+      const urlObj = new URL(urlString);
+      const lib = urlObj.protocol === "https:" ? httpsRequest : httpRequest;
+      const headers = {
+        "User-Agent": options.userAgent,
+        "Accept-Encoding": "gzip, deflate, br",
+        ...options.headers,
+      };
+      const req = lib(
+        urlObj,
+        { method: options.method || "GET", headers, signal: options.signal },
+        (res) => {
+          const declared = Number(res.headers["content-length"]);
+          if (declared > options.maxResponseSize) {
+            res.destroy();
+            fail(LLMSManager.#sizeError(urlObj.href, options.maxResponseSize));
+            return;
+          }
+          if (options.stream) {
+            // The caller consumes the body; the timeout now limits idle time
+            clearTimeout(timer);
+            if (options.timeout > 0) {
+              res.setTimeout(options.timeout, () =>
+                res.destroy(
+                  Object.assign(
+                    new Error(
+                      `Response from ${urlObj.href} stalled for ${options.timeout}ms`
+                    ),
+                    { code: "ETIMEDOUT" }
+                  )
+                )
+              );
+            }
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: null,
+              stream: res,
+            });
+            return;
+          }
+          const chunks = [];
+          let size = 0;
+          res.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > options.maxResponseSize) {
+              res.destroy();
+              fail(
+                LLMSManager.#sizeError(urlObj.href, options.maxResponseSize)
+              );
+              return;
+            }
+            chunks.push(chunk);
+          });
+          res.on("end", () => {
+            clearTimeout(timer);
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: Buffer.concat(chunks),
+            });
+          });
+          res.on("error", fail);
+        }
+      );
+
+      const fail = (err) => {
+        clearTimeout(timer);
+        req.destroy();
+        reject(err);
+      };
+      const timer =
+        options.timeout > 0
+          ? setTimeout(
+              () =>
+                fail(
+                  Object.assign(
+                    new Error(
+                      `Request to ${urlObj.href} timed out after ${options.timeout}ms`
+                    ),
+                    { code: "ETIMEDOUT" }
+                  )
+                ),
+              options.timeout
+            )
+          : undefined;
+
+      req.on("error", fail);
+      req.end();
+    });
+  }
+
+  /**
+   * Internal helper: Build the non-retryable error for oversized responses.
+   * @param {string} href
+   * @param {number} limit
+   * @returns {Error}
+   */
+  static #sizeError(href, limit) {
+    const err = new Error(
+      `Response from ${href} exceeds maxResponseSize (${limit} bytes)`
+    );
+    err.fatal = true;
+    return err;
+  }
+
+  /**
+   * Internal helper: Wait for the given time, rejecting early if the signal aborts.
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  static #sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Internal helper: Decode a whole raw response or file body with #decodeStream.
+   * @param {Buffer} buffer Raw body bytes.
+   * @param {object} [info] Options as accepted by #decodeStream.
+   * @returns {Promise<string>}
+   * @throws Throws on unsupported encodings, corrupt or oversized compressed data.
+   */
+  static async #decodeBody(buffer, info = {}) {
+    let text = "";
+    for await (const chunk of LLMSManager.#decodeStream([buffer], info)) {
+      text += chunk;
+    }
+    return text;
+  }
+
+  /**
+   * Resolve the child sitemap URLs of a sitemap index.
+   * Relative locations are resolved against the index URL. Children of remote
+   * indexes must be http(s); file:// children are only followed from local indexes.
+   * @param {Array<{loc:string}>} records Parsed <sitemap> records.
+   * @param {string} baseUrl URL the index was loaded from.
+   * @returns {Array<string>} Unique child sitemap URLs in document order.
+   */
+  #resolveChildSitemaps(records, baseUrl) {
+    const isLocal = baseUrl.startsWith("file://");
+    const children = [];
+    for (const { loc } of records) {
+      let child;
+      try {
+        child = new URL(loc, baseUrl);
+      } catch {
+        continue;
+      }
+      const allowed =
+        child.protocol === "http:" ||
+        child.protocol === "https:" ||
+        (child.protocol === "file:" && isLocal);
+      if (!allowed || children.includes(child.href)) continue;
+      children.push(child.href);
+    }
+    return children;
+  }
+
+  /**
+   * Set metadata for llms.txt header.
+   * Title and description must be single lines. Trailing whitespace of details
+   * lines is dropped, and details must not leave a code block open, so that
+   * parseLLMSTxt() reads them back unchanged.
+   * @param {string} title Main project/site title.
+   * @param {string} description Short descriptive blockquote.
+   * @param {string} [details] Optional free-form paragraph(s) rendered below the blockquote.
+   */
+  setMetadata(title, description, details = "") {
+    if (typeof title !== "string" || title.trim() === "") {
+      throw new TypeError("title must be non-empty string");
+    }
+    if (typeof description !== "string" || description.trim() === "") {
+      throw new TypeError("description must be non-empty string");
+    }
+    if (typeof details !== "string") {
+      throw new TypeError("details must be string");
+    }
+    if (/[\r\n]/.test(title.trim())) {
+      throw new TypeError("title must be a single line");
+    }
+    if (/[\r\n]/.test(description.trim())) {
+      throw new TypeError(
+        "description must be a single line (use details for more text)"
+      );
+    }
+    const detailLines = details.split(/\r?\n/).map((l) => l.trimEnd());
+    const fences = detailLines.filter((l) => /^\s*(```|~~~)/.test(l)).length;
+    if (fences % 2 !== 0) {
+      throw new TypeError("details must not leave a code block open");
+    }
+    this.#title = title.trim();
+    this.#description = description.trim();
+    this.#details = detailLines.join("\n").trim();
+  }
+
+  /**
+   * Get the llms.txt header metadata.
+   * @returns {{title:string, description:string, details:string}}
+   */
+  getMetadata() {
+    return {
+      title: this.#title,
+      description: this.#description,
+      details: this.#details,
+    };
+  }
+
+  /**
+   * Add core content items (to the "Core Content" section).
+   * @param {Array<ContentItem>} items
+   */
+  addCoreContent(items) {
+    this.addSectionContent(LLMSManager.CORE_SECTION, items);
+  }
+
+  /**
+   * Add optional content items (to the "Optional" section).
+   * @param {Array<ContentItem>} items
+   */
+  addOptionalContent(items) {
+    this.addSectionContent(LLMSManager.OPTIONAL_SECTION, items);
+  }
+
+  /**
+   * Add a named section.
+   * New non-optional sections are inserted before the first optional section,
+   * optional sections are appended, unless an explicit position is given.
+   * @param {string} name Section heading, e.g. "Guides".
+   * @param {object} [options]
+   * @param {boolean} [options.optional] Mark the section as optional
+   *   (defaults to true for a section named "Optional").
+   * @param {number} [options.position] Zero-based index to insert the section at.
+   * @throws {TypeError} If the name is empty or options are invalid.
+   * @throws {Error} If a section with this name already exists.
+   */
+  addSection(name, { optional, position } = {}) {
+    const trimmed = this.#validateSectionName(name);
+    if (this.#findSection(trimmed)) {
+      throw new Error(`Section already exists: "${trimmed}"`);
+    }
+    const isOptional =
+      optional === undefined ? /^optional$/i.test(trimmed) : optional;
+    if (typeof isOptional !== "boolean") {
+      throw new TypeError("optional must be boolean");
+    }
+    if (
+      position !== undefined &&
+      (!Number.isInteger(position) || position < 0)
+    ) {
+      throw new TypeError("position must be a non-negative integer");
+    }
+
+    let index = position ?? this.#sections.length;
+    if (position === undefined && !isOptional) {
+      const firstOptional = this.#sections.findIndex((s) => s.optional);
+      if (firstOptional !== -1) index = firstOptional;
+    }
+    this.#sections.splice(index, 0, {
+      name: trimmed,
+      optional: isOptional,
+      items: [],
+    });
+  }
+
+  /**
+   * Remove a section and all of its items.
+   * @param {string} name
+   * @returns {boolean} Whether a section was removed.
+   */
+  removeSection(name) {
+    const section = this.#findSection(this.#validateSectionName(name));
+    if (!section) return false;
+    this.#sections.splice(this.#sections.indexOf(section), 1);
+    return true;
+  }
+
+  /**
+   * Reorder sections. Listed sections come first in the given order,
+   * unlisted sections keep their relative order after them.
+   * @param {Array<string>} names
+   * @throws {Error} If a name does not match an existing section.
+   */
+  reorderSections(names) {
+    if (!Array.isArray(names)) {
+      throw new TypeError("names must be array");
+    }
+    const ordered = [];
+    for (const name of names) {
+      const section = this.#findSection(this.#validateSectionName(name));
+      if (!section) throw new Error(`Unknown section: "${name}"`);
+      if (!ordered.includes(section)) ordered.push(section);
+    }
+    this.#sections = [
+      ...ordered,
+      ...this.#sections.filter((s) => !ordered.includes(s)),
+    ];
+  }
+
+  /**
+   * Mark a section as optional or not.
+   * @param {string} name
+   * @param {boolean} optional
+   * @throws {Error} If the section does not exist.
+   */
+  setSectionOptional(name, optional) {
+    if (typeof optional !== "boolean") {
+      throw new TypeError("optional must be boolean");
+    }
+    const section = this.#findSection(this.#validateSectionName(name));
+    if (!section) throw new Error(`Unknown section: "${name}"`);
+    section.optional = optional;
+  }
+
+  /**
+   * Add items to a named section, creating the section if needed.
+   * With `normalizeUrls`, item URLs are normalised and an item whose URL is
+   * already listed in any section is merged into it (filling in missing
+   * notes) instead of being added; see getMergedDuplicates().
+   * @param {string} name
+   * @param {Array<ContentItem>} items
+   */
+  addSectionContent(name, items) {
+    const trimmed = this.#validateSectionName(name);
+    this.#validateContentItems(items);
+    if (!this.#findSection(trimmed)) this.addSection(trimmed);
+    const section = this.#findSection(trimmed);
+    if (!this.#urlNormalization) {
+      section.items.push(
+        ...items.map(({ title, url, notes = "" }) => ({
+          title: title.trim(),
+          url: url.trim(),
+          notes: notes.trim(),
+        }))
+      );
+      return;
+    }
+
+    const listed = new Map(
+      this.#sections
+        .flatMap((s) => s.items.map((i) => [this.#itemKey(i.url), i]))
+        .reverse()
+    );
+    for (const { title, url, notes = "" } of items) {
+      const item = {
+        title: title.trim(),
+        url: this.#itemKey(url.trim()),
+        notes: notes.trim(),
+      };
+      const existing = listed.get(item.url);
+      if (existing) {
+        if (!existing.notes) existing.notes = item.notes;
+        LLMSManager.#recordDuplicate(
+          this.#mergedItems,
+          "content",
+          existing.url,
+          url.trim()
+        );
+        continue;
+      }
+      listed.set(item.url, item);
+      section.items.push(item);
+    }
+  }
+
+  /**
+   * Get a copy of all sections in output order.
+   * @returns {Array<{name:string,optional:boolean,items:Array<ContentItem>}>}
+   */
+  getSections() {
+    return this.#sections.map((s) => ({
+      ...s,
+      items: s.items.map((i) => ({ ...i })),
+    }));
+  }
+
+  /**
+   * Find a section by name (case-insensitive).
+   * @param {string} name Trimmed section name.
+   * @returns {{name:string,optional:boolean,items:Array<ContentItem>}|undefined}
+   */
+  #findSection(name) {
+    const key = name.toLowerCase();
+    return this.#sections.find((s) => s.name.toLowerCase() === key);
+  }
+
+  /**
+   * Validate a section name.
+   * @param {string} name
+   * @returns {string} Trimmed name.
+   */
+  #validateSectionName(name) {
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new TypeError("section name must be non-empty string");
+    }
+    if (/[\r\n]/.test(name)) {
+      throw new TypeError("section name must be a single line");
+    }
+    return name.trim();
+  }
+
+  /**
+   * Validate content items array.
+   * @param {Array<ContentItem>} items
+   */
+  #validateContentItems(items) {
+    if (!Array.isArray(items)) {
+      throw new TypeError("items must be array");
+    }
+    for (const i of items) {
+      if (
+        typeof i.title !== "string" ||
+        i.title.trim() === "" ||
+        typeof i.url !== "string" ||
+        i.url.trim() === ""
+      ) {
+        throw new TypeError(
+          "Each item must have non-empty string properties title and url"
+        );
+      }
+      if (i.notes !== undefined && typeof i.notes !== "string") {
+        throw new TypeError("Item notes must be string");
+      }
+      if (
+        [i.title, i.url, i.notes ?? ""].some((v) => /[\r\n]/.test(v.trim()))
+      ) {
+        throw new TypeError("Item title, url and notes must be single lines");
+      }
+      // Control characters cannot be written to a Markdown link destination
+      if (/[\u0000-\u001f\u007f]/.test(i.url.trim())) {
+        throw new TypeError("Item url must not contain control characters");
+      }
+    }
+  }
+
+  /**
+   * Generates a clean, validated llms.txt markdown string.
+   * - Exactly one H1 title
+   * - Exactly one blockquote description
+   * - Optional details paragraph
+   * - One H2 section per non-empty section, in configured order
+   * - Link items with optional notes (`- [title](url): notes`)
+   * - Deduplicated URLs (first occurrence wins), compared after normalisation
+   *   with `normalizeUrls`
+   *
+   * Being synchronous, it skips the plugins' generation hooks; use generate()
+   * to run them.
+   *
+   * @param {object} [options]
+   * @param {Budget} [options.budget] - Drop the lowest-priority items until the
+   *   document fits; see generateLLMSTxtWithinBudget().
+   * @returns {string}
+   */
+  generateLLMSTxt({ budget } = {}) {
+    if (budget !== undefined) {
+      return this.generateLLMSTxtWithinBudget(budget).content;
+    }
+    return this.#renderLLMSTxt(this.#dedupedSections());
+  }
+
+  /**
+   * Generate llms.txt like generateLLMSTxt(), running the plugins'
+   * transformItem, beforeGenerate and afterGenerate hooks.
+   * @param {object} [options]
+   * @param {Budget} [options.budget] - Drop the lowest-priority items until the
+   *   document fits; see generateLLMSTxtWithinBudget().
+   * @returns {Promise<string>}
+   */
+  async generate({ budget } = {}) {
+    return (await this.#generate(budget)).content;
+  }
+
+  /**
+   * Internal helper: Generate llms.txt with the plugins' generation hooks.
+   * @param {Budget} [budget]
+   * @returns {Promise<{content:string, dropped?:Array<DroppedItem>}>}
+   */
+  async #generate(budget) {
+    const { metadata, sections } = await this.#prepareContent();
+    const result =
+      budget === undefined
+        ? { content: this.#renderLLMSTxt(sections, metadata) }
+        : this.#fitToBudget(sections, metadata, budget);
+    const content = await this.#runHook("afterGenerate", result.content, {
+      file: "llms.txt",
+    });
+    return result.dropped ? { content, dropped: result.dropped } : { content };
+  }
+
+  /**
+   * Internal helper: Metadata and deduplicated sections to render, after the
+   * plugins' transformItem and beforeGenerate hooks.
+   * @returns {Promise<{metadata:{title:string,description:string,details:string},
+   *   sections:Array<{name:string,optional:boolean,items:Array<ContentItem>}>}>}
+   */
+  async #prepareContent() {
+    const sections = this.#dedupedSections();
+    for (const section of sections) {
+      const items = [];
+      for (const item of section.items) {
+        const result = await this.#runHook("transformItem", item, {
+          section: section.name,
+        });
+        if (result !== null) items.push(result);
+      }
+      section.items = items;
+    }
+    return this.#runHook("beforeGenerate", {
+      metadata: this.getMetadata(),
+      sections,
+    });
+  }
+
+  /**
+   * Generate llms.txt within a size budget. While the document is too large,
+   * items are dropped one by one: items of optional sections first, then by
+   * ascending sitemap priority (0.5 for URLs not in the sitemap), later items
+   * first among equals. Sections left empty are omitted. Like generateLLMSTxt(),
+   * it skips the plugins' generation hooks; use generate({ budget }) to run them.
+   * @example
+   * const { content, dropped } = manager.generateLLMSTxtWithinBudget({ maxTokens: 8000 });
+   * @param {Budget} budget
+   * @returns {{content:string, size:{bytes:number,tokens:number}, dropped:Array<DroppedItem>}}
+   * @throws {Error} If the header (title, description, details) alone exceeds the budget.
+   */
+  generateLLMSTxtWithinBudget(budget) {
+    return this.#fitToBudget(
+      this.#dedupedSections(),
+      this.getMetadata(),
+      budget
+    );
+  }
+
+  /**
+   * Internal helper: Render llms.txt within a budget, dropping items as
+   * described in generateLLMSTxtWithinBudget().
+   * @param {Array<{name:string,optional:boolean,items:Array<ContentItem>}>} sections
+   *   Sections to render; items are removed from them.
+   * @param {{title:string,description:string,details:string}} metadata
+   * @param {Budget} budget
+   * @returns {{content:string, size:{bytes:number,tokens:number}, dropped:Array<DroppedItem>}}
+   */
+  #fitToBudget(sections, metadata, budget) {
+    const limits = LLMSManager.#normalizeBudget(budget);
+    const measure = (text) => LLMSManager.#measure(text, limits.tokenizer);
+    let size = measure(this.#renderLLMSTxt(sections, metadata));
+    const dropped = [];
+
+    if (!LLMSManager.#fits(size, limits)) {
+      const priorities = new Map(
+        this.#urls.map((e) => [this.#entryKey(e.loc), e.priority])
+      );
+      const candidates = sections
+        .flatMap((section, s) =>
+          section.items.map((item, i) => ({
+            section,
+            item,
+            optional: section.optional,
+            priority: priorities.get(this.#entryKey(item.url)) ?? 0.5,
+            order: s * 1e6 + i,
+          }))
+        )
+        .sort(
+          (a, b) =>
+            b.optional - a.optional ||
+            a.priority - b.priority ||
+            b.order - a.order
+        );
+
+      for (const candidate of candidates) {
+        if (LLMSManager.#fits(size, limits)) break;
+        const { section, item } = candidate;
+        section.items.splice(section.items.indexOf(item), 1);
+        if (limits.tokenizer) {
+          // A custom tokenizer need not count lines independently
+          size = measure(this.#renderLLMSTxt(sections, metadata));
+        } else {
+          // Line sizes add up, so the document is only rendered once more
+          size = LLMSManager.#subtractSize(
+            size,
+            measure(LLMSManager.#formatLinkItem(item) + "\n")
+          );
+          if (section.items.length === 0) {
+            size = LLMSManager.#subtractSize(
+              size,
+              measure(`## ${section.name}\n\n`)
+            );
+          }
+        }
+        dropped.push({
+          section: section.name,
+          title: item.title,
+          url: item.url,
+          priority: candidate.priority,
+        });
+      }
+    }
+
+    const content = this.#renderLLMSTxt(sections, metadata);
+    size = measure(content);
+    if (!LLMSManager.#fits(size, limits)) {
+      throw new Error(
+        `Budget too small: the llms.txt header alone needs ${size.tokens} tokens (${size.bytes} bytes)`
+      );
+    }
+    return { content, size, dropped };
+  }
+
+  /**
+   * Estimate the size of a text as UTF-8 bytes and LLM tokens.
+   * @example
+   * LLMSManager.estimateSize(manager.generateLLMSTxt()); // { bytes: 5123, tokens: 1290 }
+   * @param {string} text
+   * @param {object} [options]
+   * @param {(text:string) => number} [options.tokenizer] - Token counter replacing the built-in estimate.
+   * @returns {{bytes:number, tokens:number}}
+   */
+  static estimateSize(text, { tokenizer } = {}) {
+    if (typeof text !== "string") {
+      throw new TypeError("text must be string");
+    }
+    if (tokenizer !== undefined && typeof tokenizer !== "function") {
+      throw new TypeError("tokenizer must be a function");
+    }
+    return LLMSManager.#measure(text, tokenizer);
+  }
+
+  /**
+   * Internal helper: Bytes and tokens of a text.
+   * @param {string} text
+   * @param {(text:string) => number} [tokenizer]
+   * @returns {{bytes:number, tokens:number}}
+   */
+  static #measure(text, tokenizer) {
+    return {
+      bytes: Buffer.byteLength(text),
+      tokens: tokenizer ? tokenizer(text) : estimateTokens(text),
+    };
+  }
+
+  /**
+   * Internal helper: Difference of two sizes.
+   * @param {{bytes:number, tokens:number}} size
+   * @param {{bytes:number, tokens:number}} part
+   * @returns {{bytes:number, tokens:number}}
+   */
+  static #subtractSize(size, part) {
+    return {
+      bytes: size.bytes - part.bytes,
+      tokens: size.tokens - part.tokens,
+    };
+  }
+
+  /**
+   * Internal helper: Whether a size is within the limits of a budget.
+   * @param {{bytes:number, tokens:number}} size
+   * @param {{maxTokens:number, maxBytes:number}} limits
+   * @returns {boolean}
+   */
+  static #fits(size, limits) {
+    return size.bytes <= limits.maxBytes && size.tokens <= limits.maxTokens;
+  }
+
+  /**
+   * Internal helper: Validate a budget.
+   * @param {Budget} budget
+   * @returns {{maxTokens:number, maxBytes:number, tokenizer?:(text:string) => number}}
+   *   Limits, Infinity where not set.
+   * @throws {TypeError} If the budget is invalid or sets no limit.
+   */
+  static #normalizeBudget(budget) {
+    if (budget === null || typeof budget !== "object") {
+      throw new TypeError("budget must be an object");
+    }
+    const {
+      maxTokens = Infinity,
+      maxBytes = Infinity,
+      tokenizer,
+      ...unknown
+    } = budget;
+    const [extra] = Object.keys(unknown);
+    if (extra) {
+      throw new TypeError(`Unknown budget option: ${extra}`);
+    }
+    for (const [key, value] of Object.entries({ maxTokens, maxBytes })) {
+      if (typeof value !== "number" || !(value > 0)) {
+        throw new TypeError(`budget.${key} must be a positive number`);
+      }
+    }
+    if (maxTokens === Infinity && maxBytes === Infinity) {
+      throw new TypeError("budget must set maxTokens or maxBytes");
+    }
+    if (tokenizer !== undefined && typeof tokenizer !== "function") {
+      throw new TypeError("budget.tokenizer must be a function");
+    }
+    return { maxTokens, maxBytes, tokenizer };
+  }
+
+  /**
+   * Internal helper: Sections in output order with items deduplicated by URL
+   * (first occurrence wins) and URLs normalised with `normalizeUrls`.
+   * @returns {Array<{name:string,optional:boolean,items:Array<ContentItem>}>}
+   */
+  #dedupedSections() {
+    const seen = new Set();
+    return this.#sections.map((section) => ({
+      name: section.name,
+      optional: section.optional,
+      items: section.items
+        .map((item) => ({ ...item, url: this.#itemKey(item.url) }))
+        .filter(({ url }) => {
+          if (seen.has(url)) return false;
+          seen.add(url);
+          return true;
+        }),
+    }));
+  }
+
+  /**
+   * Internal helper: Render llms.txt markdown; empty sections are omitted.
+   * @param {Array<{name:string,items:Array<ContentItem>}>} sections
+   * @param {{title:string,description:string,details:string}} [metadata]
+   * @returns {string}
+   */
+  #renderLLMSTxt(
+    sections,
+    { title, description, details } = this.getMetadata()
+  ) {
+    // 1) Header
+    const lines = [];
+
+    // Title
+    lines.push(`# ${title}`);
+
+    // Description blockquote
+    lines.push(`> ${description}`, ``);
+
+    // Details
+    if (details) {
+      lines.push(LLMSManager.#escapeDetails(details), ``);
+    }
+
+    // 2) Sections
+    for (const section of sections) {
+      if (section.items.length === 0) continue;
+
+      lines.push(`## ${section.name}`);
+      for (const item of section.items) {
+        lines.push(LLMSManager.#formatLinkItem(item));
+      }
+      lines.push(``); // blank line
+    }
+
+    // 3) Return joined content
+    return lines.join("\n");
+  }
+
+  /**
+   * Validate llms.txt markdown and report structured diagnostics instead of throwing.
+   * Usable on any (third-party) llms.txt; does not depend on instance state.
+   *
+   * Rules:
+   * - `missing-h1` (error): no `# Title` line
+   * - `multiple-h1` (error): more than one `# Title` line
+   * - `missing-description` (warning): no blockquote summary after the title
+   * - `multiple-blockquotes` (warning): blockquotes besides the summary
+   * - `malformed-list-item` (error): list item that is not `- [title](url)` / `- [title](url): notes`
+   * - `invalid-url` (error): link URL that cannot be parsed
+   * - `relative-url` (warning): link URL that is not absolute
+   * - `duplicate-link` (warning): URL already linked earlier in the document
+   * - `empty-section` (warning): H2 section without link items
+   *
+   * @param {string} text - llms.txt markdown to validate.
+   * @param {object} [options]
+   * @param {boolean} [options.fix=false] - Also return the corrected text and the applied fixes.
+   * @param {string} [options.baseUrl] - Base URL used to resolve relative links when fixing.
+   * @param {string} [options.title] - Title inserted when fixing a missing H1.
+   * @param {string} [options.description] - Summary inserted when fixing a missing blockquote.
+   * @param {boolean|UrlNormalization} [options.normalizeUrls=false] - Compare URLs after
+   *   normalisation when looking for duplicate links.
+   * @returns {{valid:boolean, diagnostics:Array<Diagnostic>, output?:string, fixes?:Array<Diagnostic>}}
+   *   `valid` is false if any error was found. In fix mode, `output` is the corrected
+   *   text and `fixes` lists the applied fixes (line numbers refer to the text the fix
+   *   was applied to; fixes cascade, e.g. a section emptied by duplicate removal).
+   */
+  static validate(text, options = {}) {
+    if (typeof text !== "string") {
+      throw new TypeError("text must be string");
+    }
+    if (options === null || typeof options !== "object") {
+      throw new TypeError("options must be an object");
+    }
+    const { fix = false, baseUrl, title, description } = options;
+    if (typeof fix !== "boolean") {
+      throw new TypeError("fix must be boolean");
+    }
+    for (const [key, value] of Object.entries({ title, description })) {
+      if (value !== undefined && (typeof value !== "string" || !value.trim())) {
+        throw new TypeError(`${key} must be non-empty string`);
+      }
+    }
+    if (baseUrl !== undefined && !LLMSManager.#isValidUrl(baseUrl)) {
+      throw new TypeError("baseUrl must be an absolute URL");
+    }
+    options = {
+      ...options,
+      normalizeUrls: LLMSManager.#normalizeUrlOptions(options.normalizeUrls),
+    };
+
+    const toPublic = ({ edit, ...diagnostic }) => diagnostic;
+    let lines = text.split(/\r?\n/);
+    const diagnostics = LLMSManager.#collectDiagnostics(lines, options);
+    const result = {
+      valid: !diagnostics.some((d) => d.severity === "error"),
+      diagnostics: diagnostics.map(toPublic),
+    };
+    if (!fix) return result;
+
+    // Apply fixes in passes until nothing fixable is left (bounded)
+    const fixes = [];
+    let pending = diagnostics;
+    for (let pass = 0; pass < 5; pass++) {
+      const edits = [];
+      const touched = new Set();
+      for (const d of pending) {
+        if (!d.edit || touched.has(d.edit.line)) continue;
+        touched.add(d.edit.line);
+        edits.push(d);
+      }
+      if (edits.length === 0) break;
+
+      fixes.push(...edits.map(toPublic));
+      lines = LLMSManager.#applyEdits(
+        lines,
+        edits.map((d) => d.edit)
+      );
+      pending = LLMSManager.#collectDiagnostics(lines, options);
+    }
+
+    result.output = lines.join("\n");
+    result.fixes = fixes;
+    return result;
+  }
+
+  /**
+   * Internal helper: Run all validation rules over the lines of an llms.txt.
+   * Fixable diagnostics carry an `edit` ({type:"replace"|"delete"|"insert", line, text}).
+   * @param {Array<string>} lines
+   * @param {object} options Options of validate().
+   * @returns {Array<Diagnostic & {edit?:object}>}
+   */
+  static #collectDiagnostics(
+    lines,
+    { baseUrl, title, description, normalizeUrls }
+  ) {
+    const diagnostics = [];
+    const report = (line, column, severity, rule, message, edit) =>
+      diagnostics.push({
+        line: line + 1,
+        column,
+        severity,
+        rule,
+        message,
+        fixable: Boolean(edit),
+        ...(edit ? { edit } : {}),
+      });
+
+    let h1Index = -1;
+    let summaryState = "pending"; // pending | open | done
+    let hasSummary = false;
+    let section = null;
+    let inCodeBlock = false;
+    const seenUrls = new Map();
+
+    const closeSection = () => {
+      if (section && section.items === 0) {
+        report(
+          section.index,
+          1,
+          "warning",
+          "empty-section",
+          `Section "${section.name}" has no link items`,
+          { type: "delete", line: section.index }
+        );
+      }
+    };
+
+    lines.forEach((raw, index) => {
+      const line = raw.trim();
+      const column = raw.length - raw.trimStart().length + 1;
+
+      if (/^(```|~~~)/.test(line)) {
+        inCodeBlock = !inCodeBlock;
+        return;
+      }
+      if (inCodeBlock || line === "") {
+        if (summaryState === "open" && line === "") summaryState = "done";
+        return;
+      }
+
+      if (/^#\s/.test(line)) {
+        if (h1Index === -1) {
+          h1Index = index;
+        } else {
+          report(
+            index,
+            column,
+            "error",
+            "multiple-h1",
+            "Only one H1 title is allowed"
+          );
+        }
+        return;
+      }
+
+      if (/^##\s/.test(line)) {
+        closeSection();
+        summaryState = "done";
+        section = {
+          name: line.replace(/^##\s+/, ""),
+          index,
+          items: 0,
+        };
+        return;
+      }
+
+      if (line.startsWith(">")) {
+        if (summaryState === "done" || h1Index === -1) {
+          report(
+            index,
+            column,
+            "warning",
+            "multiple-blockquotes",
+            "Only the summary directly after the title should be a blockquote",
+            { type: "replace", line: index, text: line.replace(/^>\s?/, "") }
+          );
+        } else {
+          summaryState = "open";
+          hasSummary = true;
+        }
+        return;
+      }
+      if (h1Index !== -1) summaryState = "done";
+
+      // Link list items are only meaningful inside sections
+      if (!section || !/^([-*+](\s|\[)|\[)/.test(line)) return;
+
+      let item = /^- \[/.test(line) ? LLMSManager.#parseLinkItem(line) : null;
+      if (!item) {
+        const lenient = line.match(
+          /^(?:[-*+]\s*)?\[(.+?)\]\s*\(\s*(\S+?)\s*\)\s*(?::?\s*(.*))?$/
+        );
+        item = lenient
+          ? {
+              title: lenient[1].trim(),
+              url: lenient[2],
+              notes: (lenient[3] || "").trim(),
+            }
+          : null;
+        report(
+          index,
+          column,
+          "error",
+          "malformed-list-item",
+          `Malformed list item, expected "- [title](url)": "${line}"`,
+          item
+            ? {
+                type: "replace",
+                line: index,
+                text: LLMSManager.#formatLinkItem(item),
+              }
+            : undefined
+        );
+        if (!item) return;
+      }
+      section.items += 1;
+
+      const urlColumn =
+        item.urlStart === undefined
+          ? raw.indexOf(item.url) + 1 || raw.indexOf("](") + 3
+          : column + item.urlStart;
+      let key = item.url;
+      if (!/^[a-z][a-z\d+.-]*:/i.test(item.url)) {
+        let resolved = null;
+        try {
+          resolved = new URL(item.url, baseUrl || "http://localhost").href;
+        } catch {
+          // handled as invalid below
+        }
+        if (resolved === null) {
+          report(
+            index,
+            urlColumn,
+            "error",
+            "invalid-url",
+            `Invalid URL: "${item.url}"`
+          );
+          return;
+        }
+        if (baseUrl) key = resolved;
+        report(
+          index,
+          urlColumn,
+          "warning",
+          "relative-url",
+          `Relative URL should be absolute: "${item.url}"`,
+          baseUrl
+            ? {
+                type: "replace",
+                line: index,
+                text: LLMSManager.#formatLinkItem({ ...item, url: resolved }),
+              }
+            : undefined
+        );
+      } else if (!LLMSManager.#isValidUrl(item.url)) {
+        report(
+          index,
+          urlColumn,
+          "error",
+          "invalid-url",
+          `Invalid URL: "${item.url}"`
+        );
+        return;
+      }
+
+      if (normalizeUrls) {
+        try {
+          key = normalizeUrl(key, normalizeUrls);
+        } catch {
+          // relative URL without baseUrl, compared as written
+        }
+      }
+      if (seenUrls.has(key)) {
+        report(
+          index,
+          urlColumn,
+          "warning",
+          "duplicate-link",
+          `Duplicate link, already listed on line ${seenUrls.get(key) + 1}: "${
+            item.url
+          }"`,
+          { type: "delete", line: index }
+        );
+      } else {
+        seenUrls.set(key, index);
+      }
+    });
+    closeSection();
+
+    if (h1Index === -1) {
+      report(
+        0,
+        1,
+        "error",
+        "missing-h1",
+        "Missing H1 title line (# Title)",
+        title
+          ? { type: "insert", line: 0, text: `# ${title.trim()}` }
+          : undefined
+      );
+    } else if (!hasSummary) {
+      report(
+        h1Index,
+        1,
+        "warning",
+        "missing-description",
+        "Missing blockquote summary after the title",
+        description
+          ? {
+              type: "insert",
+              line: h1Index + 1,
+              text: `> ${description.trim()}`,
+            }
+          : undefined
+      );
+    }
+
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /**
+   * Internal helper: Apply line edits produced by #collectDiagnostics.
+   * @param {Array<string>} lines
+   * @param {Array<{type:string,line:number,text?:string}>} edits At most one edit per line.
+   * @returns {Array<string>} New lines.
+   */
+  static #applyEdits(lines, edits) {
+    const result = lines.slice();
+    // Bottom-up so earlier indices stay valid
+    for (const edit of edits.slice().sort((a, b) => b.line - a.line)) {
+      if (edit.type === "replace") {
+        result[edit.line] = edit.text;
+      } else if (edit.type === "delete") {
+        // Drop a following blank line together with a removed heading
+        const count =
+          /^##\s/.test(result[edit.line].trim()) && result[edit.line + 1] === ""
+            ? 2
+            : 1;
+        result.splice(edit.line, count);
+      } else if (edit.type === "insert") {
+        result.splice(edit.line, 0, edit.text);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Format a content item as a markdown list item. Brackets and backslashes in
+   * the title are backslash-escaped and the URL is written with
+   * #formatDestination(); #parseLinkItem() reverses both.
+   * @param {ContentItem} item
+   * @returns {string}
+   */
+  static #formatLinkItem({ title, url, notes }) {
+    const text = title.replace(/[\\[\]]/g, "\\$&");
+    const link = `[${text}](${LLMSManager.#formatDestination(url)})`;
+    return notes ? `- ${link}: ${notes}` : `- ${link}`;
+  }
+
+  /**
+   * Format a URL as a Markdown link destination: URLs with whitespace,
+   * parentheses, angle brackets or backslashes are written as `<url>` with
+   * `\`, `<` and `>` backslash-escaped, others as-is.
+   * @param {string} url URL without control characters.
+   * @returns {string}
+   */
+  static #formatDestination(url) {
+    return /[\s()<>\\]/.test(url) ? `<${url.replace(/[\\<>]/g, "\\$&")}>` : url;
+  }
+
+  /**
+   * Escape details so that none of their lines reads as a section heading:
+   * outside code blocks, a line starting with "#" (after optional backslashes)
+   * gets one more leading backslash. parseLLMSTxt() removes it again.
+   * @param {string} details
+   * @returns {string}
+   */
+  static #escapeDetails(details) {
+    let inCodeBlock = false;
+    return details
+      .split("\n")
+      .map((line) => {
+        if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+        return inCodeBlock ? line : line.replace(/^(\s*)(\\*#)/, "$1\\$2");
+      })
+      .join("\n");
+  }
+
+  /**
+   * Validate URL syntax.
+   * @param {string} urlString
+   * @returns {boolean}
+   */
+  static #isValidUrl(urlString) {
+    try {
+      new URL(urlString);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check that every linked URL still resolves. Each URL is requested once
+   * with HEAD, falling back to GET when HEAD fails or returns an error status;
+   * redirects are followed. Optionally broken items are removed and redirected
+   * ones rewritten to their final target.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.includeOptional=true] - Also check items of optional sections.
+   * @param {number} [options.concurrency=4] - Maximum number of parallel requests.
+   * @param {number} [options.timeout] - Per-request timeout in ms (default: the manager's http timeout).
+   * @param {boolean} [options.prune=false] - Remove items whose URL is broken.
+   * @param {boolean} [options.rewriteRedirects=false] - Replace redirected URLs by their final target.
+   * @returns {Promise<LinkCheckResult>}
+   */
+  async checkLinks(options = {}) {
+    const { includeOptional, concurrency, timeout, prune, rewriteRedirects } =
+      LLMSManager.#normalizeLinkCheckOptions(options, false);
+    const httpOptions = {
+      ...this.#httpOptions,
+      timeout: timeout ?? this.#httpOptions.timeout,
+    };
+    const urls = this.#collectItems({ includeOptional }).map((i) => i.url);
+    const links = await LLMSManager.#mapConcurrent(
+      urls,
+      concurrency,
+      async (url) => {
+        const href = await this.#runHook("beforeFetch", url, { type: "link" });
+        const report = await LLMSManager.#checkLink(href, httpOptions);
+        if (href === url) return report;
+        // Report the item URL; only real redirects lead to a rewrite
+        return {
+          ...report,
+          url,
+          finalUrl: report.redirects.length > 0 ? report.finalUrl : url,
+        };
+      }
+    );
+
+    const { pruned, rewritten, replace } = LLMSManager.#planLinkFixes(links, {
+      prune,
+      rewriteRedirects,
+    });
+    for (const section of this.#sections) {
+      if (section.optional && !includeOptional) continue;
+      section.items = section.items
+        .filter((item) => !pruned.includes(item.url))
+        .map((item) => ({ ...item, url: replace.get(item.url) ?? item.url }));
+    }
+    return { ok: links.every((l) => l.ok), links, pruned, rewritten };
+  }
+
+  /**
+   * Check the links of any llms.txt document (see the checkLinks() instance
+   * method). With `prune` or `rewriteRedirects`, `output` holds the corrected
+   * document: text with only the affected lines changed, or a parsed copy.
+   *
+   * @param {string|object} document - llms.txt text or parseLLMSTxt() result.
+   * @param {object} [options] - Options of the instance method, plus:
+   * @param {object} [options.http] - HTTP options as accepted by the constructor.
+   * @returns {Promise<LinkCheckResult & {output?: string|object}>}
+   * @throws {TypeError} If document is neither a string nor a parsed document.
+   */
+  static async checkLinks(document, options = {}) {
+    const {
+      includeOptional,
+      concurrency,
+      timeout,
+      prune,
+      rewriteRedirects,
+      http,
+    } = LLMSManager.#normalizeLinkCheckOptions(options, true);
+    let parsed;
+    if (typeof document === "string") {
+      parsed = LLMSManager.parseLLMSTxt(document);
+    } else if (
+      document &&
+      typeof document === "object" &&
+      Array.isArray(document.sections)
+    ) {
+      parsed = document;
+    } else {
+      throw new TypeError(
+        "document must be llms.txt text or a parsed document"
+      );
+    }
+    const httpOptions = LLMSManager.#normalizeHttpOptions(http);
+    if (timeout !== undefined) httpOptions.timeout = timeout;
+
+    const urls = [
+      ...new Set(
+        parsed.sections
+          .filter((s) => includeOptional || !s.optional)
+          .flatMap((s) => s.items.map((i) => i.url))
+      ),
+    ];
+    const links = await LLMSManager.#mapConcurrent(urls, concurrency, (url) =>
+      LLMSManager.#checkLink(url, httpOptions)
+    );
+    const { pruned, rewritten, replace } = LLMSManager.#planLinkFixes(links, {
+      prune,
+      rewriteRedirects,
+    });
+    const result = { ok: links.every((l) => l.ok), links, pruned, rewritten };
+    if (!prune && !rewriteRedirects) return result;
+
+    if (typeof document === "string") {
+      let section = null;
+      const lines = [];
+      for (const line of document.split("\n")) {
+        const heading = line.match(/^##\s+(.+?)\s*$/);
+        if (heading) section = heading[1];
+        const item = LLMSManager.#parseLinkItem(line.trim().replace(/\r$/, ""));
+        const applies =
+          item &&
+          (includeOptional ||
+            section === null ||
+            !parsed.sections.find((s) => s.name === section)?.optional);
+        if (applies && pruned.includes(item.url)) continue;
+        if (applies && replace.has(item.url)) {
+          const indent = line.length - line.trimStart().length;
+          lines.push(
+            line.slice(0, indent + item.urlStart) +
+              LLMSManager.#formatDestination(replace.get(item.url)) +
+              line.slice(indent + item.urlEnd)
+          );
+          continue;
+        }
+        lines.push(line);
+      }
+      result.output = lines.join("\n");
+    } else {
+      result.output = {
+        ...parsed,
+        sections: parsed.sections.map((s) =>
+          s.optional && !includeOptional
+            ? s
+            : {
+                ...s,
+                items: s.items
+                  .filter((i) => !pruned.includes(i.url))
+                  .map((i) => ({ ...i, url: replace.get(i.url) ?? i.url })),
+              }
+        ),
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Internal helper: Check one URL with HEAD, falling back to GET.
+   * @param {string} url
+   * @param {object} httpOptions Normalized HTTP options.
+   * @returns {Promise<LinkReport>}
+   */
+  static async #checkLink(url, httpOptions) {
+    const report = {
+      url,
+      ok: false,
+      status: null,
+      method: "HEAD",
+      redirects: [],
+      finalUrl: url,
+      contentType: null,
+      timedOut: false,
+    };
+    if (!/^https?:\/\//i.test(url) || !LLMSManager.#isValidUrl(url)) {
+      report.error = `Unsupported or invalid URL: ${url}`;
+      return report;
+    }
+
+    let res = null;
+    try {
+      res = await LLMSManager.#request(url, { ...httpOptions, method: "HEAD" });
+    } catch (err) {
+      if (httpOptions.signal?.aborted) throw err;
+    }
+    if (!res || res.statusCode >= 400) {
+      // Some servers reject or mishandle HEAD
+      report.method = "GET";
+      try {
+        res = await LLMSManager.#request(url, {
+          ...httpOptions,
+          method: "GET",
+        });
+      } catch (err) {
+        if (httpOptions.signal?.aborted) throw err;
+        report.error = err.message;
+        report.timedOut = err.code === "ETIMEDOUT";
+        return report;
+      }
+    }
+
+    report.status = res.statusCode;
+    report.redirects = res.redirects;
+    report.finalUrl = res.url;
+    report.contentType =
+      (res.headers["content-type"] || "").split(";")[0].trim().toLowerCase() ||
+      null;
+    report.ok = res.statusCode >= 200 && res.statusCode < 300;
+    return report;
+  }
+
+  /**
+   * Internal helper: Decide which links to prune and rewrite.
+   * @param {Array<LinkReport>} links
+   * @param {{prune:boolean, rewriteRedirects:boolean}} options
+   * @returns {{pruned:Array<string>, rewritten:Array<{from:string,to:string}>, replace:Map<string,string>}}
+   */
+  static #planLinkFixes(links, { prune, rewriteRedirects }) {
+    const pruned = prune ? links.filter((l) => !l.ok).map((l) => l.url) : [];
+    const rewritten = rewriteRedirects
+      ? links
+          .filter((l) => l.ok && l.finalUrl !== l.url)
+          .map((l) => ({ from: l.url, to: l.finalUrl }))
+      : [];
+    return {
+      pruned,
+      rewritten,
+      replace: new Map(rewritten.map((r) => [r.from, r.to])),
+    };
+  }
+
+  /**
+   * Internal helper: Validate checkLinks() options and apply defaults.
+   * @param {object} options
+   * @param {boolean} allowHttp Whether the `http` option is accepted.
+   * @returns {object} Normalized options.
+   * @throws {TypeError} If an option is invalid.
+   */
+  static #normalizeLinkCheckOptions(options, allowHttp) {
+    if (options === null || typeof options !== "object") {
+      throw new TypeError("checkLinks options must be an object");
+    }
+    const {
+      includeOptional = true,
+      concurrency = 4,
+      timeout,
+      prune = false,
+      rewriteRedirects = false,
+      http = {},
+      ...unknown
+    } = options;
+    const [extra] = Object.keys(unknown);
+    if (extra || (!allowHttp && options.http !== undefined)) {
+      throw new TypeError(`Unknown checkLinks option: ${extra ?? "http"}`);
+    }
+    for (const [key, value] of Object.entries({
+      includeOptional,
+      prune,
+      rewriteRedirects,
+    })) {
+      if (typeof value !== "boolean") {
+        throw new TypeError(`${key} must be boolean`);
+      }
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new TypeError("concurrency must be a positive integer");
+    }
+    if (
+      timeout !== undefined &&
+      !(typeof timeout === "number" && timeout > 0)
+    ) {
+      throw new TypeError("timeout must be a positive number");
+    }
+    return {
+      includeOptional,
+      concurrency,
+      timeout,
+      prune,
+      rewriteRedirects,
+      http,
+    };
+  }
+
+  /**
+   * Save llms.txt content to file. Writing is skipped when the file already
+   * holds byte-identical content.
+   * @param {string} filepath - Target file path
+   * @param {object} [options]
+   * @param {Budget} [options.budget] - Generate with generateLLMSTxtWithinBudget().
+   * @returns {Promise<{path:string, written:boolean, added:Array<string>, removed:Array<string>,
+   *   fetched:Array<{url:string,status:"new"|"changed"|"unchanged"|"not-modified"}>,
+   *   dropped?:Array<DroppedItem>}>}
+   *   Whether the file was written, links added and removed compared to the
+   *   previous file, (with `cacheDir`) what happened to every sitemap and
+   *   page fetched since the last save, and (with `budget`) the dropped items.
+   */
+  async saveToFile(filepath, { budget } = {}) {
+    if (typeof filepath !== "string" || filepath.trim() === "") {
+      throw new TypeError("filepath must be non-empty string");
+    }
+    const generated = await this.#generate(budget);
+    const content = await this.#runHook("beforeWrite", generated.content, {
+      path: filepath,
+      file: "llms.txt",
+    });
+    const { dropped } = generated;
+    const { previous, written } = await LLMSManager.#writeIfChanged(
+      filepath,
+      content
+    );
+
+    const linkUrls = (text) => {
+      if (text === null) return new Set();
+      try {
+        return new Set(
+          LLMSManager.parseLLMSTxt(text).sections.flatMap((s) =>
+            s.items.map((i) => i.url)
+          )
+        );
+      } catch {
+        return new Set();
+      }
+    };
+    const before = linkUrls(previous);
+    const after = linkUrls(content);
+    const report = {
+      path: filepath,
+      written,
+      added: [...after].filter((url) => !before.has(url)),
+      removed: [...before].filter((url) => !after.has(url)),
+      fetched: this.#cache ? this.#cache.takeLog() : [],
+    };
+    return dropped ? { ...report, dropped } : report;
+  }
+
+  /**
+   * Generate llms-full.txt: the llms.txt header followed by the content of every
+   * linked page, fetched and converted to Markdown (HTML pages keep only their
+   * main content; Markdown and plain text pages are included as-is).
+   * Each page is rendered under an H2 with its title and source URL; page
+   * headings are shifted down two levels. With the `robots` option, pages
+   * disallowed by robots.txt are not fetched.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.includeOptional=false] - Also include items of optional sections.
+   * @param {number} [options.concurrency=4] - Maximum number of parallel page requests.
+   * @param {number} [options.maxBytes=Infinity] - Size budget for the whole document in UTF-8
+   *   bytes, shorthand for `budget: { maxBytes }`.
+   * @param {Budget} [options.budget] - Size budget for the whole document. Pages are
+   *   given up in the order generateLLMSTxtWithinBudget() drops items (optional
+   *   sections first, then by ascending priority, later pages first): each is
+   *   skipped until truncating the next one makes the document fit. Pages are
+   *   fetched in the reverse order, and certainly skipped pages not at all.
+   * @returns {Promise<{content:string, pages:Array<PageReport>, size:{bytes:number,tokens:number}}>}
+   */
+  async generateLLMSFullTxt({
+    includeOptional = false,
+    concurrency = 4,
+    maxBytes = Infinity,
+    budget,
+  } = {}) {
+    if (typeof includeOptional !== "boolean") {
+      throw new TypeError("includeOptional must be boolean");
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new TypeError("concurrency must be a positive integer");
+    }
+    if (typeof maxBytes !== "number" || !(maxBytes > 0)) {
+      throw new TypeError("maxBytes must be a positive number");
+    }
+    const limits = budget
+      ? LLMSManager.#normalizeBudget(budget)
+      : { maxTokens: Infinity, maxBytes: Infinity };
+    limits.maxBytes = Math.min(limits.maxBytes, maxBytes);
+    const measure = (text) => LLMSManager.#measure(text, limits.tokenizer);
+
+    const { metadata, sections } = await this.#prepareContent();
+    const items = sections
+      .filter((section) => includeOptional || !section.optional)
+      .flatMap((section) =>
+        section.items.map((item) => ({
+          ...item,
+          section: section.name,
+          optional: section.optional,
+        }))
+      );
+    const header = [`# ${metadata.title}`, `> ${metadata.description}`];
+    if (metadata.details) header.push("", metadata.details);
+    const priorities = new Map(
+      this.#urls.map((e) => [this.#entryKey(e.loc), e.priority])
+    );
+    const priorityOf = (item) =>
+      priorities.get(this.#entryKey(item.url)) ?? 0.5;
+    const pageHead = (item) => `\n## ${item.title}\n\nSource: ${item.url}\n\n`;
+
+    // With a budget, pages are fetched in the order they are kept (the
+    // reverse of the drop order below). Once the pages fetched so far fill
+    // the budget, every further page would be skipped, so it is not fetched.
+    const ranked = items.map((item, index) => ({ item, index }));
+    if (limits.maxBytes !== Infinity || limits.maxTokens !== Infinity) {
+      ranked.sort(
+        (a, b) =>
+          a.item.optional - b.item.optional ||
+          priorityOf(b.item) - priorityOf(a.item) ||
+          a.index - b.index
+      );
+    }
+    const fetched = new Array(items.length);
+    let kept = header.join("\n") + "\n";
+    let used = measure(kept);
+    let settled = 0;
+    let exhausted = false;
+    await LLMSManager.#mapConcurrent(
+      ranked,
+      concurrency,
+      async ({ item, index }) => {
+        fetched[index] = exhausted
+          ? { unfetched: true }
+          : await this.#fetchPage(item);
+        // Account for the fetched pages in kept order
+        while (!exhausted && settled < ranked.length) {
+          const result = fetched[ranked[settled].index];
+          if (!result) break;
+          if (result.markdown !== undefined) {
+            const text = `${pageHead(ranked[settled].item)}${
+              result.markdown
+            }\n`;
+            if (limits.tokenizer) {
+              // A custom tokenizer is applied to the kept pages as a whole
+              kept += text;
+              used = measure(kept);
+            } else {
+              const part = measure(text);
+              used = {
+                bytes: used.bytes + part.bytes,
+                tokens: used.tokens + part.tokens,
+              };
+            }
+          }
+          settled += 1;
+          exhausted = !LLMSManager.#fits(used, limits);
+        }
+      }
+    );
+
+    const pages = [];
+    const blocks = [];
+
+    items.forEach((item, index) => {
+      const report = {
+        url: item.url,
+        title: item.title,
+        section: item.section,
+        status: "ok",
+        bytes: 0,
+        tokens: 0,
+      };
+      pages.push(report);
+      const { markdown, error, disallowed, unfetched } = fetched[index];
+      if (unfetched) {
+        report.status = "skipped";
+        return;
+      }
+      if (disallowed) {
+        report.status = "disallowed";
+        return;
+      }
+      if (error !== undefined) {
+        report.status = "failed";
+        report.error = error;
+        return;
+      }
+      const head = pageHead(item);
+      const block = {
+        item,
+        report,
+        head,
+        markdown,
+        text: `${head}${markdown}\n`,
+      };
+      Object.assign(report, measure(block.text));
+      blocks.push(block);
+    });
+
+    const render = () =>
+      header.join("\n") +
+      "\n" +
+      blocks
+        .map((b) => b.text)
+        .filter(Boolean)
+        .join("");
+    // Block sizes add up with the built-in estimate; a custom tokenizer need
+    // not count blocks independently, so the document is measured as a whole
+    const { tokenizer } = limits;
+    let size = measure(header.join("\n") + "\n");
+    for (const { report } of blocks) {
+      size = {
+        bytes: size.bytes + report.bytes,
+        tokens: size.tokens + report.tokens,
+      };
+    }
+    if (tokenizer) size = measure(render());
+    if (!LLMSManager.#fits(size, limits)) {
+      const candidates = blocks
+        .map((block, order) => ({
+          block,
+          optional: block.item.optional,
+          priority: priorityOf(block.item),
+          order,
+        }))
+        .sort(
+          (a, b) =>
+            b.optional - a.optional ||
+            a.priority - b.priority ||
+            b.order - a.order
+        );
+      for (const { block } of candidates) {
+        const { report } = block;
+        block.text = null;
+        const rest = tokenizer
+          ? measure(render())
+          : LLMSManager.#subtractSize(size, report);
+        let truncated = LLMSManager.#fits(rest, limits)
+          ? LLMSManager.#truncateToFit(block, rest, limits, measure)
+          : null;
+        if (truncated && tokenizer) {
+          block.text = truncated;
+          if (!LLMSManager.#fits(measure(render()), limits)) truncated = null;
+        }
+        block.text = truncated;
+        report.status = truncated ? "truncated" : "skipped";
+        Object.assign(
+          report,
+          truncated ? measure(truncated) : { bytes: 0, tokens: 0 }
+        );
+        size = tokenizer
+          ? measure(render())
+          : {
+              bytes: rest.bytes + report.bytes,
+              tokens: rest.tokens + report.tokens,
+            };
+        if (truncated) break;
+      }
+    }
+
+    const content = await this.#runHook("afterGenerate", render(), {
+      file: "llms-full.txt",
+    });
+    await this.#cache?.save();
+    return { content, pages, size: measure(content) };
+  }
+
+  /**
+   * Internal helper: Fetch a page of llms-full.txt as Markdown.
+   * @param {ContentItem} item
+   * @returns {Promise<{markdown?:string, error?:string, disallowed?:boolean}>}
+   */
+  async #fetchPage(item) {
+    if (!(await this.isAllowed(item.url))) return { disallowed: true };
+    try {
+      const doc = await LLMSManager.#fetchDocument(
+        await this.#runHook("beforeFetch", item.url, { type: "page" }),
+        this.#httpOptions,
+        this.#cache
+      );
+      return { markdown: LLMSManager.#documentToMarkdown(doc) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  /**
+   * Internal helper: Truncate a page block of llms-full.txt so that the
+   * document fits its budget, or null if not even a useful part of the page fits.
+   * @param {{head:string, markdown:string}} block
+   * @param {{bytes:number, tokens:number}} rest Size of the document without the block.
+   * @param {{maxTokens:number, maxBytes:number}} limits
+   * @param {(text:string) => {bytes:number, tokens:number}} measure
+   * @returns {string|null}
+   */
+  static #truncateToFit({ head, markdown }, rest, limits, measure) {
+    const marker = "\n\n(truncated)\n";
+    const overhead = measure(head + marker);
+    const room = {
+      bytes: limits.maxBytes - rest.bytes - overhead.bytes,
+      tokens: limits.maxTokens - rest.tokens - overhead.tokens,
+    };
+    if (room.bytes <= 16 || room.tokens <= 4) return null;
+
+    // Start from the byte room scaled by the page's bytes per token and
+    // shrink until the estimate fits
+    const full = measure(markdown);
+    let bytes = Math.min(
+      room.bytes,
+      Math.floor((full.bytes * room.tokens) / Math.max(full.tokens, 1))
+    );
+    while (bytes > 16) {
+      const body = LLMSManager.#truncateBytes(markdown, bytes);
+      const part = measure(body);
+      if (part.bytes <= room.bytes && part.tokens <= room.tokens) {
+        return body ? `${head}${body}${marker}` : null;
+      }
+      bytes = Math.floor(bytes * 0.9);
+    }
+    return null;
+  }
+
+  /**
+   * Internal helper: Write a file unless it already holds the content.
+   * @param {string} filepath
+   * @param {string} content
+   * @returns {Promise<{previous:string|null, written:boolean}>} Previous content
+   *   (null if the file did not exist) and whether the file was written.
+   */
+  static async #writeIfChanged(filepath, content) {
+    let previous = null;
+    try {
+      previous = await readFile(filepath, "utf-8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const written = previous !== content;
+    if (written) await writeFile(filepath, content, { encoding: "utf-8" });
+    return { previous, written };
+  }
+
+  /**
+   * Generate llms-full.txt and save it to file. Writing is skipped when the
+   * file already holds byte-identical content.
+   * @param {string} filepath - Target file path
+   * @param {object} [options] - Options as accepted by generateLLMSFullTxt().
+   * @returns {Promise<Array<PageReport>>} Per-page report.
+   */
+  async saveLLMSFullToFile(filepath, options) {
+    return (await this.#saveLLMSFull(filepath, options)).pages;
+  }
+
+  /**
+   * Internal helper: saveLLMSFullToFile(), also reporting whether the file
+   * was written.
+   * @param {string} filepath
+   * @param {object} [options]
+   * @returns {Promise<{pages:Array<PageReport>, written:boolean}>}
+   */
+  async #saveLLMSFull(filepath, options) {
+    if (typeof filepath !== "string" || filepath.trim() === "") {
+      throw new TypeError("filepath must be non-empty string");
+    }
+    const generated = await this.generateLLMSFullTxt(options);
+    const content = await this.#runHook("beforeWrite", generated.content, {
+      path: filepath,
+      file: "llms-full.txt",
+    });
+    const { written } = await LLMSManager.#writeIfChanged(filepath, content);
+    return { pages: generated.pages, written };
+  }
+
+  /**
+   * Create a request handler that serves llms.txt live. It works with
+   * `http.createServer(handler)` and as Express/Connect middleware
+   * (`app.use(handler)`): requests for other paths are passed to `next()`,
+   * or answered with 404 without it.
+   *
+   * The generated document is cached in memory for `ttl` milliseconds. The
+   * first request waits for a refresh: `loadSitemap()`, then `rebuild` to
+   * recreate the sections from the fresh entries, then `generateLLMSTxt()`.
+   * Later requests are always answered from the cache; once it has expired,
+   * a refresh runs in the background. If a refresh fails, the previous
+   * document keeps being served (`onError` is called) until the next attempt
+   * one `ttl` later. Responses carry an ETag and Last-Modified (the time the
+   * content last changed) and answer conditional requests with 304.
+   *
+   * @example
+   * const handler = manager.createHandler({
+   *   ttl: 10 * 60 * 1000,
+   *   rebuild: (m) => {
+   *     m.removeSection(LLMSManager.CORE_SECTION);
+   *     m.addCoreContent(m.autoGenerateCoreContent(0.7));
+   *   },
+   * });
+   * http.createServer(handler).listen(3000);
+   *
+   * @param {object} [options]
+   * @param {string|null} [options.path="/llms.txt"] - Path to serve; null serves every request.
+   * @param {number} [options.ttl=300000] - Milliseconds before a refresh is due.
+   * @param {(manager:LLMSManager) => void|Promise<void>} [options.rebuild] - Recreate
+   *   the sections after `loadSitemap()`; without it only the loaded entries change.
+   * @param {Budget} [options.budget] - Serve generateLLMSTxtWithinBudget() output.
+   * @param {(error:Error) => void} [options.onError] - Called when a refresh fails.
+   * @returns {((req:import("http").IncomingMessage, res:import("http").ServerResponse,
+   *   next?:(error?:Error) => void) => Promise<void>) & {refresh:() => Promise<void>}}
+   *   Handler; `handler.refresh()` refreshes immediately and rejects on failure.
+   * @throws {TypeError} If an option is invalid.
+   */
+  createHandler({
+    path: servedPath = "/llms.txt",
+    ttl = 300000,
+    rebuild,
+    budget,
+    onError,
+  } = {}) {
+    if (
+      servedPath !== null &&
+      (typeof servedPath !== "string" || !servedPath.startsWith("/"))
+    ) {
+      throw new TypeError('path must be null or a string starting with "/"');
+    }
+    if (typeof ttl !== "number" || !(ttl >= 0)) {
+      throw new TypeError("ttl must be a non-negative number");
+    }
+    if (rebuild !== undefined && typeof rebuild !== "function") {
+      throw new TypeError("rebuild must be a function");
+    }
+    if (onError !== undefined && typeof onError !== "function") {
+      throw new TypeError("onError must be a function");
+    }
+    if (budget !== undefined) LLMSManager.#normalizeBudget(budget);
+
+    // Served document; null until the first refresh succeeds
+    let current = null;
+    let expires = 0;
+    let pending = null;
+
+    const refresh = () => {
+      pending ??= (async () => {
+        try {
+          await this.loadSitemap();
+          await rebuild?.(this);
+          const { content } = await this.#generate(budget);
+          const etag = `"${createHash("sha256")
+            .update(content)
+            .digest("base64url")
+            .slice(0, 27)}"`;
+          if (current?.etag !== etag) {
+            // HTTP dates have second precision
+            const lastModified = new Date(Math.floor(Date.now() / 1000) * 1000);
+            current = { content, etag, lastModified };
+          }
+        } finally {
+          expires = Date.now() + ttl;
+          pending = null;
+        }
+      })();
+      return pending;
+    };
+
+    const handler = async (req, res, next) => {
+      if (servedPath !== null) {
+        let pathname;
+        try {
+          pathname = new URL(req.url, "http://localhost").pathname;
+        } catch {
+          pathname = null;
+        }
+        if (pathname !== servedPath) {
+          if (next) return next();
+          res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+          res.end("Not Found");
+          return;
+        }
+      }
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.writeHead(405, {
+          Allow: "GET, HEAD",
+          "Content-Type": "text/plain; charset=utf-8",
+        });
+        res.end("Method Not Allowed");
+        return;
+      }
+
+      if (current === null) {
+        try {
+          await refresh();
+        } catch (error) {
+          onError?.(error);
+          if (next) return next(error);
+          res.writeHead(503, { "Content-Type": "text/plain; charset=utf-8" });
+          res.end("Service Unavailable");
+          return;
+        }
+      } else if (Date.now() >= expires) {
+        // Serve the cached document, refresh in the background
+        refresh().catch((error) => onError?.(error));
+      }
+
+      const { content, etag, lastModified } = current;
+      const headers = {
+        "Content-Type": "text/markdown; charset=utf-8",
+        ETag: etag,
+        "Last-Modified": lastModified.toUTCString(),
+      };
+      if (LLMSManager.#isNotModified(req.headers, etag, lastModified)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      headers["Content-Length"] = Buffer.byteLength(content);
+      res.writeHead(200, headers);
+      res.end(req.method === "HEAD" ? undefined : content);
+    };
+    handler.refresh = refresh;
+    return handler;
+  }
+
+  /**
+   * Internal helper: Whether conditional request headers match the current
+   * document. If-None-Match takes precedence over If-Modified-Since.
+   * @param {import("http").IncomingHttpHeaders} headers
+   * @param {string} etag
+   * @param {Date} lastModified
+   * @returns {boolean}
+   */
+  static #isNotModified(headers, etag, lastModified) {
+    const ifNoneMatch = headers["if-none-match"];
+    if (ifNoneMatch !== undefined) {
+      return ifNoneMatch
+        .split(",")
+        .map((tag) => tag.trim().replace(/^W\//, ""))
+        .some((tag) => tag === "*" || tag === etag);
+    }
+    const since = Date.parse(headers["if-modified-since"] ?? "");
+    return !Number.isNaN(since) && lastModified.getTime() <= since;
+  }
+
+  /**
+   * Snapshot the manager's state as a JSON-compatible object: constructor
+   * options, metadata, sections and loaded sitemap entries. `JSON.stringify(manager)`
+   * uses it. Plugins, the HTTP `signal`, cached pages and the reports of
+   * getMergedDuplicates() are not included. HTTP `headers` are left out too,
+   * since they often carry credentials; pass them again to fromJSON().
+   * @example
+   * await writeFile("state.json", JSON.stringify(manager));
+   * const restored = LLMSManager.fromJSON(await readFile("state.json", "utf-8"), {
+   *   http: { headers: { Authorization: `Bearer ${token}` } },
+   * });
+   * @returns {object} Snapshot accepted by fromJSON().
+   */
+  toJSON() {
+    const { signal, headers, ...http } = this.#httpOptions;
+    const normalization = this.#urlNormalization;
+    return {
+      version: LLMSManager.#SNAPSHOT_VERSION,
+      options: {
+        sources: this.getSources(),
+        maxSitemapDepth: this.#maxSitemapDepth,
+        maxChildSitemaps: this.#maxChildSitemaps,
+        http,
+        robots: this.#robots ? { ...this.#robots } : false,
+        cacheDir: this.#cache?.dir,
+        normalizeUrls: normalization !== null && {
+          ...normalization,
+          stripTrackingParams:
+            normalization.stripTrackingParams === TRACKING_PARAMS ||
+            normalization.stripTrackingParams.map((p) =>
+              p instanceof RegExp ? { regex: p.source, flags: p.flags } : p
+            ),
+        },
+      },
+      metadata: this.getMetadata(),
+      sections: this.getSections(),
+      sitemapEntries: this.#sitemapEntries.map((entry) => ({
+        ...structuredClone(entry),
+        lastmod: entry.lastmod ? entry.lastmod.toISOString() : null,
+      })),
+    };
+  }
+
+  /**
+   * Restore a manager from a toJSON() snapshot.
+   * @param {string|object} json Snapshot or its JSON text.
+   * @param {object} [overrides]
+   * @param {object} [overrides.http] HTTP options merged over the snapshot's,
+   * e.g. the `headers` that toJSON() leaves out.
+   * @returns {LLMSManager}
+   * @throws {TypeError} If the snapshot is invalid.
+   * @throws {Error} If the snapshot version is not supported.
+   */
+  static fromJSON(json, { http } = {}) {
+    let snapshot = json;
+    if (typeof json === "string") {
+      try {
+        snapshot = JSON.parse(json);
+      } catch (err) {
+        throw new TypeError(`Invalid snapshot JSON: ${err.message}`);
+      }
+    }
+    if (snapshot === null || typeof snapshot !== "object") {
+      throw new TypeError("snapshot must be an object or JSON text");
+    }
+    if (snapshot.version !== LLMSManager.#SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+    const { options, metadata, sections, sitemapEntries } = snapshot;
+    if (
+      options === null ||
+      typeof options !== "object" ||
+      metadata === null ||
+      typeof metadata !== "object" ||
+      !Array.isArray(sections) ||
+      !Array.isArray(sitemapEntries)
+    ) {
+      throw new TypeError(
+        "snapshot must have options, metadata, sections and sitemapEntries"
+      );
+    }
+
+    const manager = new LLMSManager(
+      http ? { ...options, http: { ...options.http, ...http } } : options
+    );
+    if (metadata.title !== "" || metadata.description !== "") {
+      manager.setMetadata(
+        metadata.title,
+        metadata.description,
+        metadata.details
+      );
+    }
+    for (const { name, optional, items } of sections) {
+      manager.addSection(name, {
+        optional,
+        position: manager.#sections.length,
+      });
+      manager.addSectionContent(name, items);
+    }
+    const entries = sitemapEntries.map((entry, i) => {
+      if (
+        entry === null ||
+        typeof entry !== "object" ||
+        typeof entry.loc !== "string"
+      ) {
+        throw new TypeError(`sitemapEntries[${i}] must be an entry with a loc`);
+      }
+      return {
+        ...structuredClone(entry),
+        lastmod: entry.lastmod === null ? null : new Date(entry.lastmod),
+      };
+    });
+    manager.#sitemapEntries = entries;
+    manager.#urls = entries;
+    return manager;
+  }
+
+  /**
+   * Create a manager holding the metadata and sections of an llms.txt, e.g.
+   * to edit an existing file programmatically and save it again.
+   * Sections keep their `optional` flag; repeated sections are merged.
+   * @example
+   * const manager = LLMSManager.fromLLMSTxt(await readFile("llms.txt", "utf-8"), {
+   *   sitemapUrl: "https://example.com/sitemap.xml",
+   * });
+   * manager.addSectionContent("Guides", [{ title: "New", url: "https://example.com/new" }]);
+   * await manager.saveToFile("llms.txt");
+   * @param {string|{title:string,description:string,details?:string,
+   *   sections:Array<{name:string,optional?:boolean,items:Array<{title:string,url:string,notes?:string}>}>}} document
+   *   llms.txt text, a parseLLMSTxt() result or exportAs("json") output.
+   * @param {object} options Constructor options, plus:
+   * @param {string} [options.description] Description to use when the document
+   *   has no blockquote summary, which llms.txt allows but the manager requires.
+   * @returns {LLMSManager}
+   * @throws {TypeError} If the document or options are invalid, or the document
+   *   has no summary and no `description` is given.
+   */
+  static fromLLMSTxt(document, options) {
+    const parsed =
+      typeof document === "string"
+        ? LLMSManager.parseLLMSTxt(document)
+        : document;
+    if (
+      parsed === null ||
+      typeof parsed !== "object" ||
+      !Array.isArray(parsed.sections)
+    ) {
+      throw new TypeError(
+        "document must be llms.txt text or an object with sections"
+      );
+    }
+    if (options === null || typeof options !== "object") {
+      throw new TypeError(
+        "options must be constructor options with a sitemapUrl (or sources)"
+      );
+    }
+    const { description: fallback, ...constructorOptions } = options;
+    const description = parsed.description?.trim()
+      ? parsed.description
+      : fallback;
+    if (description === undefined) {
+      throw new TypeError(
+        "document has no summary (> description line); pass options.description"
+      );
+    }
+    const manager = new LLMSManager(constructorOptions);
+    manager.setMetadata(parsed.title, description, parsed.details ?? "");
+    for (const { name, optional, items } of parsed.sections) {
+      if (!manager.#findSection(name.trim())) {
+        manager.addSection(name, {
+          optional,
+          position: manager.#sections.length,
+        });
+      }
+      manager.addSectionContent(name, items);
+    }
+    return manager;
+  }
+
+  /**
+   * Render the llms.txt content in another format. The plugins' transformItem
+   * and beforeGenerate hooks apply as for generate().
+   * - "json": { title, description, details, sections } as accepted by fromLLMSTxt()
+   * - "jsonl": a metadata record, then one record per link
+   * - "html": a standalone HTML page, with the JSON-LD list embedded
+   * - "jsonld": a schema.org ItemList of all links
+   * @param {"json"|"jsonl"|"html"|"jsonld"} format
+   * @param {object} [options]
+   * @param {boolean} [options.includeOptional=true] - Include items of optional sections.
+   * @param {string} [options.lang] - Language of the HTML page (`<html lang>`).
+   * @returns {Promise<string>}
+   * @throws {TypeError} If the format or an option is invalid.
+   */
+  async exportAs(format, { includeOptional = true, lang } = {}) {
+    if (!["json", "jsonl", "html", "jsonld"].includes(format)) {
+      throw new TypeError('format must be "json", "jsonl", "html" or "jsonld"');
+    }
+    if (typeof includeOptional !== "boolean") {
+      throw new TypeError("includeOptional must be boolean");
+    }
+    if (lang !== undefined && LLMSManager.#canonicalLocale(lang) === null) {
+      throw new TypeError("lang must be a valid language tag");
+    }
+    const { metadata, sections: all } = await this.#prepareContent();
+    const sections = all.filter(
+      (section) =>
+        section.items.length > 0 && (includeOptional || !section.optional)
+    );
+
+    if (format === "json") {
+      return `${JSON.stringify({ ...metadata, sections }, null, 2)}\n`;
+    }
+    if (format === "jsonl") {
+      const records = [
+        { type: "metadata", ...metadata },
+        ...sections.flatMap(({ name, optional, items }) =>
+          items.map((item) => ({
+            type: "link",
+            section: name,
+            optional,
+            ...item,
+          }))
+        ),
+      ];
+      return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+    }
+    const itemList = {
+      "@context": "https://schema.org",
+      "@type": "ItemList",
+      name: metadata.title,
+      description: metadata.description,
+      numberOfItems: sections.reduce((n, s) => n + s.items.length, 0),
+      itemListElement: sections
+        .flatMap((section) => section.items)
+        .map(({ title, url, notes }, i) => {
+          const element = {
+            "@type": "ListItem",
+            position: i + 1,
+            name: title,
+            url,
+          };
+          if (notes) element.description = notes;
+          return element;
+        }),
+    };
+    if (format === "jsonld") {
+      return `${JSON.stringify(itemList, null, 2)}\n`;
+    }
+    return LLMSManager.#renderHtml(metadata, sections, itemList, lang);
+  }
+
+  /**
+   * Internal helper: Standalone HTML page for exportAs("html").
+   * @param {{title:string,description:string,details:string}} metadata
+   * @param {Array<{name:string,items:Array<ContentItem>}>} sections Non-empty sections.
+   * @param {object} itemList JSON-LD embedded in the head.
+   * @param {string} [lang]
+   * @returns {string}
+   */
+  static #renderHtml(metadata, sections, itemList, lang) {
+    const escape = (text) =>
+      text.replace(
+        /[&<>"']/g,
+        (c) =>
+          ({
+            "&": "&amp;",
+            "<": "&lt;",
+            ">": "&gt;",
+            '"': "&quot;",
+            "'": "&#39;",
+          }[c])
+      );
+    // Only link safe schemes and relative URLs
+    const link = ({ title, url }) =>
+      /^(https?:|mailto:|[^:]*$)/i.test(url)
+        ? `<a href="${escape(url)}">${escape(title)}</a>`
+        : escape(title);
+
+    const details = [];
+    let paragraph = [];
+    let code = null;
+    const flush = () => {
+      if (paragraph.length)
+        details.push(`<p>${escape(paragraph.join("\n"))}</p>`);
+      paragraph = [];
+    };
+    for (const line of metadata.details ? metadata.details.split("\n") : []) {
+      if (/^\s*(```|~~~)/.test(line)) {
+        if (code === null) {
+          flush();
+          code = [];
+        } else {
+          details.push(`<pre><code>${escape(code.join("\n"))}</code></pre>`);
+          code = null;
+        }
+      } else if (code !== null) {
+        code.push(line);
+      } else if (line.trim() === "") {
+        flush();
+      } else {
+        paragraph.push(line);
+      }
+    }
+    flush();
+
+    const jsonLd = JSON.stringify(itemList).replace(/</g, "\\u003c");
+    return [
+      "<!DOCTYPE html>",
+      lang ? `<html lang="${escape(lang)}">` : "<html>",
+      "<head>",
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width, initial-scale=1">',
+      `<title>${escape(metadata.title)}</title>`,
+      `<meta name="description" content="${escape(metadata.description)}">`,
+      `<script type="application/ld+json">${jsonLd}</script>`,
+      "</head>",
+      "<body>",
+      "<main>",
+      `<h1>${escape(metadata.title)}</h1>`,
+      `<blockquote><p>${escape(metadata.description)}</p></blockquote>`,
+      ...details,
+      ...sections.flatMap(({ name, items }) => [
+        "<section>",
+        `<h2>${escape(name)}</h2>`,
+        "<ul>",
+        ...items.map(
+          (item) =>
+            `<li>${link(item)}${
+              item.notes ? `: ${escape(item.notes)}` : ""
+            }</li>`
+        ),
+        "</ul>",
+        "</section>",
+      ]),
+      "</main>",
+      "</body>",
+      "</html>",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Collect the items of all sections in output order, deduplicated by URL.
+   * @param {object} [options]
+   * @param {boolean} [options.includeOptional=true] - Include items of optional sections.
+   * @returns {Array<ContentItem & {section:string}>}
+   */
+  #collectItems({ includeOptional = true } = {}) {
+    const seen = new Set();
+    const items = [];
+    for (const section of this.#sections) {
+      if (section.optional && !includeOptional) continue;
+      for (const item of section.items) {
+        const url = this.#itemKey(item.url);
+        if (seen.has(url)) continue;
+        seen.add(url);
+        items.push({ ...item, url, section: section.name });
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Internal helper: Fetch a web page for content extraction.
+   * @param {string} urlString Absolute http(s) URL.
+   * @param {object} httpOptions Normalized HTTP options.
+   * @param {HttpCache|null} [cache] Cache for conditional requests and change tracking.
+   * @returns {Promise<{url:string,contentType:string,text:string}>} Final URL after redirects,
+   *   lower-cased media type without parameters and decoded body.
+   * @throws Throws on unsupported protocols, network errors and non-2xx responses.
+   */
+  static async #fetchDocument(urlString, httpOptions, cache = null) {
+    if (!/^https?:\/\//i.test(urlString)) {
+      throw new Error(`Unsupported protocol: ${urlString}`);
+    }
+    const cached = cache ? await cache.get(urlString) : null;
+    const res = await LLMSManager.#request(
+      urlString,
+      cached
+        ? {
+            ...httpOptions,
+            headers: {
+              ...httpOptions.headers,
+              ...HttpCache.conditionalHeaders(cached),
+            },
+          }
+        : httpOptions
+    );
+    if (cached && res.statusCode === 304) {
+      cache.notModified(urlString);
+      return {
+        url: cached.finalUrl ?? urlString,
+        contentType: cached.contentType,
+        text: cached.text,
+      };
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw new Error(`Failed to fetch ${res.url} (Status: ${res.statusCode})`);
+    }
+    const text = await LLMSManager.#decodeBody(res.body, {
+      path: new URL(res.url).pathname,
+      contentEncoding: res.headers["content-encoding"],
+      maxSize: httpOptions.maxResponseSize,
+    });
+    const contentType = (res.headers["content-type"] || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (cache) {
+      await cache.put(urlString, {
+        etag: res.headers.etag,
+        lastModified: res.headers["last-modified"],
+        contentType,
+        finalUrl: res.url,
+        text,
+      });
+    }
+    return { url: res.url, contentType, text };
+  }
+
+  /**
+   * Internal helper: Convert a fetched document to Markdown with headings shifted
+   * below the per-page H2.
+   * @param {{url:string,contentType:string,text:string}} doc
+   * @returns {string}
+   * @throws Throws on content types that cannot be converted.
+   */
+  static #documentToMarkdown({ url, contentType, text }) {
+    const looksLikeHtml = /^\s*(<!doctype html|<html)/i.test(text);
+    if (
+      contentType === "text/html" ||
+      contentType === "application/xhtml+xml" ||
+      (!contentType && looksLikeHtml)
+    ) {
+      return htmlToMarkdown(text, { baseUrl: url, headingOffset: 2 });
+    }
+    if (
+      !contentType ||
+      contentType === "text/plain" ||
+      contentType === "text/markdown" ||
+      contentType === "text/x-markdown"
+    ) {
+      let inCodeBlock = false;
+      return text
+        .split(/\r?\n/)
+        .map((line) => {
+          if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+          return !inCodeBlock && /^#{1,6}\s/.test(line)
+            ? `##${line}`.replace(/^#{7,}/, "######")
+            : line;
+        })
+        .join("\n")
+        .trim();
+    }
+    throw new Error(`Unsupported content type: ${contentType}`);
+  }
+
+  /**
+   * Internal helper: Truncate text to at most maxBytes UTF-8 bytes, preferring a line break.
+   * @param {string} text
+   * @param {number} maxBytes
+   * @returns {string}
+   */
+  static #truncateBytes(text, maxBytes) {
+    let cut = Buffer.from(text).subarray(0, maxBytes).toString("utf8");
+    cut = cut.replace(/\uFFFD$/, "");
+    const lastBreak = cut.lastIndexOf("\n");
+    return (
+      lastBreak > cut.length / 2 ? cut.slice(0, lastBreak) : cut
+    ).trimEnd();
+  }
+
+  /**
+   * Internal helper: Map items with an async function, running at most `limit` at a time.
+   * @template T, R
+   * @param {Array<T>} items
+   * @param {number} limit
+   * @param {(item:T, index:number) => Promise<R>} fn
+   * @returns {Promise<Array<R>>} Results in input order.
+   */
+  static async #mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(limit, items.length) }, worker)
+    );
+    return results;
+  }
+
+  /**
+   * Compare two llms.txt documents semantically.
+   * Links are matched by URL: a link in another section is "moved", a link
+   * with a new title "retitled". A removed and an added section sharing at
+   * least half of their links are reported as a rename, and their links are
+   * compared as if the section kept its name. Changes of the order of the
+   * remaining sections, or of the links that stayed in a section, are
+   * reported as reorders.
+   *
+   * @param {string|object} a - Old document: llms.txt text or parseLLMSTxt() result.
+   * @param {string|object} b - New document: llms.txt text or parseLLMSTxt() result.
+   * @returns {{
+   *   identical: boolean,
+   *   title: {from:string,to:string}|null,
+   *   description: {from:string,to:string}|null,
+   *   details: {from:string,to:string}|null,
+   *   sections: {added:Array<string>, removed:Array<string>, renamed:Array<{from:string,to:string}>,
+   *     reordered:{from:Array<string>,to:Array<string>}|null},
+   *   links: {
+   *     added: Array<{section:string,title:string,url:string,notes:string}>,
+   *     removed: Array<{section:string,title:string,url:string,notes:string}>,
+   *     moved: Array<{url:string,title:string,from:string,to:string}>,
+   *     retitled: Array<{url:string,section:string,from:string,to:string}>,
+   *     notes: Array<{url:string,section:string,from:string,to:string}>,
+   *     reordered: Array<{section:string,from:Array<string>,to:Array<string>}>
+   *   },
+   *   summary: string
+   * }} Structured changes plus a human-readable summary (one change per line).
+   * @throws {TypeError} If an argument is neither a string nor a parsed document.
+   */
+  static diff(a, b) {
+    const [before, after] = [a, b].map((doc, i) => {
+      if (typeof doc === "string") return LLMSManager.parseLLMSTxt(doc);
+      if (doc && typeof doc === "object" && Array.isArray(doc.sections)) {
+        return doc;
+      }
+      throw new TypeError(
+        `${i === 0 ? "a" : "b"} must be llms.txt text or a parsed document`
+      );
+    });
+
+    const change = (key) =>
+      (before[key] ?? "") === (after[key] ?? "")
+        ? null
+        : { from: before[key] ?? "", to: after[key] ?? "" };
+
+    // Links by URL (first occurrence wins, as in generated output)
+    const linkMap = (doc) => {
+      const links = new Map();
+      for (const section of doc.sections) {
+        for (const item of section.items) {
+          if (!links.has(item.url)) {
+            links.set(item.url, {
+              section: section.name,
+              title: item.title,
+              url: item.url,
+              notes: item.notes ?? "",
+            });
+          }
+        }
+      }
+      return links;
+    };
+    const oldLinks = linkMap(before);
+    const newLinks = linkMap(after);
+
+    // Sections: pair removed and added ones with overlapping links as renames
+    const oldNames = before.sections.map((s) => s.name);
+    const newNames = after.sections.map((s) => s.name);
+    const removedSections = oldNames.filter((n) => !newNames.includes(n));
+    const addedSections = newNames.filter((n) => !oldNames.includes(n));
+    const urlsOf = (doc, name) =>
+      new Set(
+        doc.sections
+          .filter((s) => s.name === name)
+          .flatMap((s) => s.items.map((i) => i.url))
+      );
+    const candidates = [];
+    for (const from of removedSections) {
+      const fromUrls = urlsOf(before, from);
+      for (const to of addedSections) {
+        const toUrls = urlsOf(after, to);
+        const shared = [...fromUrls].filter((u) => toUrls.has(u)).length;
+        const union = new Set([...fromUrls, ...toUrls]).size;
+        if (union > 0 && shared / union >= 0.5) {
+          candidates.push({ from, to, score: shared / union });
+        }
+      }
+    }
+    candidates.sort((x, y) => y.score - x.score);
+    const renamed = [];
+    for (const { from, to } of candidates) {
+      if (renamed.some((r) => r.from === from || r.to === to)) continue;
+      renamed.push({ from, to });
+    }
+    const renamedTo = new Map(renamed.map((r) => [r.from, r.to]));
+
+    const links = {
+      added: [],
+      removed: [],
+      moved: [],
+      retitled: [],
+      notes: [],
+      reordered: [],
+    };
+    for (const [url, old] of oldLinks) {
+      const current = newLinks.get(url);
+      if (!current) {
+        links.removed.push(old);
+        continue;
+      }
+      const oldSection = renamedTo.get(old.section) ?? old.section;
+      if (oldSection !== current.section) {
+        links.moved.push({
+          url,
+          title: current.title,
+          from: old.section,
+          to: current.section,
+        });
+      }
+      if (old.title !== current.title) {
+        links.retitled.push({
+          url,
+          section: current.section,
+          from: old.title,
+          to: current.title,
+        });
+      }
+      if (old.notes !== current.notes) {
+        links.notes.push({
+          url,
+          section: current.section,
+          from: old.notes,
+          to: current.notes,
+        });
+      }
+    }
+    for (const [url, item] of newLinks) {
+      if (!oldLinks.has(url)) links.added.push(item);
+    }
+
+    // Order of the sections and of the links present in both documents,
+    // with renamed sections under their new name
+    const currentName = (name) => renamedTo.get(name) ?? name;
+    const keptSections = [...new Set(newNames)].filter((name) =>
+      oldNames.some((n) => currentName(n) === name)
+    );
+    const oldOrder = [...new Set(oldNames.map(currentName))].filter((name) =>
+      keptSections.includes(name)
+    );
+    const sameOrder = (x, y) =>
+      x.length === y.length && x.every((value, i) => value === y[i]);
+    for (const section of keptSections) {
+      const from = [...oldLinks.values()]
+        .filter(
+          (old) =>
+            currentName(old.section) === section &&
+            newLinks.get(old.url)?.section === section
+        )
+        .map((old) => old.url);
+      const to = [...newLinks.values()]
+        .filter((l) => l.section === section && from.includes(l.url))
+        .map((l) => l.url);
+      if (!sameOrder(from, to)) links.reordered.push({ section, from, to });
+    }
+
+    const result = {
+      identical: false,
+      title: change("title"),
+      description: change("description"),
+      details: change("details"),
+      sections: {
+        added: addedSections.filter((n) => !renamed.some((r) => r.to === n)),
+        removed: removedSections.filter(
+          (n) => !renamed.some((r) => r.from === n)
+        ),
+        renamed,
+        reordered: sameOrder(oldOrder, keptSections)
+          ? null
+          : { from: oldOrder, to: keptSections },
+      },
+      links,
+    };
+
+    const lines = [];
+    for (const key of ["title", "description", "details"]) {
+      if (result[key]) {
+        lines.push(`~ ${key}: "${result[key].from}" -> "${result[key].to}"`);
+      }
+    }
+    for (const { from, to } of renamed) {
+      lines.push(`~ section renamed: "${from}" -> "${to}"`);
+    }
+    for (const name of result.sections.added) lines.push(`+ section "${name}"`);
+    for (const name of result.sections.removed) {
+      lines.push(`- section "${name}"`);
+    }
+    for (const l of links.added) {
+      lines.push(`+ [${l.section}] ${l.title} <${l.url}>`);
+    }
+    for (const l of links.removed) {
+      lines.push(`- [${l.section}] ${l.title} <${l.url}>`);
+    }
+    for (const l of links.moved) {
+      lines.push(`> [${l.from} -> ${l.to}] ${l.title} <${l.url}>`);
+    }
+    for (const l of links.retitled) {
+      lines.push(`~ [${l.section}] "${l.from}" -> "${l.to}" <${l.url}>`);
+    }
+    for (const l of links.notes) {
+      lines.push(
+        `~ [${l.section}] notes of <${l.url}>: "${l.from}" -> "${l.to}"`
+      );
+    }
+    if (result.sections.reordered) {
+      const { from, to } = result.sections.reordered;
+      lines.push(
+        `~ sections reordered: ${from.join(", ")} -> ${to.join(", ")}`
+      );
+    }
+    for (const { section } of links.reordered) {
+      lines.push(`~ [${section}] links reordered`);
+    }
+
+    result.identical = lines.length === 0;
+    if (result.identical) {
+      result.summary = "No differences";
+    } else {
+      const counts = ["added", "removed", "moved", "retitled"]
+        .map((key) => `${links[key].length} ${key}`)
+        .join(", ");
+      result.summary = `${lines.join("\n")}\n\nLinks: ${counts}`;
+    }
+    return result;
+  }
+
+  /**
+   * Parse llms.txt content (markdown) string to JSON representation.
+   * Follows the llmstxt.org format: an H1 title, an optional blockquote
+   * summary, optional free-form details and any number of H2 sections with
+   * link lists of the form `- [title](url): notes`.
+   * @param {string} content - llms.txt markdown string.
+   * @returns {object} Parsed JSON:
+   * {
+   *   title: string,
+   *   description: string,
+   *   details: string,
+   *   sections: [{name:string,optional:boolean,items:[{title:string,url:string,notes:string}]}],
+   *   coreContent: [{title:string,url:string}],
+   *   optionalContent: [{title:string,url:string}]
+   * }
+   * `coreContent` and `optionalContent` are the legacy view: items of all
+   * non-"Optional" sections and of the "Optional" section respectively.
+   * @throws Throws if the H1 title is missing.
+   */
+  static parseLLMSTxt(content) {
+    if (typeof content !== "string") {
+      throw new TypeError("content must be string");
+    }
+    const lines = content.split(/\r?\n/).map((l) => l.trimEnd());
+
+    // Parse title (# line)
+    const titleIndex = lines.findIndex((l) => /^#\s+\S/.test(l.trim()));
+    if (titleIndex === -1) throw new Error("Missing # Title line");
+    const title = lines[titleIndex].trim().replace(/^#\s+/, "").trim();
+
+    const descriptionLines = [];
+    const detailLines = [];
+    const sections = [];
+    let section = null;
+    let inCodeBlock = false;
+    let quoteClosed = false;
+
+    for (const rawLine of lines.slice(titleIndex + 1)) {
+      const line = rawLine.trim();
+
+      // Fenced code blocks are opaque content
+      if (/^(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+
+      if (!inCodeBlock && /^##\s+\S/.test(line)) {
+        const name = line.replace(/^##\s+/, "").trim();
+        section = { name, optional: /^optional$/i.test(name), items: [] };
+        sections.push(section);
+        continue;
+      }
+
+      if (section) {
+        if (inCodeBlock) continue;
+        const item = LLMSManager.#parseLinkItem(line);
+        if (item) {
+          const { title, url, notes } = item;
+          section.items.push({ title, url, notes });
+        }
+        continue;
+      }
+
+      // Preamble: blockquote summary directly after the title, then details
+      if (
+        !inCodeBlock &&
+        !quoteClosed &&
+        line.startsWith(">") &&
+        detailLines.length === 0
+      ) {
+        descriptionLines.push(line.replace(/^>\s?/, "").trim());
+      } else {
+        if (descriptionLines.length > 0) quoteClosed = true;
+        if (line !== "" || detailLines.length > 0) {
+          // Undo the heading escape of generated details
+          detailLines.push(
+            inCodeBlock ? rawLine : rawLine.replace(/^(\s*)\\(\\*#)/, "$1$2")
+          );
+        }
+      }
+    }
+
+    const description = descriptionLines.filter(Boolean).join(" ");
+    const details = detailLines.join("\n").trim();
+
+    const toLegacy = ({ title: t, url }) => ({ title: t, url });
+    const coreContent = sections
+      .filter((s) => !s.optional)
+      .flatMap((s) => s.items.map(toLegacy));
+    const optionalContent = sections
+      .filter((s) => s.optional)
+      .flatMap((s) => s.items.map(toLegacy));
+
+    return {
+      title,
+      description,
+      details,
+      sections,
+      coreContent,
+      optionalContent,
+    };
+  }
+
+  /**
+   * Parse a markdown list item of the form `- [title](url)` or `- [title](url): notes`.
+   * Follows CommonMark for the link: backslash escapes, balanced brackets in
+   * the text, `<url>` destinations and balanced parentheses in bare ones, and
+   * an optional link title, which is ignored.
+   * @param {string} line Trimmed line.
+   * @returns {{title:string,url:string,notes:string,urlStart:number,urlEnd:number}|null}
+   *   Null if the line is no link item. `urlStart` and `urlEnd` delimit the
+   *   destination as written (with escapes and `<>`) in the line.
+   */
+  static #parseLinkItem(line) {
+    const start = line.match(/^[-*+]\s+\[/);
+    if (!start) return null;
+    const isEscape = (i) =>
+      line[i] === "\\" && /[!-\/:-@[-`{-~]/.test(line[i + 1] ?? "");
+    let i = start[0].length;
+
+    // Link text up to the matching "]"
+    let title = "";
+    for (let depth = 0; ; i++) {
+      if (i >= line.length) return null;
+      if (isEscape(i)) {
+        title += line[++i];
+        continue;
+      }
+      if (line[i] === "[") depth++;
+      else if (line[i] === "]" && depth-- === 0) break;
+      title += line[i];
+    }
+    if (line[i + 1] !== "(") return null;
+    i += 2;
+    while (line[i] === " " || line[i] === "\t") i++;
+
+    const urlStart = i;
+    let url = "";
+    if (line[i] === "<") {
+      for (i++; line[i] !== ">"; i++) {
+        if (i >= line.length || line[i] === "<") return null;
+        if (isEscape(i)) i++;
+        url += line[i];
+      }
+      i++;
+    } else {
+      for (let depth = 0; i < line.length && !/\s/.test(line[i]); i++) {
+        if (isEscape(i)) {
+          url += line[++i];
+          continue;
+        }
+        if (line[i] === "(") depth++;
+        else if (line[i] === ")" && depth-- === 0) break;
+        url += line[i];
+      }
+    }
+    const urlEnd = i;
+
+    const rest = line
+      .slice(i)
+      .match(/^(?:\s+"[^"]*"|\s+'[^']*')?\s*\)\s*(?::\s*(.*))?$/);
+    if (!rest || !title.trim() || !url) return null;
+    return {
+      title: title.trim(),
+      url,
+      notes: (rest[1] ?? "").trim(),
+      urlStart,
+      urlEnd,
+    };
+  }
+
+  /**
+   * Parse llms.txt from a file path.
+   * @param {string} filepath
+   * @returns {Promise<object>} Parsed JSON as per parseLLMSTxt
+   */
+  static async parseLLMSTxtFromFile(filepath) {
+    if (typeof filepath !== "string" || filepath.trim() === "") {
+      throw new TypeError("filepath must be non-empty string");
+    }
+    const content = await readFile(filepath, { encoding: "utf-8" });
+    return LLMSManager.parseLLMSTxt(content);
+  }
+
+  /**
+   * Parse llms.txt from a URL (http or https).
+   * @param {string} url
+   * @param {object} [httpOptions] HTTP options as accepted by the constructor's `http` option.
+   * @returns {Promise<object>} Parsed JSON as per parseLLMSTxt
+   */
+  static async parseLLMSTxtFromUrl(url, httpOptions = {}) {
+    if (typeof url !== "string" || url.trim() === "") {
+      throw new TypeError("url must be non-empty string");
+    }
+    const text = await LLMSManager.#fetchWithFallback(url.trim(), httpOptions);
+    return LLMSManager.parseLLMSTxt(text);
+  }
+
+  /**
+   * Automatically generate core content list from sitemap URLs filtered by priority.
+   * Titles and descriptions given by feed or llms.txt sources are used as link
+   * text and notes; other titles are derived from the URL path.
+   * @param {number} [threshold=0.5] Minimum priority
+   * @returns {Array<ContentItem>}
+   */
+  autoGenerateCoreContent(threshold = 0.5) {
+    if (!Array.isArray(this.#urls) || this.#urls.length === 0) {
+      throw new Error("Sitemap URLs not loaded or empty");
+    }
+    return this.#urls
+      .filter(({ priority }) => priority >= threshold)
+      .map((entry) => this.#entryToItem(entry));
+  }
+
+  /**
+   * Internal helper: Content item for a sitemap entry.
+   * @param {SitemapEntry} entry
+   * @returns {ContentItem}
+   */
+  #entryToItem({ loc, title, description }) {
+    const item = { title: title ?? this.#extractTitleFromUrl(loc), url: loc };
+    if (description) item.notes = description;
+    return item;
+  }
+
+  /**
+   * Classify the loaded sitemap entries into named sections with a rule engine.
+   * Rules are evaluated in order for every entry; the first matching rule wins
+   * and either assigns the entry to its section or drops it. Entries no rule
+   * matches are dropped. A rule whose section already holds `maxItems` entries
+   * no longer matches, so entries fall through to later rules.
+   *
+   * @param {Array<SectionRule>} rules
+   * @param {object} [options]
+   * @param {boolean} [options.explain=false] - Include a per-URL explanation.
+   * @param {Date} [options.now=new Date()] - Reference time for lastmod age rules.
+   * @returns {{sections:Array<{name:string,items:Array<ContentItem>}>, dropped:Array<string>,
+   *   explanation?:Array<{url:string,section:string|null,dropped:boolean,rule:number|null,ruleName:string|null,reason:string}>}}
+   *   Sections in order of their first rule, with items in sitemap order.
+   * @throws {TypeError} If a rule is invalid.
+   */
+  classifyEntries(rules, { explain = false, now = new Date() } = {}) {
+    if (!Array.isArray(this.#urls) || this.#urls.length === 0) {
+      throw new Error("Sitemap URLs not loaded or empty");
+    }
+    if (!(now instanceof Date) || isNaN(now)) {
+      throw new TypeError("now must be a valid Date");
+    }
+    const compiled = LLMSManager.#compileRules(rules);
+
+    const sections = new Map();
+    for (const rule of compiled) {
+      if (!rule.drop && !sections.has(rule.section)) {
+        sections.set(rule.section, { name: rule.section, items: [] });
+      }
+    }
+    const dropped = [];
+    const explanation = [];
+
+    for (const entry of this.#urls) {
+      const full = [];
+      let placed = null;
+      for (const rule of compiled) {
+        if (!rule.matches(entry, now)) continue;
+        const section = rule.drop ? null : sections.get(rule.section);
+        if (section && section.items.length >= rule.maxItems) {
+          full.push(rule.index);
+          continue;
+        }
+        placed = rule;
+        break;
+      }
+
+      const label = (rule) =>
+        `rules[${rule.index}]${rule.name ? ` ("${rule.name}")` : ""}`;
+      let reason;
+      if (!placed) {
+        dropped.push(entry.loc);
+        reason = "no rule matched";
+      } else if (placed.drop) {
+        dropped.push(entry.loc);
+        reason = `dropped by ${label(placed)}`;
+      } else {
+        sections.get(placed.section).items.push(this.#entryToItem(entry));
+        reason = `${label(placed)} assigned section "${placed.section}"`;
+      }
+      if (full.length > 0) {
+        reason += `; skipped full ${full
+          .map((i) => label(compiled[i]))
+          .join(", ")}`;
+      }
+
+      if (explain) {
+        explanation.push({
+          url: entry.loc,
+          section: placed && !placed.drop ? placed.section : null,
+          dropped: !placed || placed.drop,
+          rule: placed ? placed.index : null,
+          ruleName: placed?.name ?? null,
+          reason,
+        });
+      }
+    }
+
+    const result = { sections: [...sections.values()], dropped };
+    if (explain) result.explanation = explanation;
+    return result;
+  }
+
+  /**
+   * Classify the loaded sitemap entries (see classifyEntries) and add the
+   * resulting items to their sections, creating missing sections.
+   * @param {Array<SectionRule>} rules
+   * @param {object} [options] - Options as accepted by classifyEntries().
+   * @returns {object} The classifyEntries() result.
+   */
+  applyRules(rules, options) {
+    const result = this.classifyEntries(rules, options);
+    for (const { name, items } of result.sections) {
+      this.addSectionContent(name, items);
+    }
+    return result;
+  }
+
+  /**
+   * Group the loaded sitemap entries by locale. The locale of a URL is the
+   * first locale in `patterns` with a matching pattern; otherwise the hreflang
+   * under which the sitemap lists the URL (in its own or another entry's
+   * <xhtml:link rel="alternate"> list); otherwise, when no `patterns` are
+   * given, a leading path segment naming one of the sitemap's hreflang locales
+   * (`/de/`, `/pt-br/`), so that `/js/` or `/go/` are not mistaken for one;
+   * otherwise `defaultLocale`, unless the URL is on a host without sitemap
+   * entries. Locales are canonicalised (`pt-br` → `pt-BR`).
+   * @param {LocaleOptions} [options]
+   * @returns {{locales:Array<{locale:string,entries:Array<SitemapEntry>}>, unassigned:Array<SitemapEntry>}}
+   *   Locales in order of their first entry, and the entries without a locale.
+   * @throws {TypeError} If an option is invalid.
+   */
+  groupEntriesByLocale(options = {}) {
+    if (!Array.isArray(this.#urls) || this.#urls.length === 0) {
+      throw new Error("Sitemap URLs not loaded or empty");
+    }
+    const localeOf = this.#localeResolver(options);
+    const locales = new Map();
+    const unassigned = [];
+    for (const entry of this.#urls) {
+      const locale = localeOf(entry.loc);
+      if (locale === null) {
+        unassigned.push(entry);
+      } else {
+        if (!locales.has(locale)) locales.set(locale, []);
+        locales.get(locale).push(entry);
+      }
+    }
+    return {
+      locales: [...locales].map(([locale, entries]) => ({ locale, entries })),
+      unassigned,
+    };
+  }
+
+  /**
+   * Split the manager into one manager per locale (see groupEntriesByLocale()
+   * for how locales are determined). Each holds the entries of its locale and
+   * the sections of this manager with only the items of its locale; entries
+   * and items without a locale are shared by all locales. Metadata comes from
+   * `metadata[locale]`, with missing fields taken from this manager.
+   * The managers share this manager's sources and options.
+   * @example
+   * await manager.loadSitemap();
+   * manager.addCoreContent(manager.autoGenerateCoreContent());
+   * for (const { locale, manager: m } of manager.splitByLocale({
+   *   metadata: { de: { title: "Meine Seite", description: "Die Dokumentation" } },
+   * })) {
+   *   await m.saveToFile(`public/${locale}/llms.txt`);
+   * }
+   * @param {LocaleOptions & {metadata?:Object<string,{title?:string,description?:string,details?:string}>}} [options]
+   * @returns {Array<{locale:string, manager:LLMSManager}>} Locales in order of
+   *   their first entry or item.
+   * @throws {TypeError} If an option or localised metadata is invalid.
+   */
+  splitByLocale({ metadata = {}, ...options } = {}) {
+    if (metadata === null || typeof metadata !== "object") {
+      throw new TypeError("metadata must be an object keyed by locale");
+    }
+    const localeOf = this.#localeResolver(options);
+    const localized = new Map();
+    for (const [key, value] of Object.entries(metadata)) {
+      const locale = LLMSManager.#canonicalLocale(key);
+      if (locale === null) {
+        throw new TypeError(`metadata.${key} is not a valid locale`);
+      }
+      if (value === null || typeof value !== "object") {
+        throw new TypeError(`metadata.${key} must be an object`);
+      }
+      localized.set(locale, value);
+    }
+
+    const entryLocales = this.#urls.map((entry) => localeOf(entry.loc));
+    const itemLocales = this.#sections.map((section) =>
+      section.items.map((item) => localeOf(item.url))
+    );
+    const locales = [
+      ...new Set([...entryLocales, ...itemLocales.flat()].filter(Boolean)),
+    ];
+
+    return locales.map((locale) => {
+      const child = new LLMSManager({
+        sources: this.#sources.map((source) => ({ ...source })),
+      });
+      child.#maxSitemapDepth = this.#maxSitemapDepth;
+      child.#maxChildSitemaps = this.#maxChildSitemaps;
+      child.#httpOptions = this.#httpOptions;
+      child.#robots = this.#robots;
+      child.#robotsCache = this.#robotsCache;
+      child.#cache = this.#cache;
+      child.#urlNormalization = this.#urlNormalization;
+      child.#metadataCache = this.#metadataCache;
+      child.#plugins = [...this.#plugins];
+
+      const own = (l) => l === null || l === locale;
+      child.#sitemapEntries = this.#urls.filter((_, i) => own(entryLocales[i]));
+      child.#urls = child.#sitemapEntries;
+      child.#sections = this.#sections.map((section, s) => ({
+        ...section,
+        items: section.items
+          .filter((_, i) => own(itemLocales[s][i]))
+          .map((item) => ({ ...item })),
+      }));
+
+      const { title, description, details } = {
+        ...this.getMetadata(),
+        ...localized.get(locale),
+      };
+      try {
+        child.setMetadata(title, description, details);
+      } catch (err) {
+        throw new TypeError(`metadata.${locale}: ${err.message}`);
+      }
+      return { locale, manager: child };
+    });
+  }
+
+  /**
+   * Split the manager by locale (see splitByLocale()) and save one llms.txt
+   * per locale, plus an index llms.txt with this manager's metadata and a
+   * "Languages" section linking the locale files.
+   * @param {LocaleOptions & {
+   *   outputDir:string,
+   *   path?:string,
+   *   index?:string|null,
+   *   baseUrl?:string,
+   *   metadata?:Object<string,{title?:string,description?:string,details?:string}>,
+   *   budget?:Budget
+   * }} options
+   *   `path` is the file path per locale relative to `outputDir`, with
+   *   "{locale}" as placeholder (default "{locale}/llms.txt"); `index` the
+   *   index file path relative to `outputDir` (default "llms.txt", null for
+   *   none); `baseUrl` the URL `outputDir` is served from (default: the
+   *   origin of the first sitemap entry); `budget` applies to every file.
+   * @returns {Promise<{files:Array<{locale:string,path:string,url:string,report:object}>, index?:{path:string,report:object}}>}
+   *   Written locale files and index with their saveToFile() reports.
+   */
+  async saveLocalized({
+    outputDir,
+    path: pathTemplate = "{locale}/llms.txt",
+    index = "llms.txt",
+    baseUrl,
+    budget,
+    ...options
+  } = {}) {
+    if (typeof outputDir !== "string" || outputDir.trim() === "") {
+      throw new TypeError("outputDir must be a non-empty string");
+    }
+    if (
+      typeof pathTemplate !== "string" ||
+      !pathTemplate.includes("{locale}") ||
+      path.isAbsolute(pathTemplate)
+    ) {
+      throw new TypeError('path must be a relative path containing "{locale}"');
+    }
+    if (index !== null && (typeof index !== "string" || index.trim() === "")) {
+      throw new TypeError("index must be a non-empty string or null");
+    }
+    if (baseUrl === undefined && this.#urls.length > 0) {
+      baseUrl = `${new URL(this.#urls[0].loc).origin}/`;
+    }
+    if (baseUrl === undefined) {
+      throw new TypeError("baseUrl is required when no sitemap is loaded");
+    }
+    if (!LLMSManager.#isValidUrl(baseUrl)) {
+      throw new TypeError("baseUrl must be an absolute URL");
+    }
+    if (!baseUrl.endsWith("/")) baseUrl += "/";
+
+    const files = [];
+    for (const { locale, manager } of this.splitByLocale(options)) {
+      const relative = pathTemplate.replaceAll("{locale}", locale);
+      const filepath = path.resolve(outputDir, relative);
+      await mkdir(path.dirname(filepath), { recursive: true });
+      files.push({
+        locale,
+        path: filepath,
+        url: new URL(relative.split(path.sep).join("/"), baseUrl).href,
+        report: await manager.saveToFile(filepath, { budget }),
+        manager,
+      });
+    }
+    if (index === null) {
+      return { files: files.map(({ manager, ...file }) => file) };
+    }
+
+    const indexManager = new LLMSManager({ sitemapUrl: this.#sources[0].url });
+    indexManager.#plugins = [...this.#plugins];
+    const { title, description, details } = this.getMetadata();
+    indexManager.setMetadata(title, description, details);
+    indexManager.addSectionContent(
+      "Languages",
+      files.map(({ locale, url, manager }) => {
+        const item = { title: LLMSManager.#localeName(locale), url };
+        const notes = manager.getMetadata().description;
+        if (notes) item.notes = notes;
+        return item;
+      })
+    );
+    const indexPath = path.resolve(outputDir, index);
+    await mkdir(path.dirname(indexPath), { recursive: true });
+    return {
+      files: files.map(({ manager, ...file }) => file),
+      index: {
+        path: indexPath,
+        report: await indexManager.saveToFile(indexPath, { budget }),
+      },
+    };
+  }
+
+  /**
+   * Internal helper: Function returning the locale of a URL (or null), as
+   * described in groupEntriesByLocale().
+   * @param {LocaleOptions} options
+   * @returns {(url:string) => string|null}
+   * @throws {TypeError} If an option is invalid.
+   */
+  #localeResolver({ patterns, defaultLocale, ...rest }) {
+    const unknown = Object.keys(rest)[0];
+    if (unknown !== undefined) {
+      throw new TypeError(`Unknown locale option: ${unknown}`);
+    }
+    if (
+      patterns !== undefined &&
+      (patterns === null || typeof patterns !== "object")
+    ) {
+      throw new TypeError("patterns must be an object keyed by locale");
+    }
+    const matchers = Object.entries(patterns ?? {}).map(([key, value]) => {
+      const locale = LLMSManager.#canonicalLocale(key);
+      if (locale === null) {
+        throw new TypeError(`patterns.${key} is not a valid locale`);
+      }
+      const list = Array.isArray(value) ? value : [value];
+      return {
+        locale,
+        matches: list.map((pattern, i) => {
+          try {
+            return LLMSManager.#compilePattern(pattern);
+          } catch (err) {
+            const where = Array.isArray(value) ? `[${i}]` : "";
+            throw new TypeError(`patterns.${key}${where} ${err.message}`);
+          }
+        }),
+      };
+    });
+    let fallback = null;
+    if (defaultLocale !== undefined) {
+      fallback =
+        typeof defaultLocale === "string"
+          ? LLMSManager.#canonicalLocale(defaultLocale)
+          : null;
+      if (fallback === null) {
+        throw new TypeError("defaultLocale must be a valid locale");
+      }
+    }
+
+    // hreflang by URL, from the alternates of all entries
+    const hreflangs = new Map();
+    const origins = new Set();
+    for (const entry of this.#urls) {
+      origins.add(LLMSManager.#originOf(entry.loc));
+      for (const { hreflang, href } of entry.alternates ?? []) {
+        const locale = LLMSManager.#canonicalLocale(hreflang);
+        const key = this.#entryKey(href);
+        if (locale !== null && !hreflangs.has(key)) hreflangs.set(key, locale);
+      }
+    }
+    const known = new Set(hreflangs.values());
+
+    return (url) => {
+      for (const { locale, matches } of matchers) {
+        if (matches.some((match) => match(url))) return locale;
+      }
+      const hreflang = hreflangs.get(this.#entryKey(url));
+      if (hreflang) return hreflang;
+      if (matchers.length === 0 && known.size > 0) {
+        let segment;
+        try {
+          segment = new URL(url).pathname.split("/")[1];
+        } catch {
+          segment = "";
+        }
+        if (/^[a-z]{2}(?:[-_](?:[a-z]{2}|\d{3}|[a-z]{4}))?$/i.test(segment)) {
+          const locale = LLMSManager.#canonicalLocale(segment);
+          if (known.has(locale)) return locale;
+        }
+      }
+      // Links to other sites stay shared
+      return origins.size === 0 || origins.has(LLMSManager.#originOf(url))
+        ? fallback
+        : null;
+    };
+  }
+
+  /**
+   * Internal helper: Origin of a URL, null if it is invalid.
+   * @param {string} url
+   * @returns {string|null}
+   */
+  static #originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Internal helper: Canonical form of a BCP 47 language tag, "_" accepted as
+   * separator. "x-default" and invalid tags give null.
+   * @param {string} tag
+   * @returns {string|null}
+   */
+  static #canonicalLocale(tag) {
+    if (typeof tag !== "string" || /^x-default$/i.test(tag.trim())) return null;
+    try {
+      return Intl.getCanonicalLocales(tag.trim().replaceAll("_", "-"))[0];
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Internal helper: Name of a locale in its own language, e.g. "Deutsch".
+   * @param {string} locale
+   * @returns {string}
+   */
+  static #localeName(locale) {
+    try {
+      const name = new Intl.DisplayNames([locale], { type: "language" }).of(
+        locale
+      );
+      return name ? name[0].toLocaleUpperCase(locale) + name.slice(1) : locale;
+    } catch {
+      return locale;
+    }
+  }
+
+  /**
+   * Internal helper: Validate rules and compile them to matchers.
+   * @param {Array<SectionRule>} rules
+   * @returns {Array<{index:number,name?:string,section?:string,drop:boolean,maxItems:number,
+   *   matches:(entry:SitemapEntry, now:Date) => boolean}>}
+   * @throws {TypeError} Naming the invalid rule property.
+   */
+  static #compileRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new TypeError("rules must be array");
+    }
+    const DAY = 24 * 60 * 60 * 1000;
+    const known = [
+      "name",
+      "section",
+      "drop",
+      "include",
+      "exclude",
+      "hostname",
+      "priority",
+      "maxAgeDays",
+      "minAgeDays",
+      "maxItems",
+    ];
+
+    return rules.map((rule, index) => {
+      const where = `rules[${index}]`;
+      if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+        throw new TypeError(`${where} must be an object`);
+      }
+      for (const key of Object.keys(rule)) {
+        if (!known.includes(key)) {
+          throw new TypeError(`${where}.${key} is not a known rule option`);
+        }
+      }
+      const {
+        name,
+        section,
+        drop = false,
+        include = [],
+        exclude = [],
+        hostname,
+        priority = {},
+        maxAgeDays,
+        minAgeDays,
+        maxItems = Infinity,
+      } = rule;
+
+      if (name !== undefined && typeof name !== "string") {
+        throw new TypeError(`${where}.name must be a string`);
+      }
+      if (typeof drop !== "boolean") {
+        throw new TypeError(`${where}.drop must be boolean`);
+      }
+      if (!drop && (typeof section !== "string" || section.trim() === "")) {
+        throw new TypeError(
+          `${where}.section must be a non-empty string unless drop is true`
+        );
+      }
+      const compilePatterns = (value, key) => {
+        if (!Array.isArray(value)) {
+          throw new TypeError(`${where}.${key} must be an array of patterns`);
+        }
+        return value.map((pattern, i) => {
+          try {
+            return LLMSManager.#compilePattern(pattern);
+          } catch (err) {
+            throw new TypeError(`${where}.${key}[${i}] ${err.message}`);
+          }
+        });
+      };
+      const includeMatchers = compilePatterns(include, "include");
+      const excludeMatchers = compilePatterns(exclude, "exclude");
+
+      let hostMatchers = null;
+      if (hostname !== undefined) {
+        const hosts = Array.isArray(hostname) ? hostname : [hostname];
+        hostMatchers = hosts.map((host) => {
+          if (host instanceof RegExp) return (h) => host.test(h);
+          if (typeof host !== "string" || host.trim() === "") {
+            throw new TypeError(
+              `${where}.hostname must be a glob string, RegExp or array of them`
             );
-            return;
           }
-          let data = "";
-          res.setEncoding("utf8");
-          res.on("data", (chunk) => (data += chunk));
-          res.on("end", () => resolve(data));
+          const regex = new RegExp(
+            `^${host
+              .trim()
+              .toLowerCase()
+              .replace(/[.+^${}()|[\]\\?]/g, "\\$&")
+              .replace(/\*/g, ".*")}$`
+          );
+          return (h) => regex.test(h);
         });
-        req.on("error", (e) => reject(e));
-        req.end();
-      });
+      }
 
-    try {
-      const urlObj = new URL(urlString);
-      return await tryRequest(urlObj);
-    } catch (e) {
-      try {
-        const altUrl = urlString.startsWith("https://")
-          ? urlString.replace(/^https:/, "http:")
-          : urlString.replace(/^http:/, "https:");
-        const altUrlObj = new URL(altUrl);
-        return await tryRequest(altUrlObj);
-      } catch (err) {
-        throw new Error(
-          `Static fetch failed with both protocols: ${e.message}; fallback error: ${err.message}`
+      if (priority === null || typeof priority !== "object") {
+        throw new TypeError(`${where}.priority must be { min?, max? }`);
+      }
+      const { min = -Infinity, max = Infinity } = priority;
+      if (typeof min !== "number" || typeof max !== "number" || min > max) {
+        throw new TypeError(
+          `${where}.priority must be { min?, max? } with min <= max`
         );
       }
+      for (const [key, value] of Object.entries({ maxAgeDays, minAgeDays })) {
+        if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+          throw new TypeError(`${where}.${key} must be a non-negative number`);
+        }
+      }
+      if (
+        maxItems !== Infinity &&
+        (!Number.isInteger(maxItems) || maxItems < 0)
+      ) {
+        throw new TypeError(`${where}.maxItems must be a non-negative integer`);
+      }
+
+      const matches = (entry, now) => {
+        if (
+          !LLMSManager.#matchesPatterns(
+            entry.loc,
+            includeMatchers,
+            excludeMatchers
+          )
+        ) {
+          return false;
+        }
+        if (hostMatchers) {
+          let host;
+          try {
+            host = new URL(entry.loc).hostname.toLowerCase();
+          } catch {
+            return false;
+          }
+          if (!hostMatchers.some((match) => match(host))) return false;
+        }
+        if (entry.priority < min || entry.priority > max) return false;
+        if (maxAgeDays !== undefined || minAgeDays !== undefined) {
+          if (!(entry.lastmod instanceof Date)) return false;
+          const age = (now - entry.lastmod) / DAY;
+          if (maxAgeDays !== undefined && age > maxAgeDays) return false;
+          if (minAgeDays !== undefined && age < minAgeDays) return false;
+        }
+        return true;
+      };
+
+      return {
+        index,
+        name,
+        section: drop ? undefined : section.trim(),
+        drop,
+        maxItems,
+        matches,
+      };
+    });
+  }
+
+  /**
+   * Replace slug-derived link titles and empty notes with metadata fetched from
+   * the linked pages (see extractHtmlMetadata). Items whose page cannot be fetched
+   * or has no metadata keep their current title. Results are cached per URL on
+   * the manager, so repeated calls only fetch new URLs.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.includeOptional=true] - Also enrich items of optional sections.
+   * @param {number} [options.concurrency=4] - Maximum number of parallel page requests.
+   * @param {number} [options.timeout] - Per-page timeout in ms (default: the manager's http timeout).
+   * @param {boolean} [options.overwrite=false] - Also replace explicitly set titles and notes.
+   * @returns {Promise<Array<{url:string, status:"ok"|"cached"|"failed"|"disallowed", title:string|null, description:string|null, error?:string}>>}
+   *   One report per distinct URL, in section order.
+   */
+  async enrichContent(options = {}) {
+    const { includeOptional, concurrency, timeout, overwrite } =
+      LLMSManager.#normalizeEnrichOptions(options);
+    const httpOptions = {
+      ...this.#httpOptions,
+      timeout: timeout ?? this.#httpOptions.timeout,
+    };
+
+    const urls = this.#collectItems({ includeOptional }).map((i) => i.url);
+    const reports = await LLMSManager.#mapConcurrent(
+      urls,
+      concurrency,
+      async (url) => {
+        if (this.#metadataCache.has(url)) {
+          return { url, status: "cached", ...this.#metadataCache.get(url) };
+        }
+        if (!(await this.isAllowed(url))) {
+          return { url, status: "disallowed", title: null, description: null };
+        }
+        try {
+          const doc = await LLMSManager.#fetchDocument(
+            await this.#runHook("beforeFetch", url, { type: "page" }),
+            httpOptions,
+            this.#cache
+          );
+          const isHtml =
+            doc.contentType === "text/html" ||
+            doc.contentType === "application/xhtml+xml" ||
+            (!doc.contentType && /^\s*(<!doctype html|<html)/i.test(doc.text));
+          const metadata = isHtml
+            ? extractHtmlMetadata(doc.text)
+            : { title: null, description: null };
+          this.#metadataCache.set(url, metadata);
+          return { url, status: "ok", ...metadata };
+        } catch (err) {
+          return {
+            url,
+            status: "failed",
+            title: null,
+            description: null,
+            error: err.message,
+          };
+        }
+      }
+    );
+
+    const byUrl = new Map(reports.map((r) => [r.url, r]));
+    for (const section of this.#sections) {
+      if (section.optional && !includeOptional) continue;
+      for (const item of section.items) {
+        const { title, description } = byUrl.get(item.url);
+        if (
+          title &&
+          (overwrite || item.title === this.#extractTitleFromUrl(item.url))
+        ) {
+          item.title = title;
+        }
+        if (description && (overwrite || !item.notes)) {
+          item.notes = description;
+        }
+      }
     }
+    await this.#cache?.save();
+    return reports;
   }
 
   /**
-   * Automatically generate core content list from sitemap URLs filtered by priority.
-   * @param {number} [threshold=0.5] Minimum priority
-   * @returns {Array<{title:string, url:string}>}
+   * Internal helper: Validate enrichContent() options and apply defaults.
+   * @param {object} options
+   * @returns {{includeOptional:boolean, concurrency:number, timeout?:number, overwrite:boolean}}
+   * @throws {TypeError} If an option is invalid.
    */
-  autoGenerateCoreContent(threshold = 0.5) {
-    if (!Array.isArray(this.#urls) || this.#urls.length === 0) {
-      throw new Error("Sitemap URLs not loaded or empty");
+  static #normalizeEnrichOptions(options) {
+    if (options === null || typeof options !== "object") {
+      throw new TypeError("enrich options must be an object");
     }
-    return this.#urls
-      .filter(({ priority }) => priority >= threshold)
-      .map(({ loc }) => ({
-        title: this.#extractTitleFromUrl(loc),
-        url: loc,
-      }));
+    const {
+      includeOptional = true,
+      concurrency = 4,
+      timeout,
+      overwrite = false,
+      ...unknown
+    } = options;
+    const [extra] = Object.keys(unknown);
+    if (extra) {
+      throw new TypeError(`Unknown enrich option: ${extra}`);
+    }
+    if (typeof includeOptional !== "boolean") {
+      throw new TypeError("includeOptional must be boolean");
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new TypeError("concurrency must be a positive integer");
+    }
+    if (
+      timeout !== undefined &&
+      !(typeof timeout === "number" && timeout > 0)
+    ) {
+      throw new TypeError("timeout must be a positive number");
+    }
+    if (typeof overwrite !== "boolean") {
+      throw new TypeError("overwrite must be boolean");
+    }
+    return { includeOptional, concurrency, timeout, overwrite };
   }
 
   /**
@@ -586,6 +6504,580 @@ class LLMSManager {
       return url;
     }
   }
+
+  /**
+   * Create a fully configured manager from a declarative config, equivalent to
+   * the imperative setMetadata / loadSitemap / addSectionContent calls.
+   *
+   * Config (JSON file, .mjs/.js module with a default export, or plain object):
+   * {
+   *   sitemap: string,                // URL or path relative to the config file
+   *   sources?: Array<string | { type?: "sitemap"|"feed"|"llms", url: string, name?: string }>,
+   *                                   // further sources (URLs or relative paths); sitemap
+   *                                   // may be omitted when sources are given
+   *   maxSitemapDepth?: number, maxChildSitemaps?: number, http?: object,
+   *   robots?: boolean | { userAgent?: string }, // also removes disallowed manual items
+   *   cacheDir?: string,              // relative to the config file
+   *   normalizeUrls?: boolean | UrlNormalization,
+   *   metadata: { title: string, description: string, details?: string },
+   *   include?: Array<Pattern>,       // only sitemap URLs matching any pattern
+   *   exclude?: Array<Pattern>,       // drop sitemap URLs matching any pattern
+   *   sections?: [{
+   *     name: string, optional?: boolean,
+   *     include?: Array<Pattern>, exclude?: Array<Pattern>, minPriority?: number,
+   *     items?: Array<ContentItem>    // manual items, listed first
+   *   }],
+   *   rules?: Array<SectionRule>,     // evaluated before the section criteria
+   *   enrich?: boolean | object,      // enrichContent() options; true for defaults
+   *   output?: { llmsTxt?: string, llmsFullTxt?: string },
+   *   budget?: { llmsTxt?: Budget, llmsFullTxt?: Budget } // size budgets of the outputs
+   * }
+   * Sitemap entries are assigned to the first section whose criteria
+   * (include, exclude, minPriority) match; sections without include and
+   * minPriority only receive manual items. Without `sections`, all entries with
+   * priority >= 0.5 go to "Core Content", like autoGenerateCoreContent().
+   * A Pattern is a glob string ("/docs/**", "*" = one path segment, "**" = any),
+   * matched against the URL path, or against the full URL if it contains "://",
+   * or a regex given as RegExp or { regex: string, flags?: string }.
+   *
+   * @param {string|object} pathOrObject Config file path or config object.
+   * @returns {Promise<LLMSManager>}
+   * @throws {Error} With all validation problems if the config is invalid.
+   */
+  static async fromConfig(pathOrObject) {
+    const { config, baseDir } = await LLMSManager.#loadConfig(pathOrObject);
+    LLMSManager.#validateConfig(config);
+
+    const manager = new LLMSManager({
+      sitemapUrl:
+        config.sitemap === undefined
+          ? undefined
+          : LLMSManager.#resolveConfigUrl(config.sitemap, baseDir),
+      sources: config.sources?.map((source) =>
+        typeof source === "string"
+          ? LLMSManager.#resolveConfigUrl(source, baseDir)
+          : {
+              ...source,
+              url: LLMSManager.#resolveConfigUrl(source.url, baseDir),
+            }
+      ),
+      maxSitemapDepth: config.maxSitemapDepth,
+      maxChildSitemaps: config.maxChildSitemaps,
+      http: config.http,
+      robots: config.robots,
+      cacheDir:
+        config.cacheDir === undefined
+          ? undefined
+          : path.resolve(baseDir, config.cacheDir),
+      normalizeUrls: config.normalizeUrls,
+    });
+    for (const plugin of config.plugins ?? []) {
+      manager.use(
+        typeof plugin === "string"
+          ? await LLMSManager.#importPlugin(plugin, baseDir)
+          : plugin
+      );
+    }
+    const { title, description, details } = config.metadata;
+    manager.setMetadata(title, description, details);
+
+    const sections = config.sections ?? [
+      { name: LLMSManager.CORE_SECTION, minPriority: 0.5 },
+    ];
+    for (const { name, optional } of sections) {
+      manager.addSection(name, { optional });
+    }
+    for (const { name, items = [] } of sections) {
+      manager.addSectionContent(name, items);
+    }
+
+    // Global include/exclude become leading drop rules, then explicit rules,
+    // then one rule per section with selection criteria
+    const rules = [];
+    if (config.exclude?.length) {
+      rules.push({ name: "exclude", drop: true, include: config.exclude });
+    }
+    if (config.include?.length) {
+      rules.push({ name: "include", drop: true, exclude: config.include });
+    }
+    rules.push(...(config.rules ?? []));
+    for (const s of sections) {
+      if (s.include === undefined && s.minPriority === undefined) continue;
+      rules.push({
+        name: s.name,
+        section: s.name,
+        include: s.include,
+        exclude: s.exclude,
+        priority: { min: s.minPriority ?? -Infinity },
+      });
+    }
+    if (rules.some((r) => !r.drop)) {
+      await manager.loadSitemap();
+      manager.applyRules(rules);
+    }
+    if (config.robots) await manager.removeDisallowed();
+    if (config.enrich) {
+      await manager.enrichContent(config.enrich === true ? {} : config.enrich);
+    }
+
+    manager.#configOutput = Object.fromEntries(
+      Object.entries(config.output ?? {}).map(([key, file]) => [
+        key,
+        path.resolve(baseDir, file),
+      ])
+    );
+    manager.#configBudget = { ...config.budget };
+    return manager;
+  }
+
+  /**
+   * Build from a config and write the outputs it declares (`output.llmsTxt`,
+   * `output.llmsFullTxt`), with paths relative to the config file.
+   * Outputs identical to the existing files are not rewritten.
+   * @param {string|object} pathOrObject Config file path or config object.
+   * @returns {Promise<{manager:LLMSManager, written:Array<string>, unchanged:Array<string>, report?:object}>}
+   *   Manager, written and unchanged file paths, and the saveToFile() report of llms.txt.
+   */
+  static async build(pathOrObject) {
+    const manager = await LLMSManager.fromConfig(pathOrObject);
+    const { llmsTxt, llmsFullTxt } = manager.#configOutput;
+    const budget = manager.#configBudget;
+    const written = [];
+    const unchanged = [];
+    let report;
+    if (llmsTxt) {
+      report = await manager.saveToFile(llmsTxt, { budget: budget.llmsTxt });
+      (report.written ? written : unchanged).push(llmsTxt);
+    }
+    if (llmsFullTxt) {
+      const full = await manager.#saveLLMSFull(llmsFullTxt, {
+        budget: budget.llmsFullTxt,
+      });
+      (full.written ? written : unchanged).push(llmsFullTxt);
+    }
+    return report
+      ? { manager, written, unchanged, report }
+      : { manager, written, unchanged };
+  }
+
+  /**
+   * Internal helper: Load a config file (.json, .mjs, .js) or accept an object.
+   * @param {string|object} pathOrObject
+   * @returns {Promise<{config:object, baseDir:string}>} Config and directory for relative paths.
+   */
+  static async #loadConfig(pathOrObject) {
+    if (pathOrObject !== null && typeof pathOrObject === "object") {
+      return { config: pathOrObject, baseDir: process.cwd() };
+    }
+    if (typeof pathOrObject !== "string" || pathOrObject.trim() === "") {
+      throw new TypeError("config must be a file path or an object");
+    }
+    const file = path.resolve(pathOrObject.trim());
+    const baseDir = path.dirname(file);
+    if (!existsSync(file)) {
+      throw new Error(`Config file not found: ${file}`);
+    }
+
+    if (/\.(mjs|js)$/i.test(file)) {
+      const mod = await import(pathToFileURL(file).href);
+      const exported = mod.default ?? mod;
+      const config =
+        typeof exported === "function" ? await exported() : exported;
+      return { config, baseDir };
+    }
+    try {
+      return { config: JSON.parse(await readFile(file, "utf-8")), baseDir };
+    } catch (err) {
+      throw new Error(`Invalid config file ${file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Internal helper: Import a plugin module named in a config. Paths are
+   * resolved against the config file's directory, other specifiers are
+   * imported as packages.
+   * @param {string} specifier
+   * @param {string} baseDir
+   * @returns {Promise<Plugin>} The module's default export.
+   * @throws {Error} If the module has no default export.
+   */
+  static async #importPlugin(specifier, baseDir) {
+    const isPath =
+      specifier.startsWith(".") || path.isAbsolute(specifier.trim());
+    const mod = await import(
+      isPath
+        ? pathToFileURL(path.resolve(baseDir, specifier.trim())).href
+        : specifier.trim()
+    );
+    if (mod.default === undefined) {
+      throw new Error(`Plugin module has no default export: ${specifier}`);
+    }
+    return mod.default;
+  }
+
+  /**
+   * Internal helper: Validate a config object, reporting all problems at once.
+   * @param {object} config
+   * @throws {Error} Listing every invalid or unknown property by path.
+   */
+  static #validateConfig(config) {
+    const errors = [];
+    const isObject = (v) =>
+      v !== null && typeof v === "object" && !Array.isArray(v);
+    const isString = (v) => typeof v === "string" && v.trim() !== "";
+    const checkKeys = (obj, allowed, where) => {
+      for (const key of Object.keys(obj)) {
+        if (!allowed.includes(key))
+          errors.push(`${where}${key} is not a known option`);
+      }
+    };
+    const checkPatterns = (value, where) => {
+      if (value === undefined) return;
+      if (!Array.isArray(value)) {
+        errors.push(`${where} must be an array of patterns`);
+        return;
+      }
+      value.forEach((p, i) => {
+        try {
+          LLMSManager.#compilePattern(p);
+        } catch (err) {
+          errors.push(`${where}[${i}] ${err.message}`);
+        }
+      });
+    };
+    const checkItems = (value, where) => {
+      if (value === undefined) return;
+      if (!Array.isArray(value)) {
+        errors.push(`${where} must be an array`);
+        return;
+      }
+      value.forEach((item, i) => {
+        if (!isObject(item) || !isString(item.title) || !isString(item.url)) {
+          errors.push(
+            `${where}[${i}] must have non-empty string title and url`
+          );
+        } else if (item.notes !== undefined && typeof item.notes !== "string") {
+          errors.push(`${where}[${i}].notes must be a string`);
+        }
+      });
+    };
+
+    if (!isObject(config)) {
+      throw new Error("Invalid config: must be an object");
+    }
+    checkKeys(
+      config,
+      [
+        "sitemap",
+        "sources",
+        "maxSitemapDepth",
+        "maxChildSitemaps",
+        "http",
+        "metadata",
+        "include",
+        "exclude",
+        "sections",
+        "rules",
+        "robots",
+        "cacheDir",
+        "normalizeUrls",
+        "enrich",
+        "output",
+        "budget",
+        "plugins",
+      ],
+      ""
+    );
+    if (
+      (config.sitemap !== undefined || config.sources === undefined) &&
+      !isString(config.sitemap)
+    ) {
+      errors.push("sitemap must be a non-empty string (URL or file path)");
+    }
+    if (config.sources !== undefined) {
+      if (!Array.isArray(config.sources) || config.sources.length === 0) {
+        errors.push("sources must be a non-empty array");
+      } else {
+        config.sources.forEach((source, i) => {
+          const entry = isObject(source) ? source : { url: source };
+          try {
+            // Relative paths are resolved against the config file later
+            LLMSManager.#normalizeSource(
+              isString(entry.url)
+                ? {
+                    ...entry,
+                    url: LLMSManager.#resolveConfigUrl(
+                      entry.url,
+                      process.cwd()
+                    ),
+                  }
+                : entry,
+              i
+            );
+          } catch (err) {
+            errors.push(err.message);
+          }
+        });
+      }
+    }
+    for (const key of ["maxSitemapDepth", "maxChildSitemaps"]) {
+      if (
+        config[key] !== undefined &&
+        (!Number.isInteger(config[key]) || config[key] < 0)
+      ) {
+        errors.push(`${key} must be a non-negative integer`);
+      }
+    }
+    if (config.http !== undefined) {
+      try {
+        LLMSManager.#normalizeHttpOptions(config.http);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    try {
+      LLMSManager.#normalizeUrlOptions(config.normalizeUrls);
+    } catch (err) {
+      errors.push(err.message);
+    }
+    if (config.plugins !== undefined) {
+      if (!Array.isArray(config.plugins)) {
+        errors.push("plugins must be an array");
+      } else {
+        config.plugins.forEach((plugin, i) => {
+          if (
+            !isString(plugin) &&
+            !(isObject(plugin) && isString(plugin.name))
+          ) {
+            errors.push(
+              `plugins[${i}] must be a module path or a plugin object with a name`
+            );
+          }
+        });
+      }
+    }
+
+    if (!isObject(config.metadata)) {
+      errors.push("metadata must be an object with title and description");
+    } else {
+      checkKeys(
+        config.metadata,
+        ["title", "description", "details"],
+        "metadata."
+      );
+      if (!isString(config.metadata.title)) {
+        errors.push("metadata.title must be a non-empty string");
+      }
+      if (!isString(config.metadata.description)) {
+        errors.push("metadata.description must be a non-empty string");
+      }
+      if (
+        config.metadata.details !== undefined &&
+        typeof config.metadata.details !== "string"
+      ) {
+        errors.push("metadata.details must be a string");
+      }
+    }
+
+    checkPatterns(config.include, "include");
+    checkPatterns(config.exclude, "exclude");
+
+    if (config.sections !== undefined) {
+      if (!Array.isArray(config.sections)) {
+        errors.push("sections must be an array");
+      } else {
+        const names = new Set();
+        config.sections.forEach((section, i) => {
+          const where = `sections[${i}]`;
+          if (!isObject(section)) {
+            errors.push(`${where} must be an object`);
+            return;
+          }
+          checkKeys(
+            section,
+            ["name", "optional", "include", "exclude", "minPriority", "items"],
+            `${where}.`
+          );
+          if (!isString(section.name)) {
+            errors.push(`${where}.name must be a non-empty string`);
+          } else if (names.has(section.name.trim().toLowerCase())) {
+            errors.push(`${where}.name "${section.name}" is duplicated`);
+          } else {
+            names.add(section.name.trim().toLowerCase());
+          }
+          if (
+            section.optional !== undefined &&
+            typeof section.optional !== "boolean"
+          ) {
+            errors.push(`${where}.optional must be a boolean`);
+          }
+          if (
+            section.minPriority !== undefined &&
+            !Number.isFinite(section.minPriority)
+          ) {
+            errors.push(`${where}.minPriority must be a number`);
+          }
+          checkPatterns(section.include, `${where}.include`);
+          checkPatterns(section.exclude, `${where}.exclude`);
+          checkItems(section.items, `${where}.items`);
+        });
+      }
+    }
+
+    if (config.rules !== undefined) {
+      try {
+        LLMSManager.#compileRules(config.rules);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    if (config.cacheDir !== undefined && !isString(config.cacheDir)) {
+      errors.push("cacheDir must be a non-empty string");
+    }
+
+    if (config.robots !== undefined) {
+      try {
+        LLMSManager.#normalizeRobotsOption(config.robots, "llms-manager");
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    if (config.enrich !== undefined && typeof config.enrich !== "boolean") {
+      try {
+        LLMSManager.#normalizeEnrichOptions(config.enrich);
+      } catch (err) {
+        errors.push(`enrich: ${err.message}`);
+      }
+    }
+
+    if (config.output !== undefined) {
+      if (!isObject(config.output)) {
+        errors.push("output must be an object");
+      } else {
+        checkKeys(config.output, ["llmsTxt", "llmsFullTxt"], "output.");
+        for (const [key, value] of Object.entries(config.output)) {
+          if (!isString(value))
+            errors.push(`output.${key} must be a file path`);
+        }
+      }
+    }
+
+    if (config.budget !== undefined) {
+      if (!isObject(config.budget)) {
+        errors.push("budget must be an object");
+      } else {
+        checkKeys(config.budget, ["llmsTxt", "llmsFullTxt"], "budget.");
+        for (const [key, value] of Object.entries(config.budget)) {
+          try {
+            LLMSManager.#normalizeBudget(value);
+          } catch (err) {
+            errors.push(`budget.${key}: ${err.message}`);
+          }
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid config:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+      );
+    }
+  }
+
+  /**
+   * Internal helper: Resolve a sitemap reference from a config.
+   * @param {string} value URL or file path.
+   * @param {string} baseDir Directory for relative paths.
+   * @returns {string} http(s) or file:// URL.
+   */
+  static #resolveConfigUrl(value, baseDir) {
+    const trimmed = value.trim();
+    if (/^(https?|file):\/\//i.test(trimmed)) return trimmed;
+    return pathToFileURL(path.resolve(baseDir, trimmed)).href;
+  }
+
+  /**
+   * Internal helper: Compile a URL pattern into a predicate.
+   * Glob strings match the URL path (or the full URL if they contain "://"):
+   * "*" matches within one path segment, "**" across segments, "?" one character,
+   * and a trailing "/**" also matches the parent path itself.
+   * @param {string|RegExp|{regex:string,flags?:string}} pattern
+   * @returns {(url:string) => boolean}
+   * @throws {TypeError} If the pattern is invalid.
+   */
+  static #compilePattern(pattern) {
+    let regex;
+    let fullUrl = false;
+    if (pattern instanceof RegExp) {
+      regex = pattern;
+      fullUrl = true;
+    } else if (
+      pattern !== null &&
+      typeof pattern === "object" &&
+      typeof pattern.regex === "string"
+    ) {
+      try {
+        regex = new RegExp(pattern.regex, pattern.flags);
+      } catch (err) {
+        throw new TypeError(`is not a valid regex: ${err.message}`);
+      }
+      fullUrl = true;
+    } else if (typeof pattern === "string" && pattern.trim() !== "") {
+      const glob = pattern.trim();
+      fullUrl = glob.includes("://");
+      let source = "";
+      for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (glob.startsWith("/**", i) && i + 3 === glob.length) {
+          source += "(?:/.*)?";
+          break;
+        } else if (glob.startsWith("**", i)) {
+          source += ".*";
+          i++;
+        } else if (c === "*") {
+          source += "[^/]*";
+        } else if (c === "?") {
+          source += "[^/]";
+        } else {
+          source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+      }
+      regex = new RegExp(`^${source}$`);
+    } else {
+      throw new TypeError(
+        "must be a glob string, a RegExp or { regex, flags }"
+      );
+    }
+
+    return (url) => {
+      let target = url;
+      if (!fullUrl) {
+        try {
+          target = new URL(url).pathname;
+        } catch {
+          // match relative or invalid URLs as-is
+        }
+      }
+      regex.lastIndex = 0;
+      return regex.test(target);
+    };
+  }
+
+  /**
+   * Internal helper: Check a URL against include and exclude predicates.
+   * @param {string} url
+   * @param {Array<Function>} include URL must match one (if any are given).
+   * @param {Array<Function>} exclude URL must match none.
+   * @returns {boolean}
+   */
+  static #matchesPatterns(url, include, exclude) {
+    if (include.length > 0 && !include.some((match) => match(url))) {
+      return false;
+    }
+    return !exclude.some((match) => match(url));
+  }
 }
 
 export default LLMSManager;
@@ -1,7 +1,12 @@
 import assert from "assert";
+import { execFile } from "child_process";
 import { existsSync, unlinkSync } from "fs";
+import { mkdir, mkdtemp, readFile, rm, stat, writeFile } from "fs/promises";
+import { createServer } from "http";
+import { tmpdir } from "os";
 import path from "path";
-import { fileURLToPath } from "url";
+import { fileURLToPath, pathToFileURL } from "url";
+import { brotliCompressSync, gzipSync } from "zlib";
 import LLMSManager from "../src/llms-manager.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -92,7 +97,3747 @@ async function runTest() {
   console.log("✅ All LLMSManager tests passed successfully!");
 }
 
-runTest().catch((e) => {
+async function runSitemapIndexTest() {
+  console.log("🧪 Starting sitemap index test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-index-"));
+  const toFileUrl = (name) =>
+    `file://${path.join(dir, name).replace(/\\/g, "/")}`;
+
+  try {
+    await writeFile(
+      path.join(dir, "child-a.xml"),
+      `<urlset>
+  <url><loc>https://example.com/a</loc><priority>0.9</priority></url>
+  <url><loc>https://example.com/shared</loc></url>
+</urlset>`
+    );
+    await writeFile(
+      path.join(dir, "child-b.xml"),
+      `<urlset>
+  <url><loc>https://example.com/shared</loc></url>
+  <url><loc>https://example.com/b</loc></url>
+</urlset>`
+    );
+    // Nested index that points back at the root (loop) and at child-b again
+    await writeFile(
+      path.join(dir, "nested.xml"),
+      `<sitemapindex>
+  <sitemap><loc>${toFileUrl("index.xml")}</loc></sitemap>
+  <sitemap><loc>child-b.xml</loc></sitemap>
+</sitemapindex>`
+    );
+    await writeFile(
+      path.join(dir, "index.xml"),
+      `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>${toFileUrl("child-a.xml")}</loc></sitemap>
+  <sitemap><loc>${toFileUrl("nested.xml")}</loc></sitemap>
+</sitemapindex>`
+    );
+
+    const manager = new LLMSManager({ sitemapUrl: toFileUrl("index.xml") });
+    await manager.loadSitemap();
+    const locs = manager.getSitemapEntries().map((e) => e.loc);
+    assert.deepStrictEqual(locs, [
+      "https://example.com/a",
+      "https://example.com/shared",
+      "https://example.com/b",
+    ]);
+
+    // Depth limit: nested.xml is an index at depth 1
+    const shallow = new LLMSManager({
+      sitemapUrl: toFileUrl("index.xml"),
+      maxSitemapDepth: 1,
+    });
+    await assert.rejects(() => shallow.loadSitemap(), /maxSitemapDepth/);
+
+    // Child-count limit
+    const narrow = new LLMSManager({
+      sitemapUrl: toFileUrl("index.xml"),
+      maxChildSitemaps: 1,
+    });
+    await assert.rejects(() => narrow.loadSitemap(), /maxChildSitemaps/);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Sitemap index tests passed successfully!");
+}
+
+async function runCompressedSitemapTest() {
+  console.log("🧪 Starting compressed sitemap test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-gzip-"));
+  const server = createServer((req, res) => {
+    if (req.url === "/sitemap.xml") {
+      res.writeHead(200, {
+        "Content-Type": "application/xml",
+        "Content-Encoding": "br",
+      });
+      res.end(brotliCompressSync(SAMPLE_SITEMAP_XML));
+    } else if (req.url === "/sitemap.xml.gz") {
+      res.writeHead(200, { "Content-Type": "application/octet-stream" });
+      res.end(gzipSync(SAMPLE_SITEMAP_XML));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // Local .xml.gz file
+    const gzPath = path.join(dir, "sitemap.xml.gz");
+    await writeFile(gzPath, gzipSync(SAMPLE_SITEMAP_XML));
+    const local = new LLMSManager({
+      sitemapUrl: `file://${gzPath.replace(/\\/g, "/")}`,
+    });
+    await local.loadSitemap();
+    assert.strictEqual(local.getSitemapEntries().length, 2);
+
+    // Content-Encoding: br response
+    const encoded = new LLMSManager({ sitemapUrl: `${origin}/sitemap.xml` });
+    await encoded.loadSitemap();
+    assert.strictEqual(
+      encoded.getSitemapEntries()[0].loc,
+      "https://example.com/page-one"
+    );
+
+    // Gzip payload detected via magic bytes
+    const sniffed = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml.gz`,
+    });
+    await sniffed.loadSitemap();
+    assert.strictEqual(sniffed.getSitemapEntries().length, 2);
+  } finally {
+    server.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Compressed sitemap tests passed successfully!");
+}
+
+async function runHttpClientTest() {
+  console.log("🧪 Starting HTTP client test...");
+
+  const hits = {};
+  let indexHeaders = {};
+  const server = createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    if (req.url === "/sitemap.xml") {
+      res.writeHead(301, { Location: "/sitemap_index.xml" });
+      res.end();
+    } else if (req.url === "/sitemap_index.xml") {
+      indexHeaders = req.headers;
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(SAMPLE_SITEMAP_XML);
+    } else if (req.url === "/cross-origin.xml") {
+      res.writeHead(302, { Location: `${otherOrigin}/sitemap.xml` });
+      res.end();
+    } else if (req.url === "/loop-a") {
+      res.writeHead(302, { Location: "/loop-b" });
+      res.end();
+    } else if (req.url === "/loop-b") {
+      res.writeHead(302, { Location: "/loop-a" });
+      res.end();
+    } else if (req.url === "/flaky") {
+      if (hits[req.url] === 1) {
+        res.writeHead(503, { "Retry-After": "0" });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/markdown" });
+      res.end(
+        "# Flaky\n> Recovered\n\n## Core Content\n- [A](https://example.com/a)\n"
+      );
+    } else if (req.url === "/big") {
+      res.writeHead(200);
+      res.end("x".repeat(4096));
+    } else if (req.url === "/slow") {
+      // Never respond; the client timeout must fire
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  let otherHeaders = {};
+  const other = createServer((req, res) => {
+    otherHeaders = req.headers;
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    res.end(SAMPLE_SITEMAP_XML);
+  });
+  await new Promise((resolve) => other.listen(0, "127.0.0.1", resolve));
+  const otherOrigin = `http://127.0.0.1:${other.address().port}`;
+
+  try {
+    // Redirect + custom headers
+    const manager = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml`,
+      http: { userAgent: "test-agent/1.0", headers: { "X-Token": "secret" } },
+    });
+    await manager.loadSitemap();
+    assert.strictEqual(manager.getSitemapEntries().length, 2);
+    assert.strictEqual(indexHeaders["user-agent"], "test-agent/1.0");
+    assert.strictEqual(indexHeaders["x-token"], "secret");
+
+    // Extra headers are not sent to another origin
+    const crossing = new LLMSManager({
+      sitemapUrl: `${origin}/cross-origin.xml`,
+      http: { headers: { Authorization: "Bearer secret" } },
+    });
+    await crossing.loadSitemap();
+    assert.strictEqual(crossing.getSitemapEntries().length, 2);
+    assert.strictEqual(otherHeaders.authorization, undefined);
+    assert.ok(otherHeaders["user-agent"].startsWith("llms-manager/"));
+
+    // Redirect loop
+    const looping = new LLMSManager({ sitemapUrl: `${origin}/loop-a` });
+    await assert.rejects(() => looping.loadSitemap(), /Redirect loop/);
+
+    // Retry on 503 honouring Retry-After
+    const parsed = await LLMSManager.parseLLMSTxtFromUrl(`${origin}/flaky`, {
+      retryDelay: 1,
+    });
+    assert.strictEqual(parsed.title, "Flaky");
+    assert.strictEqual(hits["/flaky"], 2);
+
+    // Response size cap
+    await assert.rejects(
+      () =>
+        LLMSManager.parseLLMSTxtFromUrl(`${origin}/big`, {
+          maxResponseSize: 1024,
+        }),
+      /maxResponseSize/
+    );
+
+    // Timeout
+    await assert.rejects(
+      () =>
+        LLMSManager.parseLLMSTxtFromUrl(`${origin}/slow`, {
+          timeout: 100,
+          retries: 0,
+        }),
+      /timed out/
+    );
+
+    // No protocol fallback for error statuses or https URLs
+    await assert.rejects(
+      () => LLMSManager.parseLLMSTxtFromUrl(`${origin}/missing`),
+      (err) => /Status: 404/.test(err.message) && !/both/.test(err.message)
+    );
+    await assert.rejects(() =>
+      LLMSManager.parseLLMSTxtFromUrl(
+        `${origin.replace("http:", "https:")}/flaky`,
+        { retries: 0, timeout: 1000, headers: { "X-Token": "secret" } }
+      )
+    );
+    assert.strictEqual(hits["/flaky"], 2);
+
+    // Invalid options
+    assert.throws(
+      () => new LLMSManager({ sitemapUrl: origin, http: { timeout: -1 } }),
+      TypeError
+    );
+    assert.throws(
+      () =>
+        new LLMSManager({
+          sitemapUrl: origin,
+          http: { allowInsecureRedirects: "yes" },
+        }),
+      /allowInsecureRedirects must be boolean/
+    );
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    other.close();
+  }
+
+  console.log("✅ HTTP client tests passed successfully!");
+}
+
+async function runSitemapProtocolTest() {
+  console.log("🧪 Starting sitemap protocol parsing test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-protocol-"));
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- generated -->
+<ns:urlset xmlns:ns="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+  xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <ns:url>
+    <ns:loc>https://example.com/search?a=1&amp;b=2</ns:loc>
+    <ns:lastmod>2024-05-01T10:00:00+00:00</ns:lastmod>
+    <ns:changefreq>Weekly</ns:changefreq>
+    <ns:priority>0.7</ns:priority>
+    <xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/suche?a=1&amp;b=2"/>
+    <image:image>
+      <image:loc>https://example.com/img.png</image:loc>
+      <image:title><![CDATA[Logo <big>]]></image:title>
+    </image:image>
+  </ns:url>
+  <ns:url>
+    <ns:loc><![CDATA[https://example.com/cdata]]></ns:loc>
+    <ns:lastmod>not a date</ns:lastmod>
+    <ns:changefreq>sometimes</ns:changefreq>
+  </ns:url>
+</ns:urlset>`;
+
+  try {
+    const file = path.join(dir, "sitemap.xml");
+    await writeFile(file, xml);
+    const manager = new LLMSManager({
+      sitemapUrl: `file://${file.replace(/\\/g, "/")}`,
+    });
+    await manager.loadSitemap();
+    const [first, second] = manager.getSitemapEntries();
+
+    assert.strictEqual(first.loc, "https://example.com/search?a=1&b=2");
+    assert.strictEqual(first.priority, 0.7);
+    assert.ok(first.lastmod instanceof Date);
+    assert.strictEqual(first.lastmod.toISOString(), "2024-05-01T10:00:00.000Z");
+    assert.strictEqual(first.changefreq, "weekly");
+    assert.deepStrictEqual(first.alternates, [
+      { hreflang: "de", href: "https://example.com/de/suche?a=1&b=2" },
+    ]);
+    assert.deepStrictEqual(first.images, [
+      { loc: "https://example.com/img.png", title: "Logo <big>" },
+    ]);
+
+    assert.strictEqual(second.loc, "https://example.com/cdata");
+    assert.strictEqual(second.priority, 0.5);
+    assert.strictEqual(second.lastmod, null);
+    assert.strictEqual(second.changefreq, null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Sitemap protocol parsing tests passed successfully!");
+}
+
+async function runSpecParserTest() {
+  console.log("🧪 Starting llms.txt spec parser test...");
+
+  const parsed = LLMSManager.parseLLMSTxt(`# FastHTML
+
+> FastHTML is a python library which brings together Starlette, Uvicorn,
+> HTMX, and fastcore.
+
+Important notes:
+
+- Although parts of its API are inspired by FastAPI, it is *not* compatible
+
+## Docs
+
+- [FastHTML quick start](https://fastht.ml/docs/tutorials/quickstart.html.md): A brief overview of many FastHTML features
+- [HTMX reference](https://github.com/bigskysoftware/htmx/blob/master/www/content/reference.md)
+
+## Examples
+
+- [Todo list application](https://github.com/AnswerDotAI/fasthtml/blob/main/examples/adv_app.py): Detailed walk-thru
+
+## Optional
+
+- [Starlette full documentation](https://gist.githubusercontent.com/starlette.md): A subset of the Starlette documentation
+`);
+
+  assert.strictEqual(parsed.title, "FastHTML");
+  assert.strictEqual(
+    parsed.description,
+    "FastHTML is a python library which brings together Starlette, Uvicorn, HTMX, and fastcore."
+  );
+  assert.strictEqual(
+    parsed.details,
+    "Important notes:\n\n- Although parts of its API are inspired by FastAPI, it is *not* compatible"
+  );
+  assert.deepStrictEqual(
+    parsed.sections.map((s) => [s.name, s.optional, s.items.length]),
+    [
+      ["Docs", false, 2],
+      ["Examples", false, 1],
+      ["Optional", true, 1],
+    ]
+  );
+  assert.deepStrictEqual(parsed.sections[0].items[0], {
+    title: "FastHTML quick start",
+    url: "https://fastht.ml/docs/tutorials/quickstart.html.md",
+    notes: "A brief overview of many FastHTML features",
+  });
+  assert.strictEqual(parsed.sections[0].items[1].notes, "");
+
+  // Legacy view
+  assert.strictEqual(parsed.coreContent.length, 3);
+  assert.deepStrictEqual(parsed.optionalContent, [
+    {
+      title: "Starlette full documentation",
+      url: "https://gist.githubusercontent.com/starlette.md",
+    },
+  ]);
+
+  assert.throws(
+    () => LLMSManager.parseLLMSTxt("> no title"),
+    /Missing # Title/
+  );
+
+  console.log("✅ llms.txt spec parser tests passed successfully!");
+}
+
+async function runSectionsTest() {
+  console.log("🧪 Starting named sections test...");
+
+  const manager = new LLMSManager({
+    sitemapUrl: "https://example.com/sitemap.xml",
+  });
+  manager.setMetadata(
+    "Docs Site",
+    "Everything about the product.",
+    "Start with the guides."
+  );
+  manager.addOptionalContent([
+    { title: "Old Blog", url: "https://example.com/blog" },
+  ]);
+  manager.addSection("Guides");
+  manager.addSection("Changelog");
+  manager.addSection("API Reference", { position: 1 });
+  manager.addSectionContent("Guides", [
+    {
+      title: "Getting Started",
+      url: "https://example.com/start",
+      notes: "Install and first steps",
+    },
+  ]);
+  manager.addSectionContent("API Reference", [
+    { title: "REST API", url: "https://example.com/api" },
+  ]);
+  manager.addSectionContent("Changelog", [
+    { title: "Releases", url: "https://example.com/releases" },
+    { title: "Duplicate", url: "https://example.com/start" },
+  ]);
+
+  assert.deepStrictEqual(
+    manager.getSections().map((s) => s.name),
+    ["Guides", "API Reference", "Changelog", "Optional"]
+  );
+  assert.throws(() => manager.addSection("guides"), /already exists/);
+  assert.throws(() => manager.reorderSections(["Nope"]), /Unknown section/);
+
+  manager.reorderSections(["API Reference"]);
+  manager.setSectionOptional("Changelog", true);
+  assert.strictEqual(manager.removeSection("Missing"), false);
+
+  const text = manager.generateLLMSTxt();
+  assert.strictEqual(
+    text,
+    `# Docs Site
+> Everything about the product.
+
+Start with the guides.
+
+## API Reference
+- [REST API](https://example.com/api)
+
+## Guides
+- [Getting Started](https://example.com/start): Install and first steps
+
+## Changelog
+- [Releases](https://example.com/releases)
+
+## Optional
+- [Old Blog](https://example.com/blog)
+`
+  );
+
+  const parsed = LLMSManager.parseLLMSTxt(text);
+  assert.strictEqual(parsed.details, "Start with the guides.");
+  assert.deepStrictEqual(parsed.sections[1].items[0], {
+    title: "Getting Started",
+    url: "https://example.com/start",
+    notes: "Install and first steps",
+  });
+
+  assert.strictEqual(manager.removeSection("Changelog"), true);
+  assert.ok(!manager.generateLLMSTxt().includes("## Changelog"));
+
+  console.log("✅ Named sections tests passed successfully!");
+}
+
+async function runValidateTest() {
+  console.log("🧪 Starting validation test...");
+
+  const text = `# Site
+
+## Docs
+* [Guide] (/guide)
+- [Home](https://example.com/)
+- [Broken](http://[bad)
+- just text
+
+## Empty
+
+## More
+- [Home again](https://example.com/)
+> stray quote
+# Second title`;
+
+  const report = LLMSManager.validate(text);
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.output, undefined);
+  assert.deepStrictEqual(
+    report.diagnostics.map((d) => [d.line, d.severity, d.rule, d.fixable]),
+    [
+      [1, "warning", "missing-description", false],
+      [4, "error", "malformed-list-item", true],
+      [4, "warning", "relative-url", false],
+      [6, "error", "invalid-url", false],
+      [7, "error", "malformed-list-item", false],
+      [9, "warning", "empty-section", true],
+      [12, "warning", "duplicate-link", true],
+      [13, "warning", "multiple-blockquotes", true],
+      [14, "error", "multiple-h1", false],
+    ]
+  );
+  assert.strictEqual(report.diagnostics[2].column, 12);
+
+  const fixed = LLMSManager.validate(text, {
+    fix: true,
+    baseUrl: "https://example.com",
+    description: "Example docs",
+  });
+  assert.strictEqual(
+    fixed.output,
+    `# Site
+> Example docs
+
+## Docs
+- [Guide](https://example.com/guide)
+- [Home](https://example.com/)
+- [Broken](http://[bad)
+- just text
+
+stray quote
+# Second title`
+  );
+  assert.deepStrictEqual(fixed.fixes.map((f) => f.rule).sort(), [
+    "duplicate-link",
+    "empty-section",
+    "empty-section",
+    "malformed-list-item",
+    "missing-description",
+    "multiple-blockquotes",
+    "relative-url",
+  ]);
+
+  const clean = LLMSManager.validate(
+    "# Site\n> Summary\n\n## Docs\n- [A](https://example.com/a): notes\n"
+  );
+  assert.deepStrictEqual(clean, { valid: true, diagnostics: [] });
+
+  console.log("✅ Validation tests passed successfully!");
+}
+
+async function runFullTxtTest() {
+  console.log("🧪 Starting llms-full.txt test...");
+
+  const server = createServer((req, res) => {
+    if (req.url === "/guide") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(`<!doctype html><html><head><title>Guide</title>
+<script>var tracking = true;</script></head><body>
+<nav><a href="/">Home</a></nav><header>Site header</header>
+<main>
+  <h1>Getting &amp; Started</h1>
+  <p>Read the <a href="/api">API docs</a> first.</p>
+  <ul><li>Install</li><li>Configure</li></ul>
+  <pre><code class="language-js">const x = 1 &lt; 2;</code></pre>
+  <table><tr><th>Option</th><th>Default</th></tr><tr><td>timeout</td><td>30s</td></tr></table>
+</main>
+<footer>Copyright</footer></body></html>`);
+    } else if (req.url === "/notes.md") {
+      res.writeHead(200, { "Content-Type": "text/markdown" });
+      res.end("# Notes\n\nPlain markdown.\n");
+    } else if (req.url === "/long") {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end("word ".repeat(2000));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const manager = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml`,
+      http: { retries: 0 },
+    });
+    manager.setMetadata("Full Site", "All the content");
+    manager.addCoreContent([
+      { title: "Guide", url: `${origin}/guide` },
+      { title: "Notes", url: `${origin}/notes.md` },
+      { title: "Missing", url: `${origin}/missing` },
+    ]);
+    manager.addOptionalContent([{ title: "Long", url: `${origin}/long` }]);
+
+    const { content, pages } = await manager.generateLLMSFullTxt();
+    assert.ok(content.startsWith("# Full Site\n> All the content\n"));
+    assert.ok(content.includes(`## Guide\n\nSource: ${origin}/guide`));
+    assert.ok(content.includes("### Getting & Started"));
+    assert.ok(content.includes(`Read the [API docs](${origin}/api) first.`));
+    assert.ok(content.includes("- Install\n- Configure"));
+    assert.ok(content.includes("```js\nconst x = 1 < 2;\n```"));
+    assert.ok(content.includes("| Option | Default |\n| --- | --- |"));
+    assert.ok(content.includes("### Notes\n\nPlain markdown."));
+    assert.ok(!content.includes("Site header"));
+    assert.ok(!content.includes("Copyright"));
+    assert.ok(!content.includes("tracking"));
+    assert.ok(!content.includes("## Long"));
+    assert.deepStrictEqual(
+      pages.map((p) => p.status),
+      ["ok", "ok", "failed"]
+    );
+    assert.match(pages[2].error, /Status: 404/);
+
+    // Size budget truncates the page that does not fit
+    const budgeted = await manager.generateLLMSFullTxt({
+      includeOptional: true,
+      maxBytes: 2000,
+      concurrency: 1,
+    });
+    assert.ok(Buffer.byteLength(budgeted.content) <= 2000);
+    assert.deepStrictEqual(
+      budgeted.pages.map((p) => p.status),
+      ["ok", "ok", "failed", "truncated"]
+    );
+    assert.ok(budgeted.content.endsWith("(truncated)\n"));
+  } finally {
+    server.close();
+  }
+
+  console.log("✅ llms-full.txt tests passed successfully!");
+}
+
+async function runCliTest() {
+  console.log("🧪 Starting CLI test...");
+
+  const cli = path.join(__dirname, "..", "bin", "llms-manager.js");
+  const run = (...args) =>
+    new Promise((resolve) => {
+      execFile(process.execPath, [cli, ...args], (err, stdout, stderr) => {
+        resolve({ code: err ? err.code : 0, stdout, stderr });
+      });
+    });
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-cli-"));
+
+  try {
+    const sitemap = path.join(dir, "sitemap.xml");
+    const out = path.join(dir, "llms.txt");
+    const wide = path.join(dir, "llms-wide.txt");
+    await writeFile(sitemap, SAMPLE_SITEMAP_XML);
+
+    // generate from a local sitemap path
+    let result = await run(
+      "generate",
+      "--sitemap",
+      sitemap,
+      "--title",
+      "CLI Site",
+      "--description",
+      "Generated offline",
+      "--threshold",
+      "0.5",
+      "--out",
+      out
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.ok(
+      (await readFile(out, "utf-8")).includes(
+        "- [Page One](https://example.com/page-one)"
+      )
+    );
+
+    // generate to stdout with file:// URL
+    result = await run(
+      "generate",
+      "--sitemap",
+      `file://${sitemap.replace(/\\/g, "/")}`,
+      "--title",
+      "CLI Site",
+      "--description",
+      "Generated offline",
+      "--threshold",
+      "0"
+    );
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.ok(result.stdout.includes("Page Two"));
+    await writeFile(wide, result.stdout);
+
+    // parse --json
+    result = await run("parse", out, "--json");
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(JSON.parse(result.stdout).title, "CLI Site");
+
+    // validate: clean file, then broken file with and without --fix
+    result = await run("validate", out);
+    assert.strictEqual(result.code, 0);
+    const broken = path.join(dir, "broken.txt");
+    await writeFile(
+      broken,
+      "# Broken\n> Summary\n\n## Docs\n* [A] (https://example.com/a)\n"
+    );
+    result = await run("validate", broken);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stdout, /broken\.txt:5:1 error malformed-list-item/);
+    result = await run("validate", broken, "--fix");
+    assert.strictEqual(result.code, 0);
+    assert.ok(
+      (await readFile(broken, "utf-8")).includes("- [A](https://example.com/a)")
+    );
+
+    // diff
+    result = await run("diff", out, wide);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stdout, /\+ \[Core Content\] Page Two/);
+    result = await run("diff", out, out);
+    assert.strictEqual(result.code, 0);
+    assert.match(result.stdout, /No differences/);
+    result = await run("diff", out, wide, "--json", "--fail-on-removal");
+    assert.strictEqual(result.code, 0);
+    assert.strictEqual(JSON.parse(result.stdout).links.added.length, 1);
+    result = await run("diff", wide, out, "--fail-on-removal");
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stdout, /- \[Core Content\] Page Two/);
+
+    // usage errors
+    result = await run("generate", "--title", "x");
+    assert.strictEqual(result.code, 2);
+    assert.match(result.stderr, /--sitemap is required/);
+    result = await run("unknown");
+    assert.strictEqual(result.code, 2);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ CLI tests passed successfully!");
+}
+
+async function runConfigTest() {
+  console.log("🧪 Starting config test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-config-"));
+  try {
+    await writeFile(
+      path.join(dir, "sitemap.xml"),
+      `<urlset>
+  <url><loc>https://example.com/guides/install</loc><priority>0.5</priority></url>
+  <url><loc>https://example.com/guides/deep/config</loc><priority>0.5</priority></url>
+  <url><loc>https://example.com/api/rest</loc><priority>0.9</priority></url>
+  <url><loc>https://example.com/blog/2020/old-post</loc><priority>0.5</priority></url>
+  <url><loc>https://example.com/admin/login</loc><priority>1.0</priority></url>
+</urlset>`
+    );
+
+    // Default sections behave like the imperative API
+    await writeFile(path.join(dir, "sitemap-simple.xml"), SAMPLE_SITEMAP_XML);
+    const simple = await LLMSManager.fromConfig({
+      sitemap: `file://${path
+        .join(dir, "sitemap-simple.xml")
+        .replace(/\\/g, "/")}`,
+      metadata: { title: "Test Site", description: "A test description" },
+    });
+    const imperative = new LLMSManager({
+      sitemapUrl: `file://${path
+        .join(dir, "sitemap-simple.xml")
+        .replace(/\\/g, "/")}`,
+    });
+    await imperative.loadSitemap();
+    imperative.setMetadata("Test Site", "A test description");
+    imperative.addCoreContent(imperative.autoGenerateCoreContent(0.5));
+    assert.strictEqual(simple.generateLLMSTxt(), imperative.generateLLMSTxt());
+
+    // JSON config file with relative paths, patterns and manual items
+    const configPath = path.join(dir, "llms.config.json");
+    await writeFile(
+      configPath,
+      JSON.stringify({
+        sitemap: "sitemap.xml",
+        metadata: {
+          title: "Config Site",
+          description: "Built from config",
+          details: "Reproducible.",
+        },
+        exclude: ["/admin/**"],
+        sections: [
+          {
+            name: "Guides",
+            include: ["/guides/**"],
+            items: [
+              {
+                title: "Overview",
+                url: "https://example.com/",
+                notes: "Start here",
+              },
+            ],
+          },
+          { name: "API", include: [{ regex: "/api/" }], minPriority: 0.8 },
+          { name: "Optional", include: ["**"] },
+        ],
+        output: { llmsTxt: "out/llms.txt" },
+      })
+    );
+    await mkdir(path.join(dir, "out"));
+    const { manager, written } = await LLMSManager.build(configPath);
+    assert.deepStrictEqual(written, [path.join(dir, "out", "llms.txt")]);
+    const text = await readFile(written[0], "utf-8");
+    assert.strictEqual(text, manager.generateLLMSTxt());
+    assert.strictEqual(
+      text,
+      `# Config Site
+> Built from config
+
+Reproducible.
+
+## Guides
+- [Overview](https://example.com/): Start here
+- [Install](https://example.com/guides/install)
+- [Config](https://example.com/guides/deep/config)
+
+## API
+- [Rest](https://example.com/api/rest)
+
+## Optional
+- [Old Post](https://example.com/blog/2020/old-post)
+`
+    );
+
+    // .mjs config exporting a function
+    const mjsPath = path.join(dir, "llms.config.mjs");
+    await writeFile(
+      mjsPath,
+      `export default async () => ({
+  sitemap: "sitemap.xml",
+  metadata: { title: "Module", description: "From module" },
+  sections: [{ name: "Blog", include: [/\\/blog\\/\\d{4}\\//] }],
+});`
+    );
+    const fromModule = await LLMSManager.fromConfig(mjsPath);
+    assert.deepStrictEqual(
+      fromModule.getSections()[0].items.map((i) => i.url),
+      ["https://example.com/blog/2020/old-post"]
+    );
+
+    // Validation reports every problem
+    await assert.rejects(
+      () =>
+        LLMSManager.fromConfig({
+          metadata: { title: "" },
+          sections: [{ name: "A", include: "oops", colour: "red" }],
+          unknown: true,
+        }),
+      (err) => {
+        assert.match(err.message, /^Invalid config:/);
+        assert.match(err.message, /unknown is not a known option/);
+        assert.match(err.message, /sitemap must be a non-empty string/);
+        assert.match(err.message, /metadata\.title must be a non-empty string/);
+        assert.match(err.message, /metadata\.description must be a non-empty/);
+        assert.match(
+          err.message,
+          /sections\[0\]\.colour is not a known option/
+        );
+        assert.match(err.message, /sections\[0\]\.include must be an array/);
+        return true;
+      }
+    );
+    await assert.rejects(
+      () => LLMSManager.fromConfig(path.join(dir, "missing.json")),
+      /Config file not found/
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Config tests passed successfully!");
+}
+
+async function runRulesTest() {
+  console.log("🧪 Starting rules test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-rules-"));
+  try {
+    const sitemapPath = path.join(dir, "sitemap.xml");
+    await writeFile(
+      sitemapPath,
+      `<urlset>
+  <url><loc>https://docs.example.com/start</loc><priority>0.4</priority></url>
+  <url><loc>https://example.com/admin/users</loc><priority>1.0</priority></url>
+  <url><loc>https://example.com/blog/new-a</loc><lastmod>2024-05-30</lastmod></url>
+  <url><loc>https://example.com/blog/new-b</loc><lastmod>2024-05-20</lastmod></url>
+  <url><loc>https://example.com/blog/new-c</loc><lastmod>2024-05-10</lastmod></url>
+  <url><loc>https://example.com/blog/old</loc><lastmod>2020-01-01</lastmod></url>
+  <url><loc>https://example.com/blog/undated</loc></url>
+  <url><loc>https://example.com/pricing</loc><priority>0.9</priority></url>
+  <url><loc>https://example.com/legal</loc><priority>0.1</priority></url>
+</urlset>`
+    );
+    const manager = new LLMSManager({
+      sitemapUrl: `file://${sitemapPath.replace(/\\/g, "/")}`,
+    });
+    await manager.loadSitemap();
+
+    const rules = [
+      { name: "no-admin", drop: true, include: ["/admin/**"] },
+      { section: "Docs", hostname: "docs.*" },
+      {
+        name: "recent",
+        section: "Recent Posts",
+        include: ["/blog/**"],
+        maxAgeDays: 30,
+        maxItems: 2,
+      },
+      { section: "Archive", include: ["/blog/**"] },
+      { section: "Core", priority: { min: 0.5 } },
+      { section: "Optional", priority: { max: 0.2 } },
+    ];
+    const now = new Date("2024-06-01T00:00:00Z");
+    const result = manager.classifyEntries(rules, { explain: true, now });
+
+    assert.deepStrictEqual(
+      result.sections.map((s) => [s.name, s.items.map((i) => i.url)]),
+      [
+        ["Docs", ["https://docs.example.com/start"]],
+        [
+          "Recent Posts",
+          ["https://example.com/blog/new-a", "https://example.com/blog/new-b"],
+        ],
+        [
+          "Archive",
+          [
+            "https://example.com/blog/new-c",
+            "https://example.com/blog/old",
+            "https://example.com/blog/undated",
+          ],
+        ],
+        ["Core", ["https://example.com/pricing"]],
+        ["Optional", ["https://example.com/legal"]],
+      ]
+    );
+    assert.deepStrictEqual(result.dropped, ["https://example.com/admin/users"]);
+
+    // Explain mode names the winning rule and skipped full rules
+    const byUrl = new Map(result.explanation.map((e) => [e.url, e]));
+    assert.deepStrictEqual(byUrl.get("https://example.com/admin/users"), {
+      url: "https://example.com/admin/users",
+      section: null,
+      dropped: true,
+      rule: 0,
+      ruleName: "no-admin",
+      reason: 'dropped by rules[0] ("no-admin")',
+    });
+    const overflow = byUrl.get("https://example.com/blog/new-c");
+    assert.strictEqual(overflow.section, "Archive");
+    assert.strictEqual(overflow.rule, 3);
+    assert.match(overflow.reason, /skipped full rules\[2\] \("recent"\)/);
+
+    // Without explain no explanation is returned and sections are untouched
+    const quiet = manager.classifyEntries([{ section: "X", include: ["**"] }]);
+    assert.strictEqual(quiet.explanation, undefined);
+    assert.strictEqual(quiet.sections[0].items.length, 9);
+    assert.deepStrictEqual(manager.getSections(), []);
+
+    // Unmatched entries are dropped with a reason
+    const partial = manager.classifyEntries(
+      [{ section: "Docs", hostname: /^docs\./ }],
+      { explain: true }
+    );
+    assert.strictEqual(partial.dropped.length, 8);
+    assert.strictEqual(partial.explanation[1].reason, "no rule matched");
+
+    // applyRules adds the items to sections
+    manager.addSection("Optional", { optional: true });
+    manager.applyRules(rules, { now });
+    assert.deepStrictEqual(
+      manager.getSections().map((s) => [s.name, s.optional, s.items.length]),
+      [
+        ["Docs", false, 1],
+        ["Recent Posts", false, 2],
+        ["Archive", false, 3],
+        ["Core", false, 1],
+        ["Optional", true, 1],
+      ]
+    );
+
+    // Invalid rules name the offending property
+    assert.throws(
+      () => manager.classifyEntries([{ include: ["/a"] }]),
+      /rules\[0\]\.section must be a non-empty string unless drop is true/
+    );
+    assert.throws(
+      () =>
+        manager.classifyEntries([{ section: "A" }, { section: "B", age: 1 }]),
+      /rules\[1\]\.age is not a known rule option/
+    );
+    assert.throws(
+      () =>
+        manager.classifyEntries([
+          { section: "A", priority: { min: 1, max: 0 } },
+        ]),
+      /rules\[0\]\.priority/
+    );
+
+    // Config files accept rules ahead of the section criteria
+    const configured = await LLMSManager.fromConfig({
+      sitemap: `file://${sitemapPath.replace(/\\/g, "/")}`,
+      metadata: { title: "Rules", description: "Rule config" },
+      exclude: ["/admin/**"],
+      rules: [{ section: "Docs", hostname: "docs.example.com" }],
+      sections: [{ name: "Blog", include: ["/blog/**"] }],
+    });
+    assert.deepStrictEqual(
+      configured.getSections().map((s) => [s.name, s.items.length]),
+      [
+        ["Blog", 5],
+        ["Docs", 1],
+      ]
+    );
+    await assert.rejects(
+      () =>
+        LLMSManager.fromConfig({
+          sitemap: "sitemap.xml",
+          metadata: { title: "T", description: "D" },
+          rules: [{ section: "A", maxItems: -1 }],
+        }),
+      /rules\[0\]\.maxItems must be a non-negative integer/
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Rules tests passed successfully!");
+}
+
+async function runEnrichTest() {
+  console.log("🧪 Starting enrich test...");
+
+  const pages = {
+    "/getting-started_v2.html": `<html><head><title>
+  Getting Started &amp; Setup </title>
+<meta name="description" content="Install and configure the tool.">
+</head><body><h1>Ignored</h1></body></html>`,
+    "/og": `<!doctype html><html><head>
+<meta property="og:title" content="Open Graph Title">
+<meta property="og:description" content="From Open Graph.">
+</head><body></body></html>`,
+    "/h1": `<!doctype html><html><body><main><h1>Heading <em>Only</em></h1></main></body></html>`,
+    "/manual": `<html><head><title>Fetched Manual</title>
+<meta name="description" content="Fetched notes."></head></html>`,
+  };
+  const hits = new Map();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const server = createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) ?? 0) + 1);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    const done = () => inFlight--;
+    res.on("close", done);
+    if (req.url === "/slow") {
+      setTimeout(() => {
+        res.writeHead(200, { "Content-Type": "text/html" });
+        res.end("<title>Too Late</title>");
+      }, 500);
+      return;
+    }
+    const page = pages[req.url];
+    if (page === undefined) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    setTimeout(() => {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(page);
+    }, 20);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const manager = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml`,
+      http: { retries: 0 },
+    });
+    manager.setMetadata("Enriched", "Real titles");
+    manager.addCoreContent([
+      {
+        title: "Getting Started V2",
+        url: `${origin}/getting-started_v2.html`,
+      },
+      { title: "Og", url: `${origin}/og` },
+      { title: "H1", url: `${origin}/h1` },
+      { title: "Slow", url: `${origin}/slow` },
+      { title: "Missing", url: `${origin}/missing` },
+    ]);
+    manager.addOptionalContent([
+      { title: "Manual Title", url: `${origin}/manual`, notes: "Kept" },
+    ]);
+
+    const reports = await manager.enrichContent({
+      concurrency: 2,
+      timeout: 200,
+    });
+    assert.ok(maxInFlight <= 2, `concurrency exceeded: ${maxInFlight}`);
+    assert.deepStrictEqual(
+      reports.map((r) => [r.status, r.title, r.description]),
+      [
+        ["ok", "Getting Started & Setup", "Install and configure the tool."],
+        ["ok", "Open Graph Title", "From Open Graph."],
+        ["ok", "Heading Only", null],
+        ["failed", null, null],
+        ["failed", null, null],
+        ["ok", "Fetched Manual", "Fetched notes."],
+      ]
+    );
+    assert.match(reports[3].error, /timed out/i);
+
+    const [core, optional] = manager.getSections();
+    assert.deepStrictEqual(
+      core.items.map((i) => [i.title, i.notes]),
+      [
+        ["Getting Started & Setup", "Install and configure the tool."],
+        ["Open Graph Title", "From Open Graph."],
+        ["Heading Only", ""],
+        ["Slow", ""],
+        ["Missing", ""],
+      ]
+    );
+    // Explicit titles and notes are kept unless overwrite is set
+    assert.deepStrictEqual(optional.items, [
+      { title: "Manual Title", url: `${origin}/manual`, notes: "Kept" },
+    ]);
+
+    // Cached pages are not fetched again; failed ones are retried
+    const again = await manager.enrichContent({ overwrite: true });
+    assert.strictEqual(hits.get("/og"), 1);
+    assert.strictEqual(hits.get("/missing"), 2);
+    assert.strictEqual(again[1].status, "cached");
+    assert.deepStrictEqual(manager.getSections()[1].items[0], {
+      title: "Fetched Manual",
+      url: `${origin}/manual`,
+      notes: "Fetched notes.",
+    });
+
+    await assert.rejects(
+      () => manager.enrichContent({ concurrency: 0 }),
+      /concurrency must be a positive integer/
+    );
+    await assert.rejects(
+      () => manager.enrichContent({ retries: 1 }),
+      /Unknown enrich option: retries/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  console.log("✅ Enrich tests passed successfully!");
+}
+
+async function runRobotsTest() {
+  console.log("🧪 Starting robots.txt test...");
+
+  let mode = "robots";
+  const hits = new Map();
+  const probes = [];
+  const server = createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) ?? 0) + 1);
+    if (req.url.startsWith("/sitemap")) probes.push(`${req.method} ${req.url}`);
+    const origin = `http://${req.headers.host}`;
+    if (req.url === "/robots.txt") {
+      if (mode === "missing") {
+        res.writeHead(404);
+        res.end();
+      } else if (mode === "error") {
+        res.writeHead(500);
+        res.end();
+      } else {
+        res.writeHead(200, { "Content-Type": "text/plain" });
+        res.end(`# Example robots.txt
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Disallow: /*.pdf$
+
+User-agent: TestBot
+User-agent: OtherBot
+Disallow: /
+
+Sitemap: /sitemap-a.xml
+Sitemap: ${origin}/sitemap-b.xml
+Sitemap: /sitemap-a.xml
+`);
+      }
+    } else if (req.url === "/sitemap-a.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<urlset>
+${["/", "/private/secret", "/private/public-page", "/doc.pdf", "/doc.pdf?v=1"]
+  .map((p) => `<url><loc>${origin}${p}</loc></url>`)
+  .join("\n")}
+</urlset>`);
+    } else if (req.url === "/sitemap-b.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<urlset><url><loc>${origin}/b</loc></url></urlset>`);
+    } else if (req.url === "/sitemap.xml" && mode === "missing") {
+      // Servers that do not support HEAD are probed with GET
+      res.writeHead(req.method === "HEAD" ? 405 : 404);
+      res.end();
+    } else if (req.url === "/sitemap_index.xml" && mode === "missing") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end("<sitemapindex></sitemapindex>");
+    } else if (req.url === "/" || req.url.startsWith("/private/")) {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(`<title>Page ${req.url}</title>`);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const http = { retries: 0 };
+
+  try {
+    // Sitemap: directives, resolved and deduplicated
+    const found = await LLMSManager.discover(`${origin}/any/page`, { http });
+    assert.deepStrictEqual(found, {
+      origin,
+      robotsTxt: `${origin}/robots.txt`,
+      source: "robots",
+      sitemaps: [`${origin}/sitemap-a.xml`, `${origin}/sitemap-b.xml`],
+    });
+
+    // Fallback to well-known locations
+    mode = "missing";
+    probes.length = 0;
+    const fallback = await LLMSManager.discover(origin, { http });
+    assert.strictEqual(fallback.source, "fallback");
+    assert.deepStrictEqual(fallback.sitemaps, [`${origin}/sitemap_index.xml`]);
+    assert.deepStrictEqual(probes, [
+      "HEAD /sitemap.xml",
+      "GET /sitemap.xml",
+      "HEAD /sitemap_index.xml",
+    ]);
+    mode = "error";
+    await assert.rejects(
+      () => LLMSManager.discover(origin, { http }),
+      /No sitemap found/
+    );
+    await assert.rejects(
+      () => LLMSManager.discover("ftp://example.com"),
+      /origin must be an http\(s\) URL or hostname/
+    );
+    mode = "robots";
+
+    // Disallowed sitemap entries are dropped for the default user-agent
+    const manager = new LLMSManager({
+      sitemapUrl: found.sitemaps[0],
+      http,
+      robots: true,
+    });
+    await manager.loadSitemap();
+    assert.deepStrictEqual(
+      manager.getSitemapEntries().map((e) => e.loc.slice(origin.length)),
+      ["/", "/private/public-page", "/doc.pdf?v=1"]
+    );
+    assert.strictEqual(await manager.isAllowed(`${origin}/private/x`), false);
+    assert.strictEqual(await manager.isAllowed("file:///tmp/x"), true);
+
+    // Manual items are removed on request and never fetched
+    manager.setMetadata("Robots", "Compliant");
+    manager.addCoreContent([
+      { title: "Home", url: `${origin}/` },
+      { title: "Secret", url: `${origin}/private/secret` },
+    ]);
+    const enriched = await manager.enrichContent();
+    assert.deepStrictEqual(
+      enriched.map((r) => r.status),
+      ["ok", "disallowed"]
+    );
+    const { pages } = await manager.generateLLMSFullTxt();
+    assert.deepStrictEqual(
+      pages.map((p) => p.status),
+      ["ok", "disallowed"]
+    );
+    assert.strictEqual(hits.get("/private/secret"), undefined);
+    assert.deepStrictEqual(await manager.removeDisallowed(), [
+      `${origin}/private/secret`,
+    ]);
+    assert.deepStrictEqual(
+      manager.getSections()[0].items.map((i) => i.title),
+      ["Home"]
+    );
+    // robots.txt is fetched once per origin and manager
+    const robotsHits = hits.get("/robots.txt");
+    await manager.isAllowed(`${origin}/again`);
+    assert.strictEqual(hits.get("/robots.txt"), robotsHits);
+
+    // A named user-agent group takes precedence over "*"
+    const bot = new LLMSManager({
+      sitemapUrl: found.sitemaps[0],
+      http,
+      robots: { userAgent: "TestBot" },
+    });
+    await assert.rejects(
+      () => bot.loadSitemap(),
+      /All sitemap URLs are disallowed by robots.txt/
+    );
+
+    // A failed robots.txt lookup is not cached
+    let failures = 1;
+    const flaky = new LLMSManager({
+      sitemapUrl: found.sitemaps[0],
+      http,
+      robots: true,
+    });
+    flaky.use({
+      name: "flaky",
+      beforeFetch: (url) => {
+        if (failures-- > 0) throw new Error("offline");
+        return url;
+      },
+    });
+    await assert.rejects(() => flaky.isAllowed(`${origin}/`), /offline/);
+    assert.strictEqual(await flaky.isAllowed(`${origin}/`), true);
+
+    // The CLI loads every sitemap robots.txt lists
+    const cli = await new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [
+          path.join(__dirname, "..", "bin", "llms-manager.js"),
+          "generate",
+          "--site",
+          origin,
+          "--title",
+          "Site",
+          "--description",
+          "Discovered",
+        ],
+        (err, stdout, stderr) => resolve({ err, stdout, stderr })
+      );
+    });
+    assert.strictEqual(cli.err, null, cli.stderr);
+    assert.ok(cli.stdout.includes(`(${origin}/private/secret)`));
+    assert.ok(cli.stdout.includes(`(${origin}/b)`));
+
+    // Without the option robots.txt is ignored; unreachable robots.txt disallows all
+    const plain = new LLMSManager({ sitemapUrl: found.sitemaps[0], http });
+    await plain.loadSitemap();
+    assert.strictEqual(plain.getSitemapEntries().length, 5);
+    mode = "error";
+    const strict = new LLMSManager({
+      sitemapUrl: found.sitemaps[0],
+      http,
+      robots: true,
+    });
+    assert.strictEqual(await strict.isAllowed(`${origin}/`), false);
+
+    assert.throws(
+      () => new LLMSManager({ sitemapUrl: origin, robots: { agent: "x" } }),
+      /Unknown robots option: agent/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  console.log("✅ robots.txt tests passed successfully!");
+}
+
+async function runCacheTest() {
+  console.log("🧪 Starting cache test...");
+
+  const pages = ["/a", "/b"];
+  let sitemapVersion = 1;
+  const requests = [];
+  const server = createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    if (req.url === "/sitemap.xml") {
+      const etag = `"v${sitemapVersion}"`;
+      requests.push(`${req.url} ${req.headers["if-none-match"] ?? "-"}`);
+      if (req.headers["if-none-match"] === etag) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/xml", ETag: etag });
+      res.end(
+        `<urlset>${pages
+          .map((p) => `<url><loc>${origin}${p}</loc></url>`)
+          .join("")}</urlset>`
+      );
+    } else if (req.url === "/a") {
+      // Last-Modified validator
+      const lastModified = "Wed, 01 May 2024 00:00:00 GMT";
+      requests.push(`${req.url} ${req.headers["if-modified-since"] ?? "-"}`);
+      if (req.headers["if-modified-since"] === lastModified) {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": "text/html",
+        "Last-Modified": lastModified,
+      });
+      res.end("<title>Page A</title>");
+    } else if (pages.includes(req.url)) {
+      // No validators: always a full response
+      requests.push(`${req.url} -`);
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end(`<title>Page ${req.url.slice(1).toUpperCase()}</title>`);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-cache-"));
+  const cacheDir = path.join(dir, "cache");
+  const out = path.join(dir, "llms.txt");
+
+  const run = async () => {
+    const manager = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml`,
+      http: { retries: 0 },
+      cacheDir,
+    });
+    await manager.loadSitemap();
+    manager.setMetadata("Cached", "Incremental");
+    manager.addCoreContent(manager.autoGenerateCoreContent(0));
+    await manager.enrichContent();
+    return manager.saveToFile(out);
+  };
+  const statuses = (report) =>
+    Object.fromEntries(
+      report.fetched.map((f) => [f.url.slice(origin.length), f.status])
+    );
+
+  try {
+    const first = await run();
+    assert.strictEqual(first.written, true);
+    assert.deepStrictEqual(first.added, [`${origin}/a`, `${origin}/b`]);
+    assert.deepStrictEqual(first.removed, []);
+    assert.deepStrictEqual(statuses(first), {
+      "/sitemap.xml": "new",
+      "/a": "new",
+      "/b": "new",
+    });
+    assert.ok(existsSync(path.join(cacheDir, "index.json")));
+
+    // Unchanged run: conditional requests, identical output is not rewritten
+    const before = (await stat(out)).mtimeMs;
+    requests.length = 0;
+    const second = await run();
+    // Pages are fetched concurrently, so compare in sorted order
+    assert.deepStrictEqual(requests.sort(), [
+      "/a Wed, 01 May 2024 00:00:00 GMT",
+      "/b -",
+      '/sitemap.xml "v1"',
+    ]);
+    assert.strictEqual(second.written, false);
+    assert.deepStrictEqual(second.added, []);
+    assert.deepStrictEqual(statuses(second), {
+      "/sitemap.xml": "not-modified",
+      "/a": "not-modified",
+      "/b": "unchanged",
+    });
+    assert.strictEqual((await stat(out)).mtimeMs, before);
+    assert.match(await readFile(out, "utf-8"), /\[Page A\]\(/);
+
+    // Changed sitemap
+    pages.splice(0, 2, "/a", "/c");
+    sitemapVersion = 2;
+    const third = await run();
+    assert.strictEqual(third.written, true);
+    assert.deepStrictEqual(third.added, [`${origin}/c`]);
+    assert.deepStrictEqual(third.removed, [`${origin}/b`]);
+    assert.strictEqual(statuses(third)["/sitemap.xml"], "changed");
+
+    // A corrupt index starts over
+    await writeFile(path.join(cacheDir, "index.json"), "{oops");
+    const fourth = await run();
+    assert.strictEqual(fourth.written, false);
+    assert.strictEqual(statuses(fourth)["/sitemap.xml"], "new");
+
+    // Concurrent first lookups share one index
+    const fresh = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml`,
+      http: { retries: 0 },
+      cacheDir: path.join(dir, "fresh"),
+    });
+    fresh.setMetadata("Fresh", "Cache");
+    fresh.addCoreContent([
+      { title: "A", url: `${origin}/a` },
+      { title: "C", url: `${origin}/c` },
+    ]);
+    await fresh.enrichContent();
+    await fresh.saveToFile(path.join(dir, "fresh.txt"));
+    const { entries } = JSON.parse(
+      await readFile(path.join(dir, "fresh", "index.json"), "utf-8")
+    );
+    assert.deepStrictEqual(Object.keys(entries).sort(), [
+      `${origin}/a`,
+      `${origin}/c`,
+    ]);
+
+    assert.throws(
+      () => new LLMSManager({ sitemapUrl: origin, cacheDir: "" }),
+      /cacheDir must be a non-empty string/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Cache tests passed successfully!");
+}
+
+async function runDiffTest() {
+  console.log("🧪 Starting diff test...");
+
+  const before = `# Docs
+> Old summary
+
+## Guides
+- [Install](https://example.com/install)
+- [Configure](https://example.com/configure): Options
+- [Deploy](https://example.com/deploy)
+
+## Reference
+- [CLI](https://example.com/cli)
+
+## Legacy
+- [Old API](https://example.com/old-api)
+
+## Optional
+- [Blog](https://example.com/blog)
+`;
+  const after = `# Docs
+> New summary
+
+## Tutorials
+- [Installation](https://example.com/install)
+- [Configure](https://example.com/configure): All options
+- [Deploy](https://example.com/deploy)
+- [CLI](https://example.com/cli)
+
+## Reference
+- [REST API](https://example.com/rest)
+
+## Optional
+- [Blog](https://example.com/blog)
+`;
+
+  const result = LLMSManager.diff(before, after);
+  assert.strictEqual(result.identical, false);
+  assert.strictEqual(result.title, null);
+  assert.deepStrictEqual(result.description, {
+    from: "Old summary",
+    to: "New summary",
+  });
+  assert.deepStrictEqual(result.sections, {
+    added: [],
+    removed: ["Legacy"],
+    renamed: [{ from: "Guides", to: "Tutorials" }],
+    reordered: null,
+  });
+  assert.deepStrictEqual(result.links.added, [
+    {
+      section: "Reference",
+      title: "REST API",
+      url: "https://example.com/rest",
+      notes: "",
+    },
+  ]);
+  assert.deepStrictEqual(
+    result.links.removed.map((l) => l.url),
+    ["https://example.com/old-api"]
+  );
+  // Links of a renamed section are not reported as moved
+  assert.deepStrictEqual(result.links.moved, [
+    {
+      url: "https://example.com/cli",
+      title: "CLI",
+      from: "Reference",
+      to: "Tutorials",
+    },
+  ]);
+  assert.deepStrictEqual(result.links.retitled, [
+    {
+      url: "https://example.com/install",
+      section: "Tutorials",
+      from: "Install",
+      to: "Installation",
+    },
+  ]);
+  assert.deepStrictEqual(result.links.notes, [
+    {
+      url: "https://example.com/configure",
+      section: "Tutorials",
+      from: "Options",
+      to: "All options",
+    },
+  ]);
+  assert.deepStrictEqual(result.links.reordered, []);
+  assert.strictEqual(
+    result.summary,
+    `~ description: "Old summary" -> "New summary"
+~ section renamed: "Guides" -> "Tutorials"
+- section "Legacy"
++ [Reference] REST API <https://example.com/rest>
+- [Legacy] Old API <https://example.com/old-api>
+> [Reference -> Tutorials] CLI <https://example.com/cli>
+~ [Tutorials] "Install" -> "Installation" <https://example.com/install>
+~ [Tutorials] notes of <https://example.com/configure>: "Options" -> "All options"
+
+Links: 1 added, 1 removed, 1 moved, 1 retitled`
+  );
+
+  // Parsed documents are accepted, identical documents report no differences
+  const same = LLMSManager.diff(LLMSManager.parseLLMSTxt(after), after);
+  assert.strictEqual(same.identical, true);
+  assert.strictEqual(same.summary, "No differences");
+
+  // Reordered links and sections are differences
+  const reordered = LLMSManager.diff(
+    "# T\n\n## A\n- [X](https://x.test/1)\n- [Y](https://x.test/2)\n\n## B\n- [Z](https://x.test/3)\n",
+    "# T\n\n## B\n- [Z](https://x.test/3)\n\n## A\n- [Y](https://x.test/2)\n- [X](https://x.test/1)\n"
+  );
+  assert.strictEqual(reordered.identical, false);
+  assert.deepStrictEqual(reordered.sections.reordered, {
+    from: ["A", "B"],
+    to: ["B", "A"],
+  });
+  assert.deepStrictEqual(reordered.links.reordered, [
+    {
+      section: "A",
+      from: ["https://x.test/1", "https://x.test/2"],
+      to: ["https://x.test/2", "https://x.test/1"],
+    },
+  ]);
+  assert.strictEqual(
+    reordered.summary,
+    `~ sections reordered: A, B -> B, A
+~ [A] links reordered
+
+Links: 0 added, 0 removed, 0 moved, 0 retitled`
+  );
+
+  // Sections sharing too few links are not a rename
+  const replaced = LLMSManager.diff(
+    "# T\n\n## A\n- [X](https://x.test/1)\n- [Y](https://x.test/2)\n",
+    "# T\n\n## B\n- [X](https://x.test/1)\n- [Z](https://x.test/3)\n- [W](https://x.test/4)\n"
+  );
+  assert.deepStrictEqual(replaced.sections, {
+    added: ["B"],
+    removed: ["A"],
+    renamed: [],
+    reordered: null,
+  });
+  assert.strictEqual(replaced.links.moved.length, 1);
+
+  assert.throws(() => LLMSManager.diff(42, after), /a must be llms\.txt text/);
+
+  console.log("✅ Diff tests passed successfully!");
+}
+
+async function runLinkCheckTest() {
+  console.log("🧪 Starting link check test...");
+
+  const methods = [];
+  const server = createServer((req, res) => {
+    methods.push(`${req.method} ${req.url}`);
+    if (req.url === "/ok") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(req.method === "HEAD" ? undefined : "<p>ok</p>");
+    } else if (req.url === "/no-head") {
+      res.writeHead(req.method === "HEAD" ? 405 : 200, {
+        "Content-Type": "text/plain",
+      });
+      res.end();
+    } else if (req.url === "/moved") {
+      res.writeHead(301, { Location: "/ok" });
+      res.end();
+    } else if (req.url === "/old_page") {
+      res.writeHead(301, { Location: "/f_(x)" });
+      res.end();
+    } else if (req.url === "/f_(x)") {
+      res.writeHead(200);
+      res.end();
+    } else if (req.url === "/slow") {
+      setTimeout(() => {
+        res.writeHead(200);
+        res.end();
+      }, 500);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-links-"));
+  const text = `# Links
+> Health
+
+## Docs
+- [OK](${origin}/ok)
+- [No Head](${origin}/no-head): Notes stay
+- [Moved](${origin}/moved)
+- [Gone](${origin}/gone)
+
+## Optional
+- [Slow](${origin}/slow)
+`;
+
+  try {
+    const manager = new LLMSManager({
+      sitemapUrl: `${origin}/sitemap.xml`,
+      http: { retries: 0 },
+    });
+    manager.setMetadata("Links", "Health");
+    manager.addSectionContent(
+      "Docs",
+      LLMSManager.parseLLMSTxt(text).sections[0].items
+    );
+    manager.addOptionalContent([{ title: "Slow", url: `${origin}/slow` }]);
+
+    const result = await manager.checkLinks({ timeout: 100, concurrency: 2 });
+    assert.strictEqual(result.ok, false);
+    const byPath = Object.fromEntries(
+      result.links.map((l) => [l.url.slice(origin.length), l])
+    );
+    assert.deepStrictEqual(byPath["/ok"], {
+      url: `${origin}/ok`,
+      ok: true,
+      status: 200,
+      method: "HEAD",
+      redirects: [],
+      finalUrl: `${origin}/ok`,
+      contentType: "text/html",
+      timedOut: false,
+    });
+    assert.strictEqual(byPath["/no-head"].method, "GET");
+    assert.strictEqual(byPath["/no-head"].ok, true);
+    assert.deepStrictEqual(byPath["/moved"].redirects, [`${origin}/ok`]);
+    assert.strictEqual(byPath["/moved"].finalUrl, `${origin}/ok`);
+    assert.strictEqual(byPath["/gone"].status, 404);
+    assert.strictEqual(byPath["/gone"].method, "GET");
+    assert.strictEqual(byPath["/slow"].timedOut, true);
+    assert.strictEqual(byPath["/slow"].status, null);
+    assert.ok(
+      methods.includes("HEAD /no-head") && methods.includes("GET /no-head")
+    );
+    assert.strictEqual(manager.getSections()[0].items.length, 4);
+
+    // Prune broken entries and rewrite redirects, skipping optional sections
+    const fixed = await manager.checkLinks({
+      includeOptional: false,
+      prune: true,
+      rewriteRedirects: true,
+    });
+    assert.deepStrictEqual(fixed.pruned, [`${origin}/gone`]);
+    assert.deepStrictEqual(fixed.rewritten, [
+      { from: `${origin}/moved`, to: `${origin}/ok` },
+    ]);
+    assert.deepStrictEqual(
+      manager.getSections().map((s) => s.items.map((i) => i.title)),
+      [["OK", "No Head", "Moved"], ["Slow"]]
+    );
+    assert.strictEqual(manager.getSections()[0].items[2].url, `${origin}/ok`);
+
+    // Any document: only the affected lines change
+    const checked = await LLMSManager.checkLinks(text, {
+      http: { retries: 0, timeout: 100 },
+      prune: true,
+      rewriteRedirects: true,
+    });
+    assert.strictEqual(
+      checked.output,
+      text
+        .replace(`- [Moved](${origin}/moved)`, `- [Moved](${origin}/ok)`)
+        .replace(`- [Gone](${origin}/gone)\n`, "")
+        .replace(`- [Slow](${origin}/slow)\n`, "")
+    );
+    // Escaped destinations are replaced as a whole and re-escaped
+    const escaped = await LLMSManager.checkLinks(
+      `# Links\n\n## Docs\n- [Renamed](${origin}/old\\_page): Notes\n`,
+      { http: { retries: 0 }, rewriteRedirects: true }
+    );
+    assert.strictEqual(
+      escaped.output,
+      `# Links\n\n## Docs\n- [Renamed](<${origin}/f_(x)>): Notes\n`
+    );
+    const parsedCheck = await LLMSManager.checkLinks(
+      LLMSManager.parseLLMSTxt(text),
+      { includeOptional: false, prune: true }
+    );
+    assert.strictEqual(parsedCheck.output.sections[0].items.length, 3);
+    assert.strictEqual(parsedCheck.output.sections[1].items.length, 1);
+    assert.strictEqual(
+      (await LLMSManager.checkLinks(text, { includeOptional: false })).output,
+      undefined
+    );
+
+    // CLI
+    const cli = path.join(__dirname, "..", "bin", "llms-manager.js");
+    const run = (...args) =>
+      new Promise((resolve) => {
+        execFile(process.execPath, [cli, ...args], (err, stdout, stderr) => {
+          resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+      });
+    const file = path.join(dir, "llms.txt");
+    await writeFile(file, text);
+    let cliResult = await run("check-links", file, "--timeout", "100");
+    assert.strictEqual(cliResult.code, 1, cliResult.stderr);
+    assert.match(cliResult.stdout, /404 GET .*\/gone/);
+    assert.match(cliResult.stdout, /5 link\(s\) checked, 2 broken/);
+    cliResult = await run("check-links", file, "--timeout", "100", "--prune");
+    assert.strictEqual(cliResult.code, 0, cliResult.stderr);
+    assert.ok(!(await readFile(file, "utf-8")).includes("/gone"));
+
+    await assert.rejects(
+      () => manager.checkLinks({ http: {} }),
+      /Unknown checkLinks option: http/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Link check tests passed successfully!");
+}
+
+async function runStreamingTest() {
+  console.log("🧪 Starting streaming sitemap test...");
+
+  const CHUNKS = 50;
+  const PER_CHUNK = 200;
+  let bigState = null;
+  const server = createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    if (req.url === "/big.xml") {
+      // Slowly streamed sitemap with 10,000 URLs
+      bigState = { written: 0, closedEarly: false };
+      const state = bigState;
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.write('<?xml version="1.0"?><urlset>');
+      res.on("close", () => {
+        if (state.written < CHUNKS) state.closedEarly = true;
+      });
+      const writeChunk = () => {
+        if (res.destroyed) return;
+        if (state.written === CHUNKS) {
+          res.end("</urlset>");
+          return;
+        }
+        const start = state.written * PER_CHUNK;
+        let xml = "";
+        for (let i = start; i < start + PER_CHUNK; i++) {
+          xml += `<url><loc>${origin}/page-${i}</loc><priority>${
+            i % 2 ? "0.8" : "0.2"
+          }</priority></url>`;
+        }
+        state.written += 1;
+        res.write(xml);
+        setTimeout(writeChunk, 5);
+      };
+      writeChunk();
+    } else if (req.url === "/bytes.xml") {
+      // Gzip-encoded and delivered one byte at a time
+      const body = gzipSync(
+        `<urlset><url><loc>${origin}/münchen?a=1&amp;b=2</loc></url></urlset>`
+      );
+      res.writeHead(200, { "Content-Encoding": "gzip" });
+      let i = 0;
+      const next = () => {
+        if (i === body.length) return res.end();
+        res.write(body.subarray(i, ++i));
+        setImmediate(next);
+      };
+      next();
+    } else if (req.url === "/index.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<sitemapindex>
+  <sitemap><loc>${origin}/child-1.xml</loc></sitemap>
+  <sitemap><loc>${origin}/child-2.xml</loc></sitemap>
+</sitemapindex>`);
+    } else if (/^\/child-\d\.xml$/.test(req.url)) {
+      const n = req.url.match(/\d/)[0];
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<urlset>
+  <url><loc>${origin}/child-${n}/a</loc></url>
+  <url><loc>${origin}/shared</loc></url>
+</urlset>`);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-stream-"));
+  const http = { retries: 0 };
+  const collect = async (iterable) => {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+  };
+
+  try {
+    // Early termination closes the download
+    const big = new LLMSManager({ sitemapUrl: `${origin}/big.xml`, http });
+    const first = [];
+    for await (const entry of big.streamSitemapEntries()) {
+      first.push(entry.loc);
+      if (first.length === 5) break;
+    }
+    assert.deepStrictEqual(
+      first,
+      [0, 1, 2, 3, 4].map((i) => `${origin}/page-${i}`)
+    );
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(bigState.closedEarly, true);
+    assert.ok(bigState.written < CHUNKS);
+
+    // loadSitemap filters on the fly and can stop early
+    await big.loadSitemap({
+      filter: (entry) => entry.priority > 0.5,
+      limit: 300,
+    });
+    const loaded = big.getSitemapEntries();
+    assert.strictEqual(loaded.length, 300);
+    assert.ok(loaded.every((e) => e.priority === 0.8));
+    assert.strictEqual(loaded[299].loc, `${origin}/page-599`);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(bigState.closedEarly, true);
+
+    await big.loadSitemap({ filter: async (e) => e.loc.endsWith("-9999") });
+    assert.deepStrictEqual(
+      big.getSitemapEntries().map((e) => e.loc),
+      [`${origin}/page-9999`]
+    );
+    await assert.rejects(
+      () => big.loadSitemap({ filter: () => false, limit: 1 }),
+      /No sitemap URLs matched the filter/
+    );
+    await assert.rejects(() => big.loadSitemap({ limit: 0 }), /limit must be/);
+
+    // Multi-byte characters and entities split across chunks
+    const bytes = new LLMSManager({ sitemapUrl: `${origin}/bytes.xml`, http });
+    const [entry] = await collect(bytes.streamSitemapEntries());
+    assert.strictEqual(entry.loc, `${origin}/münchen?a=1&b=2`);
+
+    // Indexes are streamed child by child, deduplicated
+    const index = new LLMSManager({ sitemapUrl: `${origin}/index.xml`, http });
+    const locs = [];
+    for await (const e of index.streamSitemapEntries()) locs.push(e.loc);
+    assert.deepStrictEqual(locs, [
+      `${origin}/child-1/a`,
+      `${origin}/shared`,
+      `${origin}/child-2/a`,
+    ]);
+
+    // Local gzip files stream as well
+    const file = path.join(dir, "sitemap.xml.gz");
+    await writeFile(file, gzipSync(SAMPLE_SITEMAP_XML));
+    const local = new LLMSManager({
+      sitemapUrl: `file://${file.replace(/\\/g, "/")}`,
+    });
+    const localEntries = await collect(local.streamSitemapEntries());
+    assert.strictEqual(localEntries.length, 2);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Streaming sitemap tests passed successfully!");
+}
+
+async function runSourcesTest() {
+  console.log("🧪 Starting multi-source test...");
+
+  const server = createServer((req, res) => {
+    const origin = `http://${req.headers.host}`;
+    if (req.url === "/docs/sitemap.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(`<urlset>
+<url><loc>${origin}/docs/intro</loc><priority>0.9</priority></url>
+<url><loc>${origin}/blog/hello</loc></url>
+</urlset>`);
+    } else if (req.url === "/blog/rss.xml") {
+      res.writeHead(200, { "Content-Type": "application/rss+xml" });
+      res.end(`<?xml version="1.0"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+  <title>Blog</title>
+  <atom:link href="${origin}/blog/rss.xml" rel="self"/>
+  <item>
+    <title>Hello &amp; welcome</title>
+    <link>${origin}/blog/hello#top</link>
+    <description><![CDATA[<p>Our <b>first</b>
+      post.</p>]]></description>
+    <pubDate>Wed, 01 May 2024 10:00:00 GMT</pubDate>
+  </item>
+  <item>
+    <title>Second</title>
+    <guid>${origin}/blog/second</guid>
+    <description>&lt;p&gt;Escaped HTML&lt;/p&gt;</description>
+  </item>
+  <item><title>No link</title></item>
+</channel>
+</rss>`);
+    } else if (req.url === "/blog/atom.xml") {
+      res.writeHead(200, { "Content-Type": "application/atom+xml" });
+      res.end(`<feed xmlns="http://www.w3.org/2005/Atom" xml:base="${origin}/blog/">
+  <title>Blog</title>
+  <entry>
+    <title type="html">Atom &lt;em&gt;entry&lt;/em&gt;</title>
+    <link rel="edit" href="/edit/1"/>
+    <link href="atom-entry"/>
+    <summary>Summary text</summary>
+    <updated>2024-06-01T00:00:00Z</updated>
+  </entry>
+</feed>`);
+    } else if (req.url === "/api/llms.txt") {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end(`# API
+
+## Docs
+
+- [Reference](/api/reference): Endpoints
+- [Intro](${origin}/docs/intro): Start here
+
+## Optional
+
+- [Changelog](/api/changelog)
+`);
+    } else if (req.url === "/not-a-feed.xml") {
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end("<urlset></urlset>");
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const http = { retries: 0 };
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-sources-"));
+
+  try {
+    const manager = new LLMSManager({
+      sitemapUrl: `${origin}/docs/sitemap.xml`,
+      sources: [
+        { type: "feed", url: `${origin}/blog/rss.xml`, name: "blog" },
+        { type: "feed", url: `${origin}/blog/atom.xml` },
+        { type: "llms", url: `${origin}/api/llms.txt`, name: "api" },
+      ],
+      http,
+    });
+    assert.deepStrictEqual(
+      manager.getSources().map((s) => [s.type, s.name]),
+      [
+        ["sitemap", `${origin}/docs/sitemap.xml`],
+        ["feed", "blog"],
+        ["feed", `${origin}/blog/atom.xml`],
+        ["llms", "api"],
+      ]
+    );
+    await manager.loadSitemap();
+    const entries = manager.getSitemapEntries();
+
+    // Merged in source order, deduplicated by URL without fragment
+    assert.deepStrictEqual(
+      entries.map((e) => [e.loc, e.source]),
+      [
+        [`${origin}/docs/intro`, `${origin}/docs/sitemap.xml`],
+        [`${origin}/blog/hello`, `${origin}/docs/sitemap.xml`],
+        [`${origin}/blog/second`, "blog"],
+        [`${origin}/blog/atom-entry`, `${origin}/blog/atom.xml`],
+        [`${origin}/api/reference`, "api"],
+        [`${origin}/api/changelog`, "api"],
+      ]
+    );
+    const byLoc = (loc) => entries.find((e) => e.loc === `${origin}${loc}`);
+
+    // Titles and summaries of later sources fill in missing ones
+    assert.strictEqual(byLoc("/blog/hello").title, "Hello & welcome");
+    assert.strictEqual(byLoc("/blog/hello").description, "Our first post.");
+    assert.strictEqual(byLoc("/blog/hello").priority, 0.5);
+    assert.strictEqual(byLoc("/docs/intro").title, "Intro");
+    assert.strictEqual(byLoc("/docs/intro").description, "Start here");
+    assert.strictEqual(byLoc("/docs/intro").priority, 0.9);
+    assert.strictEqual(byLoc("/blog/second").description, "Escaped HTML");
+    assert.strictEqual(byLoc("/blog/second").lastmod, null, "missing pubDate");
+
+    const atom = byLoc("/blog/atom-entry");
+    assert.strictEqual(atom.title, "Atom entry");
+    assert.strictEqual(atom.description, "Summary text");
+    assert.strictEqual(atom.lastmod.toISOString(), "2024-06-01T00:00:00.000Z");
+    assert.strictEqual(byLoc("/api/changelog").priority, 0.3);
+    assert.strictEqual(byLoc("/api/changelog").title, "Changelog");
+
+    // Source titles and summaries become link text and notes
+    const core = manager.autoGenerateCoreContent();
+    assert.deepStrictEqual(core.slice(0, 2), [
+      { title: "Intro", url: `${origin}/docs/intro`, notes: "Start here" },
+      {
+        title: "Hello & welcome",
+        url: `${origin}/blog/hello`,
+        notes: "Our first post.",
+      },
+    ]);
+    assert.ok(!core.some((i) => i.url.endsWith("/api/changelog")));
+
+    // Sources alone, without sitemapUrl
+    const feedOnly = new LLMSManager({
+      sources: [{ type: "feed", url: `${origin}/blog/atom.xml` }],
+      http,
+    });
+    await feedOnly.loadSitemap();
+    assert.strictEqual(feedOnly.getSitemapEntries().length, 1);
+
+    await assert.rejects(
+      new LLMSManager({
+        sources: [{ type: "feed", url: `${origin}/not-a-feed.xml` }],
+        http,
+      }).loadSitemap(),
+      /Not an RSS or Atom feed/
+    );
+
+    assert.throws(() => new LLMSManager({}), /sitemapUrl must be/);
+    assert.throws(
+      () => new LLMSManager({ sources: [{ type: "atom", url: origin }] }),
+      /sources\[0\]\.type/
+    );
+    assert.throws(
+      () => new LLMSManager({ sources: ["ftp://example.com/sitemap.xml"] }),
+      /sources\[0\]\.url/
+    );
+    assert.throws(
+      () => new LLMSManager({ sources: [{ url: origin, label: "x" }] }),
+      /Unknown source option: label/
+    );
+
+    // Config: sources with paths relative to the config file
+    await writeFile(
+      path.join(dir, "feed.xml"),
+      `<rss><channel><item><title>Local</title><link>https://example.com/local</link></item></channel></rss>`
+    );
+    const configured = await LLMSManager.fromConfig({
+      sources: [
+        `${origin}/docs/sitemap.xml`,
+        { type: "feed", url: path.join(dir, "feed.xml"), name: "local" },
+      ],
+      metadata: { title: "Product", description: "Everything" },
+    });
+    assert.match(
+      configured.generateLLMSTxt(),
+      /- \[Local\]\(https:\/\/example\.com\/local\)/
+    );
+    await assert.rejects(
+      LLMSManager.fromConfig({
+        sources: [{ type: "blog", url: "x" }],
+        metadata: { title: "T", description: "D" },
+      }),
+      /sources\[0\]\.type/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Multi-source tests passed successfully!");
+}
+
+async function runNormalizeTest() {
+  console.log("🧪 Starting URL normalisation test...");
+
+  // Defaults: case, default port, fragment, trailing slash, tracking params, query order
+  assert.strictEqual(
+    LLMSManager.normalizeUrl(
+      "HTTPS://Example.COM:443/Docs/?utm_source=x&b=2&a=1&fbclid=y#intro"
+    ),
+    "https://example.com/Docs?a=1&b=2"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/"),
+    "https://example.com/"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("http://example.com/docs", { forceHttps: true }),
+    "https://example.com/docs"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/Docs", {
+      trailingSlash: "add",
+      lowercasePath: true,
+    }),
+    "https://example.com/docs/"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/file.pdf", {
+      trailingSlash: "add",
+    }),
+    "https://example.com/file.pdf"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/a?ref=1&utm_x=2&z=3", {
+      stripTrackingParams: ["ref", /^z$/],
+      sortQuery: false,
+    }),
+    "https://example.com/a?utm_x=2"
+  );
+  // Only the order and number of query parameters change, not their encoding
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/s?q=a/b c&print&utm_id=1"),
+    "https://example.com/s?print&q=a/b%20c"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/s?b=%2F&a+b=1&utm%5Fid=2"),
+    "https://example.com/s?a+b=1&b=%2F"
+  );
+  assert.strictEqual(
+    LLMSManager.normalizeUrl("https://example.com/a/#x", false),
+    "https://example.com/a/#x"
+  );
+  assert.throws(() => LLMSManager.normalizeUrl("/relative"), /Invalid URL/);
+  assert.throws(
+    () => LLMSManager.normalizeUrl("https://example.com", { trailingSlash: 1 }),
+    /trailingSlash/
+  );
+  assert.throws(
+    () =>
+      new LLMSManager({ sitemapUrl: "https://x/", normalizeUrls: { case: 1 } }),
+    /Unknown normalizeUrls option: case/
+  );
+
+  // Loading: entries are normalised and merged
+  await writeFile(
+    TEST_SITEMAP_PATH,
+    `<urlset>
+<url><loc>https://example.com/docs</loc><priority>0.8</priority></url>
+<url><loc>https://example.com/docs/</loc></url>
+<url><loc>https://EXAMPLE.com/docs?utm_source=x</loc></url>
+<url><loc>http://example.com/docs#intro</loc></url>
+<url><loc>https://example.com/blog/?b=2&amp;a=1</loc></url>
+</urlset>`,
+    "utf-8"
+  );
+  const sitemapUrl = pathToFileURL(TEST_SITEMAP_PATH).href;
+
+  const raw = new LLMSManager({ sitemapUrl });
+  await raw.loadSitemap();
+  assert.strictEqual(raw.getSitemapEntries().length, 5);
+  assert.deepStrictEqual(raw.getMergedDuplicates(), []);
+
+  const manager = new LLMSManager({
+    sitemapUrl,
+    normalizeUrls: { forceHttps: true },
+  });
+  await manager.loadSitemap();
+  assert.deepStrictEqual(
+    manager.getSitemapEntries().map((e) => [e.loc, e.priority]),
+    [
+      ["https://example.com/docs", 0.8],
+      ["https://example.com/blog?a=1&b=2", 0.5],
+    ]
+  );
+  assert.deepStrictEqual(manager.getMergedDuplicates(), [
+    {
+      url: "https://example.com/docs",
+      source: "sitemap",
+      duplicates: [
+        "https://example.com/docs/",
+        "https://EXAMPLE.com/docs?utm_source=x",
+        "http://example.com/docs#intro",
+      ],
+    },
+  ]);
+
+  // Adding content: normalised, merged into the first listing, notes filled in
+  manager.addCoreContent([
+    { title: "Docs", url: "https://example.com/docs/#top" },
+    { title: "Docs again", url: "https://example.com/docs", notes: "All docs" },
+  ]);
+  manager.addSectionContent("Blog", [
+    { title: "Blog", url: "https://example.com/blog?utm_campaign=c&b=2&a=1" },
+  ]);
+  assert.deepStrictEqual(manager.getSections(), [
+    {
+      name: "Core Content",
+      optional: false,
+      items: [
+        { title: "Docs", url: "https://example.com/docs", notes: "All docs" },
+      ],
+    },
+    {
+      name: "Blog",
+      optional: false,
+      items: [
+        { title: "Blog", url: "https://example.com/blog?a=1&b=2", notes: "" },
+      ],
+    },
+  ]);
+  assert.deepStrictEqual(
+    manager.getMergedDuplicates().filter((d) => d.source === "content"),
+    [
+      {
+        url: "https://example.com/docs",
+        source: "content",
+        duplicates: ["https://example.com/docs"],
+      },
+    ]
+  );
+
+  // Generating: URLs compared after normalisation
+  manager.setMetadata("Example", "Normalised");
+  const generated = manager.generateLLMSTxt();
+  assert.strictEqual(generated.match(/example\.com\/docs/g).length, 1);
+
+  // Without normalisation, raw strings are kept apart
+  raw.setMetadata("Example", "Raw");
+  raw.addCoreContent([
+    { title: "A", url: "https://example.com/docs" },
+    { title: "B", url: "https://example.com/docs/" },
+  ]);
+  assert.strictEqual(raw.generateLLMSTxt().match(/\]\(/g).length, 2);
+
+  // validate(): duplicate links after normalisation
+  const text = `# Example
+> Summary
+
+## Docs
+- [A](https://example.com/docs)
+- [B](https://EXAMPLE.com/docs/?utm_source=x)
+`;
+  assert.strictEqual(
+    LLMSManager.validate(text).diagnostics.filter(
+      (d) => d.rule === "duplicate-link"
+    ).length,
+    0
+  );
+  const normalized = LLMSManager.validate(text, {
+    normalizeUrls: true,
+    fix: true,
+  });
+  assert.deepStrictEqual(
+    normalized.diagnostics.map((d) => [d.rule, d.line]),
+    [["duplicate-link", 6]]
+  );
+  assert.ok(!normalized.output.includes("[B]"));
+
+  // Config
+  await assert.rejects(
+    LLMSManager.fromConfig({
+      sitemap: sitemapUrl,
+      normalizeUrls: { trailingSlash: "strip" },
+      metadata: { title: "T", description: "D" },
+    }),
+    /normalizeUrls\.trailingSlash/
+  );
+  const configured = await LLMSManager.fromConfig({
+    sitemap: sitemapUrl,
+    normalizeUrls: { forceHttps: true },
+    metadata: { title: "T", description: "D" },
+  });
+  assert.strictEqual(
+    configured.generateLLMSTxt().match(/example\.com\/docs/g).length,
+    1
+  );
+
+  if (existsSync(TEST_SITEMAP_PATH)) unlinkSync(TEST_SITEMAP_PATH);
+  console.log("✅ URL normalisation tests passed successfully!");
+}
+
+async function runBudgetTest() {
+  console.log("🧪 Starting token budget test...");
+
+  // Size estimation
+  assert.deepStrictEqual(LLMSManager.estimateSize(""), { bytes: 0, tokens: 0 });
+  assert.deepStrictEqual(LLMSManager.estimateSize("Hello, world!"), {
+    bytes: 13,
+    tokens: 4,
+  });
+  assert.strictEqual(
+    LLMSManager.estimateSize("internationalization 2024").tokens,
+    6
+  );
+  assert.strictEqual(LLMSManager.estimateSize("日本語").tokens, 3);
+  assert.deepStrictEqual(
+    LLMSManager.estimateSize("a b c", { tokenizer: (t) => t.length }),
+    { bytes: 5, tokens: 5 }
+  );
+  // Additive over lines, so per-item trimming matches the rendered document
+  const lines = ["# Title", "> Summary", "- [A](https://example.com/a): notes"];
+  assert.strictEqual(
+    LLMSManager.estimateSize(lines.join("\n")).tokens,
+    lines.reduce((n, l) => n + LLMSManager.estimateSize(l).tokens, 0)
+  );
+
+  await writeFile(
+    TEST_SITEMAP_PATH,
+    `<urlset>
+<url><loc>https://example.com/high</loc><priority>0.9</priority></url>
+<url><loc>https://example.com/low</loc><priority>0.2</priority></url>
+<url><loc>https://example.com/mid</loc><priority>0.5</priority></url>
+</urlset>`,
+    "utf-8"
+  );
+  const manager = new LLMSManager({
+    sitemapUrl: pathToFileURL(TEST_SITEMAP_PATH).href,
+  });
+  await manager.loadSitemap();
+  manager.setMetadata("Budget", "Sized for small context windows");
+  manager.addCoreContent(manager.autoGenerateCoreContent(0));
+  manager.addSectionContent("Extra", [
+    { title: "Manual", url: "https://example.com/manual", notes: "By hand" },
+  ]);
+  manager.addOptionalContent([
+    { title: "Archive", url: "https://example.com/archive" },
+  ]);
+
+  const full = manager.generateLLMSTxt();
+  const fullSize = LLMSManager.estimateSize(full);
+  const unlimited = manager.generateLLMSTxtWithinBudget({
+    maxTokens: fullSize.tokens,
+  });
+  assert.strictEqual(unlimited.content, full);
+  assert.deepStrictEqual(unlimited.size, fullSize);
+  assert.deepStrictEqual(unlimited.dropped, []);
+
+  // Optional items go first, then the lowest priority, later items first
+  const lineTokens = (url) =>
+    LLMSManager.estimateSize(full.split("\n").find((l) => l.includes(url)))
+      .tokens;
+  // One token less than the document without its Optional section
+  const limit =
+    fullSize.tokens -
+    lineTokens("/archive") -
+    LLMSManager.estimateSize("## Optional").tokens -
+    1;
+  const trimmed = manager.generateLLMSTxtWithinBudget({
+    maxTokens: limit,
+  });
+  assert.deepStrictEqual(
+    trimmed.dropped.map((d) => [d.section, d.url, d.priority]),
+    [
+      ["Optional", "https://example.com/archive", 0.5],
+      ["Core Content", "https://example.com/low", 0.2],
+    ]
+  );
+  assert.ok(!trimmed.content.includes("## Optional"));
+  assert.ok(trimmed.content.includes("https://example.com/manual"));
+  assert.ok(trimmed.size.tokens <= limit);
+  assert.deepStrictEqual(
+    trimmed.size,
+    LLMSManager.estimateSize(trimmed.content)
+  );
+  assert.strictEqual(
+    manager.generateLLMSTxt({
+      budget: { maxTokens: limit },
+    }),
+    trimmed.content
+  );
+
+  // Equal priority: the later item goes first
+  const bytes = manager.generateLLMSTxtWithinBudget({
+    maxBytes: Buffer.byteLength(trimmed.content) - 1,
+  });
+  assert.strictEqual(bytes.dropped[2].url, "https://example.com/manual");
+  assert.ok(bytes.size.bytes < Buffer.byteLength(trimmed.content));
+
+  assert.throws(
+    () => manager.generateLLMSTxtWithinBudget({ maxTokens: 5 }),
+    /Budget too small/
+  );
+
+  // Custom tokenizers are measured on the rendered document
+  const tokenizer = (t) => Math.ceil(t.length / 4) + 1;
+  for (let maxTokens = 30; maxTokens <= 60; maxTokens++) {
+    const custom = manager.generateLLMSTxtWithinBudget({
+      maxTokens,
+      tokenizer,
+    });
+    assert.ok(custom.dropped.length > 0);
+    assert.ok(custom.size.tokens <= maxTokens);
+    assert.strictEqual(custom.size.tokens, tokenizer(custom.content));
+  }
+  assert.throws(
+    () => manager.generateLLMSTxtWithinBudget({}),
+    /maxTokens or maxBytes/
+  );
+  assert.throws(
+    () => manager.generateLLMSTxtWithinBudget({ maxTokens: -1 }),
+    /budget\.maxTokens must be a positive number/
+  );
+  assert.throws(
+    () => manager.generateLLMSTxtWithinBudget({ maxTokens: 10, tokens: 1 }),
+    /Unknown budget option: tokens/
+  );
+
+  // saveToFile reports the dropped items
+  const report = await manager.saveToFile(TEST_LLMS_FILE, {
+    budget: { maxTokens: limit },
+  });
+  assert.strictEqual(await readFile(TEST_LLMS_FILE, "utf-8"), trimmed.content);
+  assert.deepStrictEqual(report.dropped, trimmed.dropped);
+  await assert.rejects(
+    LLMSManager.fromConfig({
+      sitemap: pathToFileURL(TEST_SITEMAP_PATH).href,
+      metadata: { title: "T", description: "D" },
+      budget: { llmsTxt: { maxTokens: 0 }, llmsMd: {} },
+    }),
+    (err) =>
+      /budget\.llmsTxt: budget\.maxTokens must be a positive number/.test(
+        err.message
+      ) && /budget\.llmsMd is not a known option/.test(err.message)
+  );
+
+  // llms-full.txt: pages skipped by priority, the last one truncated
+  const requested = [];
+  const server = createServer((req, res) => {
+    requested.push(req.url);
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end(`${req.url.slice(1)} `.repeat(300));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const site = new LLMSManager({ sitemapUrl: `${origin}/sitemap.xml` });
+    site.setMetadata("Full", "Budgeted pages");
+    site.addCoreContent([
+      { title: "One", url: `${origin}/one` },
+      { title: "Two", url: `${origin}/two` },
+    ]);
+    site.addOptionalContent([{ title: "Three", url: `${origin}/three` }]);
+    const all = await site.generateLLMSFullTxt({ includeOptional: true });
+    assert.deepStrictEqual(all.size, LLMSManager.estimateSize(all.content));
+
+    const maxTokens = Math.floor(all.size.tokens * 0.5);
+    const budgeted = await site.generateLLMSFullTxt({
+      includeOptional: true,
+      budget: { maxTokens },
+    });
+    assert.deepStrictEqual(
+      budgeted.pages.map((p) => p.status),
+      ["ok", "truncated", "skipped"]
+    );
+    assert.ok(budgeted.size.tokens <= maxTokens);
+    assert.ok(budgeted.content.includes("## One"));
+    assert.ok(budgeted.content.endsWith("(truncated)\n"));
+    assert.strictEqual(
+      budgeted.pages.reduce((n, p) => n + p.tokens, 0) +
+        LLMSManager.estimateSize("# Full\n> Budgeted pages\n").tokens,
+      budgeted.size.tokens
+    );
+
+    // Custom tokenizers are measured on the rendered document
+    const superlinear = (t) => Math.ceil((t.length / 4) ** 1.2);
+    const fullTokens = superlinear(all.content);
+    for (const share of [0.3, 0.5, 0.7, 0.9]) {
+      const limit = Math.floor(fullTokens * share);
+      const measured = await site.generateLLMSFullTxt({
+        includeOptional: true,
+        budget: { maxTokens: limit, tokenizer: superlinear },
+      });
+      assert.ok(measured.size.tokens <= limit);
+      assert.strictEqual(measured.size.tokens, superlinear(measured.content));
+      assert.ok(measured.pages.some((p) => p.status !== "ok"));
+    }
+
+    // Pages certainly left out by the budget are not fetched
+    requested.length = 0;
+    const first = await site.generateLLMSFullTxt({
+      includeOptional: true,
+      concurrency: 1,
+      budget: { maxTokens: Math.floor(all.pages[0].tokens * 0.5) },
+    });
+    assert.deepStrictEqual(
+      first.pages.map((p) => p.status),
+      ["truncated", "skipped", "skipped"]
+    );
+    assert.deepStrictEqual(requested, ["/one"]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  if (existsSync(TEST_SITEMAP_PATH)) unlinkSync(TEST_SITEMAP_PATH);
+  if (existsSync(TEST_LLMS_FILE)) unlinkSync(TEST_LLMS_FILE);
+  console.log("✅ Token budget tests passed successfully!");
+}
+
+async function runRoundTripTest() {
+  console.log("🧪 Starting Markdown round-trip test...");
+
+  const manager = new LLMSManager({
+    sitemapUrl: "https://example.com/sitemap.xml",
+  });
+  manager.setMetadata(
+    "Tricky [Docs] \\ #1",
+    "> Not a nested quote: [x](y)",
+    `Intro paragraph.
+## Not a section
+\\## Already escaped
+  ### Indented heading
+\`\`\`md
+## Inside a code block
+\`\`\`
+> Quote in details`
+  );
+  manager.addSectionContent("API (v2) [beta]", [
+    {
+      title: "Function (mathematics)",
+      url: "https://en.wikipedia.org/wiki/Function_(mathematics)",
+      notes: "Balanced parentheses",
+    },
+    { title: "Brackets ] and [", url: "https://example.com/x)y" },
+    { title: "Nested [a [b]] c", url: "https://example.com/a b" },
+    { title: "Back\\slash\\", url: "https://example.com/back\\slash" },
+    { title: "Angle <brackets>", url: "https://example.com/<tag>" },
+    {
+      title: "*Emphasis* and `code`",
+      url: "https://example.com/q?a=(1)&b=[2]",
+      notes: "Has: colons and ](x) inside",
+    },
+    { title: "Ünïcödé 日本語", url: "https://example.com/ü" },
+  ]);
+  manager.addSection("Empty");
+  manager.addOptionalContent([
+    {
+      title: "Changelog",
+      url: "https://example.com/changelog",
+      notes: ": starts",
+    },
+  ]);
+
+  const text = manager.generateLLMSTxt();
+  assert.ok(
+    text.includes(
+      "- [Function (mathematics)](<https://en.wikipedia.org/wiki/Function_(mathematics)>): Balanced parentheses"
+    )
+  );
+  assert.ok(
+    text.includes("- [Brackets \\] and \\[](<https://example.com/x)y>)")
+  );
+  assert.ok(
+    text.includes("- [Back\\\\slash\\\\](<https://example.com/back\\\\slash>)")
+  );
+  assert.ok(text.includes("(<https://example.com/\\<tag\\>>)"));
+  assert.ok(text.includes("\\## Not a section"));
+  assert.ok(text.includes("\\\\## Already escaped"));
+  assert.ok(text.includes("\n## Inside a code block\n"));
+
+  // parseLLMSTxt(generateLLMSTxt()) reproduces the manager's content
+  const parsed = LLMSManager.parseLLMSTxt(text);
+  assert.deepStrictEqual(
+    {
+      title: parsed.title,
+      description: parsed.description,
+      details: parsed.details,
+    },
+    manager.getMetadata()
+  );
+  assert.deepStrictEqual(
+    parsed.sections,
+    manager.getSections().filter((s) => s.items.length > 0)
+  );
+  assert.ok(LLMSManager.validate(text).valid);
+  assert.deepStrictEqual(
+    LLMSManager.validate(text).diagnostics.filter(
+      (d) => d.rule === "malformed-list-item"
+    ),
+    []
+  );
+  // Generating again from the parsed content gives the same text
+  const copy = new LLMSManager({
+    sitemapUrl: "https://example.com/sitemap.xml",
+  });
+  copy.setMetadata(parsed.title, parsed.description, parsed.details);
+  for (const { name, items } of parsed.sections) {
+    copy.addSectionContent(name, items);
+  }
+  assert.strictEqual(copy.generateLLMSTxt(), text);
+
+  // CommonMark link syntax written by other tools
+  const foreign = LLMSManager.parseLLMSTxt(`# Foreign
+
+## Links
+- [Spaced](<https://example.com/a b>)
+- [Paren](https://example.com/f_(x)) : notes after space
+- [Titled](https://example.com/t "Link title"): With title
+* [Escaped \\[x\\]](https://example.com/e\\_x)
+- [Broken](https://example.com/(unbalanced)
+- [Open <angle](<https://example.com/a)
+- [](https://example.com/empty-title)
+`);
+  assert.deepStrictEqual(foreign.sections[0].items, [
+    { title: "Spaced", url: "https://example.com/a b", notes: "" },
+    {
+      title: "Paren",
+      url: "https://example.com/f_(x)",
+      notes: "notes after space",
+    },
+    { title: "Titled", url: "https://example.com/t", notes: "With title" },
+    { title: "Escaped [x]", url: "https://example.com/e_x", notes: "" },
+  ]);
+
+  // Control characters cannot appear in Markdown link destinations
+  assert.throws(
+    () =>
+      manager.addCoreContent([
+        { title: "Tab", url: "https://example.com/a\tb" },
+      ]),
+    /url must not contain control characters/
+  );
+
+  // Content that cannot be written losslessly is rejected
+  assert.throws(
+    () => manager.setMetadata("Two\nlines", "Description"),
+    /title must be a single line/
+  );
+  assert.throws(
+    () => manager.setMetadata("Title", "Two\nlines"),
+    /description must be a single line/
+  );
+  assert.throws(
+    () => manager.setMetadata("Title", "Description", "```\nopen fence"),
+    /code block open/
+  );
+  assert.throws(
+    () =>
+      manager.addCoreContent([
+        { title: "T", url: "https://example.com/", notes: "two\nlines" },
+      ]),
+    /single lines/
+  );
+
+  console.log("✅ Markdown round-trip tests passed successfully!");
+}
+
+async function runHandlerTest() {
+  console.log("🧪 Starting HTTP handler test...");
+
+  let pages = ["/a"];
+  let failing = false;
+  const sitemapServer = createServer((req, res) => {
+    if (failing) {
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    res.end(`<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map((p) => `<url><loc>https://example.com${p}</loc></url>`).join("\n")}
+</urlset>`);
+  });
+  await new Promise((resolve) => sitemapServer.listen(0, "127.0.0.1", resolve));
+  const sitemapUrl = `http://127.0.0.1:${
+    sitemapServer.address().port
+  }/sitemap.xml`;
+
+  const errors = [];
+  const manager = new LLMSManager({ sitemapUrl, http: { retries: 0 } });
+  manager.setMetadata("Live", "Served on demand");
+  const handler = manager.createHandler({
+    ttl: 0,
+    rebuild: (m) => {
+      m.removeSection(LLMSManager.CORE_SECTION);
+      m.addCoreContent(m.autoGenerateCoreContent());
+    },
+    onError: (error) => errors.push(error),
+  });
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    // First request waits for the initial refresh
+    let res = await fetch(`${origin}/llms.txt?v=1`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(
+      res.headers.get("content-type"),
+      "text/markdown; charset=utf-8"
+    );
+    const etag = res.headers.get("etag");
+    const lastModified = res.headers.get("last-modified");
+    assert.match(etag, /^"[\w-]+"$/);
+    assert.ok(!Number.isNaN(Date.parse(lastModified)));
+    let body = await res.text();
+    assert.ok(body.startsWith("# Live\n"));
+    assert.ok(body.includes("(https://example.com/a)"));
+    assert.strictEqual(
+      Number(res.headers.get("content-length")),
+      Buffer.byteLength(body)
+    );
+
+    // Conditional requests
+    res = await fetch(`${origin}/llms.txt`, {
+      headers: { "If-None-Match": `W/"x", ${etag}` },
+    });
+    assert.strictEqual(res.status, 304);
+    assert.strictEqual(res.headers.get("etag"), etag);
+    await handler.refresh();
+    res = await fetch(`${origin}/llms.txt`, {
+      headers: { "If-Modified-Since": lastModified },
+    });
+    assert.strictEqual(res.status, 304);
+    // Unchanged content keeps its ETag and Last-Modified
+    assert.strictEqual(res.headers.get("last-modified"), lastModified);
+    res = await fetch(`${origin}/llms.txt`, {
+      headers: {
+        "If-None-Match": '"other"',
+        "If-Modified-Since": lastModified,
+      },
+    });
+    assert.strictEqual(res.status, 200);
+    await res.text();
+
+    res = await fetch(`${origin}/llms.txt`, { method: "HEAD" });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), "");
+    res = await fetch(`${origin}/llms.txt`, { method: "POST" });
+    assert.strictEqual(res.status, 405);
+    assert.strictEqual(res.headers.get("allow"), "GET, HEAD");
+    res = await fetch(`${origin}/other`);
+    assert.strictEqual(res.status, 404);
+    await handler.refresh();
+
+    // Expired content is served while the refresh runs in the background
+    pages = ["/a", "/b"];
+    res = await fetch(`${origin}/llms.txt`);
+    assert.strictEqual(await res.text(), body);
+    await handler.refresh();
+    res = await fetch(`${origin}/llms.txt`);
+    const updated = await res.text();
+    assert.ok(updated.includes("(https://example.com/b)"));
+    assert.notStrictEqual(res.headers.get("etag"), etag);
+    await handler.refresh();
+
+    // Stale on error: the last good document stays online
+    failing = true;
+    res = await fetch(`${origin}/llms.txt`);
+    assert.strictEqual(await res.text(), updated);
+    await assert.rejects(handler.refresh());
+    res = await fetch(`${origin}/llms.txt`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), updated);
+    await assert.rejects(handler.refresh());
+    assert.ok(errors.length >= 1);
+
+    // Without any document yet, failures are reported
+    const cold = new LLMSManager({ sitemapUrl, http: { retries: 0 } });
+    cold.setMetadata("Cold", "Never loaded");
+    const coldHandler = cold.createHandler({ path: null });
+    const coldRes = { headers: null, body: null };
+    await coldHandler(
+      { url: "/anything", method: "GET", headers: {} },
+      {
+        writeHead: (status, headers) =>
+          Object.assign(coldRes, { status, headers }),
+        end: (data) => (coldRes.body = data),
+      }
+    );
+    assert.strictEqual(coldRes.status, 503);
+
+    // Middleware: other paths and failures go to next()
+    const calls = [];
+    const middleware = cold.createHandler();
+    await middleware({ url: "/", method: "GET", headers: {} }, {}, (e) =>
+      calls.push(e)
+    );
+    await middleware(
+      { url: "/llms.txt", method: "GET", headers: {} },
+      {},
+      (e) => calls.push(e)
+    );
+    assert.strictEqual(calls[0], undefined);
+    assert.ok(calls[1] instanceof Error);
+
+    assert.throws(
+      () => manager.createHandler({ path: "llms.txt" }),
+      /path must be/
+    );
+    assert.throws(() => manager.createHandler({ ttl: -1 }), /ttl must be/);
+    assert.throws(
+      () => manager.createHandler({ rebuild: 1 }),
+      /rebuild must be/
+    );
+    assert.throws(
+      () => manager.createHandler({ budget: {} }),
+      /budget must set/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await new Promise((resolve) => sitemapServer.close(resolve));
+  }
+
+  console.log("✅ HTTP handler tests passed successfully!");
+}
+
+async function runLocaleTest() {
+  console.log("🧪 Starting locale test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-locales-"));
+  const alternates = ["en", "de", "fr", "pt-br"]
+    .map(
+      (l) =>
+        `<xhtml:link rel="alternate" hreflang="${l}" href="https://example.com/${l}/"/>`
+    )
+    .join("");
+  const sitemapPath = path.join(dir, "sitemap.xml");
+  await writeFile(
+    sitemapPath,
+    `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+<url><loc>https://example.com/start</loc>${alternates}<xhtml:link rel="alternate" hreflang="x-default" href="https://example.com/start"/></url>
+<url><loc>https://example.com/en/</loc></url>
+<url><loc>https://example.com/de/</loc></url>
+<url><loc>https://example.com/fr/</loc></url>
+<url><loc>https://example.com/en/guide</loc></url>
+<url><loc>https://example.com/de/anleitung</loc></url>
+<url><loc>https://example.com/pt-br/guia</loc></url>
+<url><loc>https://example.com/go/links</loc></url>
+<url><loc>https://example.com/about</loc></url>
+</urlset>`
+  );
+
+  try {
+    const manager = new LLMSManager({
+      sitemapUrl: pathToFileURL(sitemapPath).href,
+    });
+    manager.setMetadata("Example", "Docs in many languages");
+    await manager.loadSitemap();
+
+    // hreflang alternates, then path segments naming a hreflang locale
+    const grouped = manager.groupEntriesByLocale();
+    assert.deepStrictEqual(
+      grouped.locales.map(({ locale, entries }) => [
+        locale,
+        entries.map((e) => new URL(e.loc).pathname),
+      ]),
+      [
+        ["en", ["/en/", "/en/guide"]],
+        ["de", ["/de/", "/de/anleitung"]],
+        ["fr", ["/fr/"]],
+        ["pt-BR", ["/pt-br/guia"]],
+      ]
+    );
+    assert.deepStrictEqual(
+      grouped.unassigned.map((e) => e.loc),
+      [
+        "https://example.com/start",
+        "https://example.com/go/links",
+        "https://example.com/about",
+      ]
+    );
+    assert.deepStrictEqual(
+      manager
+        .groupEntriesByLocale({ defaultLocale: "en" })
+        .locales[0].entries.map((e) => new URL(e.loc).pathname),
+      ["/start", "/en/", "/en/guide", "/go/links", "/about"]
+    );
+
+    // Patterns take precedence and turn off path segment detection
+    const byPattern = manager.groupEntriesByLocale({
+      patterns: { de: ["/de/**", /\/anleitung$/], "en-us": "/start" },
+    });
+    assert.deepStrictEqual(
+      byPattern.locales.map(({ locale, entries }) => [locale, entries.length]),
+      [
+        ["en-US", 1],
+        ["en", 1],
+        ["de", 2],
+        ["fr", 1],
+      ]
+    );
+    assert.strictEqual(byPattern.unassigned.length, 4);
+
+    // One manager per locale; shared items stay in every locale
+    manager.addCoreContent(manager.autoGenerateCoreContent());
+    manager.addSectionContent("Community", [
+      { title: "GitHub", url: "https://github.com/example/docs" },
+    ]);
+    const split = manager.splitByLocale({
+      defaultLocale: "en",
+      metadata: {
+        de: { title: "Beispiel", description: "Dokumentation auf Deutsch" },
+        pt_br: { description: "Documentação" },
+      },
+    });
+    assert.deepStrictEqual(
+      split.map(({ locale }) => locale),
+      ["en", "de", "fr", "pt-BR"]
+    );
+    const [en, de, , pt] = split.map(({ manager: m }) => m);
+    assert.deepStrictEqual(
+      de.getSections().map((s) => [s.name, s.items.map((i) => i.url)]),
+      [
+        [
+          "Core Content",
+          ["https://example.com/de/", "https://example.com/de/anleitung"],
+        ],
+        ["Community", ["https://github.com/example/docs"]],
+      ]
+    );
+    assert.strictEqual(en.getSections()[0].items.length, 5);
+    assert.deepStrictEqual(de.getMetadata(), {
+      title: "Beispiel",
+      description: "Dokumentation auf Deutsch",
+      details: "",
+    });
+    assert.strictEqual(pt.getMetadata().title, "Example");
+    assert.strictEqual(pt.getMetadata().description, "Documentação");
+    assert.deepStrictEqual(
+      de.getSitemapEntries().map((e) => e.loc),
+      ["https://example.com/de/", "https://example.com/de/anleitung"]
+    );
+    // The original manager is unchanged
+    assert.strictEqual(manager.getSections()[0].items.length, 9);
+
+    // Locale files plus an index linking them
+    const out = path.join(dir, "public");
+    const result = await manager.saveLocalized({
+      outputDir: out,
+      defaultLocale: "en",
+      metadata: { de: { title: "Beispiel", description: "Auf Deutsch" } },
+    });
+    assert.deepStrictEqual(
+      result.files.map(({ locale, path: p, url }) => [
+        locale,
+        path.relative(out, p),
+        url,
+      ]),
+      [
+        ["en", path.join("en", "llms.txt"), "https://example.com/en/llms.txt"],
+        ["de", path.join("de", "llms.txt"), "https://example.com/de/llms.txt"],
+        ["fr", path.join("fr", "llms.txt"), "https://example.com/fr/llms.txt"],
+        [
+          "pt-BR",
+          path.join("pt-BR", "llms.txt"),
+          "https://example.com/pt-BR/llms.txt",
+        ],
+      ]
+    );
+    assert.ok(result.files.every((f) => f.report.written));
+    const deFile = LLMSManager.parseLLMSTxt(
+      await readFile(path.join(out, "de", "llms.txt"), "utf-8")
+    );
+    assert.strictEqual(deFile.title, "Beispiel");
+    assert.strictEqual(result.index.path, path.join(out, "llms.txt"));
+    const index = LLMSManager.parseLLMSTxt(
+      await readFile(result.index.path, "utf-8")
+    );
+    assert.strictEqual(index.title, "Example");
+    assert.strictEqual(index.sections[0].name, "Languages");
+    assert.deepStrictEqual(index.sections[0].items[1], {
+      title: "Deutsch",
+      url: "https://example.com/de/llms.txt",
+      notes: "Auf Deutsch",
+    });
+
+    const custom = await manager.saveLocalized({
+      outputDir: out,
+      path: "llms-{locale}.txt",
+      index: null,
+      baseUrl: "https://cdn.example.com/llms",
+    });
+    assert.strictEqual(custom.index, undefined);
+    assert.strictEqual(
+      custom.files[0].url,
+      "https://cdn.example.com/llms/llms-en.txt"
+    );
+    assert.ok(existsSync(path.join(out, "llms-fr.txt")));
+
+    assert.throws(
+      () =>
+        manager.groupEntriesByLocale({ patterns: { "not a locale!": "/x" } }),
+      /patterns\.not a locale! is not a valid locale/
+    );
+    assert.throws(
+      () => manager.groupEntriesByLocale({ patterns: { de: [5] } }),
+      /patterns\.de\[0\] must be/
+    );
+    assert.throws(
+      () => manager.groupEntriesByLocale({ locale: "de" }),
+      /Unknown locale option: locale/
+    );
+    assert.throws(
+      () => manager.splitByLocale({ metadata: { de: { title: "A\nB" } } }),
+      /metadata\.de: title must be a single line/
+    );
+    await assert.rejects(
+      manager.saveLocalized({ outputDir: out, path: "llms.txt" }),
+      /path must be a relative path containing "\{locale\}"/
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Locale tests passed successfully!");
+}
+
+async function runPluginTest() {
+  console.log("🧪 Starting plugin test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-plugins-"));
+  const server = createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/markdown" });
+    res.end(`# Page ${req.url}\n\nContent of ${req.url}.`);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const sitemapPath = path.join(dir, "sitemap.xml");
+  await writeFile(
+    sitemapPath,
+    `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://staging.example.com/guide</loc><priority>0.8</priority></url>
+<url><loc>https://staging.example.com/admin/users</loc></url>
+<url><loc>https://staging.example.com/api</loc><priority>0.6</priority></url>
+</urlset>`
+  );
+
+  try {
+    const calls = [];
+    const manager = new LLMSManager({
+      sitemapUrl: "https://sitemaps.example.com/sitemap.xml",
+    });
+    assert.strictEqual(
+      manager
+        .use({
+          name: "local-sitemap",
+          beforeFetch: (url, { type }) => {
+            calls.push(`beforeFetch ${type}`);
+            if (type === "sitemap") return pathToFileURL(sitemapPath).href;
+            return url.replace("https://example.com", origin);
+          },
+        })
+        .use({
+          name: "no-admin",
+          transformEntry: (entry) =>
+            entry.loc.includes("/admin/") ? null : entry,
+        })
+        .use({
+          name: "production-host",
+          transformEntry: async (entry) => ({
+            ...entry,
+            loc: entry.loc.replace("staging.example.com", "example.com"),
+          }),
+          afterSitemapParsed: (entries) =>
+            [...entries].sort((a, b) => a.loc.localeCompare(b.loc)),
+        }),
+      manager
+    );
+    assert.deepStrictEqual(manager.getPlugins(), [
+      "local-sitemap",
+      "no-admin",
+      "production-host",
+    ]);
+
+    await manager.loadSitemap();
+    assert.deepStrictEqual(
+      manager.getSitemapEntries().map((e) => e.loc),
+      ["https://example.com/api", "https://example.com/guide"]
+    );
+    assert.deepStrictEqual(calls, ["beforeFetch sitemap"]);
+
+    manager.setMetadata("Plugins", "Hooked output");
+    manager.addCoreContent(manager.autoGenerateCoreContent());
+    manager.addOptionalContent([
+      { title: "Internal", url: "https://example.com/internal" },
+    ]);
+    assert.strictEqual(
+      manager.generateLLMSTxt(),
+      manager.generateLLMSTxt({ budget: { maxBytes: 1000 } })
+    );
+
+    // Generation hooks run in order, each on the previous result
+    const order = [];
+    manager
+      .use({
+        name: "prefix",
+        transformItem: (item, { section }) => {
+          order.push(`prefix ${section}`);
+          if (item.url.endsWith("/internal")) return null;
+          return { ...item, title: `Docs: ${item.title}` };
+        },
+      })
+      .use({
+        name: "shout",
+        transformItem: (item) => {
+          order.push("shout");
+          item.title = item.title.toUpperCase();
+        },
+        beforeGenerate: (content) => {
+          content.metadata.description += " (generated)";
+          content.sections.push({
+            name: "Extra",
+            optional: false,
+            items: [{ title: "Status", url: "https://example.com/status" }],
+          });
+        },
+        afterGenerate: async (content, { file }) =>
+          `${content}<!-- ${file} -->\n`,
+      });
+    // The synchronous methods skip the generation hooks
+    const plain = manager.generateLLMSTxt();
+    assert.ok(!plain.includes("(generated)") && !plain.includes("<!--"));
+    assert.strictEqual(
+      manager.generateLLMSTxtWithinBudget({ maxTokens: 1000 }).content,
+      plain
+    );
+    assert.deepStrictEqual(order, []);
+
+    const text = await manager.generate();
+    assert.deepStrictEqual(order, [
+      "prefix Core Content",
+      "shout",
+      "prefix Core Content",
+      "shout",
+      "prefix Optional",
+    ]);
+    const parsed = LLMSManager.parseLLMSTxt(text);
+    assert.strictEqual(parsed.description, "Hooked output (generated)");
+    assert.deepStrictEqual(
+      parsed.sections.map((s) => [s.name, s.items.map((i) => i.title)]),
+      [
+        ["Core Content", ["DOCS: API", "DOCS: GUIDE"]],
+        ["Extra", ["Status"]],
+      ]
+    );
+    assert.ok(text.endsWith("<!-- llms.txt -->\n"));
+    // Stored sections are untouched
+    assert.strictEqual(manager.getSections()[0].items[0].title, "Api");
+
+    // beforeWrite sees the target path
+    manager.use({
+      name: "banner",
+      beforeWrite: (content, { path: file, file: kind }) =>
+        `<!-- ${path.basename(file)} ${kind} -->\n${content}`,
+    });
+    const llmsPath = path.join(dir, "llms.txt");
+    await manager.saveToFile(llmsPath);
+    const saved = await readFile(llmsPath, "utf-8");
+    assert.ok(saved.startsWith("<!-- llms.txt llms.txt -->\n# Plugins"));
+    assert.strictEqual((await manager.saveToFile(llmsPath)).written, false);
+
+    // llms-full.txt: page fetches go through beforeFetch
+    calls.length = 0;
+    const fullPath = path.join(dir, "llms-full.txt");
+    const pages = await manager.saveLLMSFullToFile(fullPath);
+    assert.deepStrictEqual(
+      pages.map((p) => [p.title, p.status]),
+      [
+        ["DOCS: API", "ok"],
+        ["DOCS: GUIDE", "ok"],
+        ["Status", "ok"],
+      ]
+    );
+    assert.deepStrictEqual(calls, Array(3).fill("beforeFetch page"));
+    const full = await readFile(fullPath, "utf-8");
+    assert.ok(full.startsWith("<!-- llms-full.txt llms-full.txt -->\n"));
+    assert.ok(full.includes("Content of /guide."));
+    assert.ok(full.endsWith("<!-- llms-full.txt -->\n"));
+    // Identical content is not rewritten
+    const fullMtime = (await stat(fullPath)).mtimeMs;
+    await manager.saveLLMSFullToFile(fullPath);
+    assert.strictEqual((await stat(fullPath)).mtimeMs, fullMtime);
+
+    // robots.txt, link checks and discovery go through beforeFetch too
+    const fetched = [];
+    const hooked = new LLMSManager({
+      sitemapUrl: "https://example.com/sitemap.xml",
+      robots: true,
+      http: { retries: 0 },
+    });
+    hooked.use({
+      name: "local",
+      beforeFetch: (url, { type }) => {
+        fetched.push(`${type} ${url}`);
+        return url.replace("https://example.com", origin);
+      },
+    });
+    assert.strictEqual(
+      await hooked.isAllowed("https://example.com/guide"),
+      true
+    );
+    hooked.addCoreContent([
+      { title: "Guide", url: "https://example.com/guide" },
+    ]);
+    const checked = await hooked.checkLinks({ rewriteRedirects: true });
+    assert.deepStrictEqual(
+      checked.links.map((l) => [l.url, l.ok, l.finalUrl]),
+      [["https://example.com/guide", true, "https://example.com/guide"]]
+    );
+    assert.deepStrictEqual(checked.rewritten, []);
+    const found = await hooked.discover("https://example.com/docs");
+    assert.deepStrictEqual(found.sitemaps, [
+      "https://example.com/sitemap.xml",
+      "https://example.com/sitemap_index.xml",
+    ]);
+    assert.deepStrictEqual(fetched, [
+      "robots https://example.com/robots.txt",
+      "link https://example.com/guide",
+      "robots https://example.com/robots.txt",
+      "sitemap https://example.com/sitemap.xml",
+      "sitemap https://example.com/sitemap_index.xml",
+    ]);
+
+    // Errors name the plugin and hook
+    const failing = new LLMSManager({
+      sitemapUrl: pathToFileURL(sitemapPath).href,
+    });
+    const boom = new Error("boom");
+    failing.use({
+      name: "broken",
+      transformEntry: () => {
+        throw boom;
+      },
+    });
+    await assert.rejects(failing.loadSitemap(), (err) => {
+      assert.strictEqual(
+        err.message,
+        'Plugin "broken" failed in transformEntry: boom'
+      );
+      assert.strictEqual(err.cause, boom);
+      return true;
+    });
+    const invalid = new LLMSManager({
+      sitemapUrl: pathToFileURL(sitemapPath).href,
+    });
+    invalid.setMetadata("Invalid", "Results");
+    invalid.addCoreContent([{ title: "A", url: "https://example.com/a" }]);
+    invalid.use({ name: "number", afterGenerate: () => 42 });
+    await assert.rejects(
+      invalid.generate(),
+      /Plugin "number" failed in afterGenerate: must return a string/
+    );
+    const badItem = new LLMSManager({
+      sitemapUrl: pathToFileURL(sitemapPath).href,
+    });
+    badItem.setMetadata("Invalid", "Items");
+    badItem.addCoreContent([{ title: "A", url: "https://example.com/a" }]);
+    badItem.use({
+      name: "multiline",
+      transformItem: (i) => ({ ...i, notes: "a\nb" }),
+    });
+    await assert.rejects(
+      badItem.generate(),
+      /Plugin "multiline" failed in transformItem: Item title, url and notes must be single lines/
+    );
+
+    assert.throws(() => manager.use({ beforeFetch() {} }), /non-empty name/);
+    assert.throws(
+      () => manager.use({ name: "typo", transformItems() {} }),
+      /Plugin "typo": unknown hook transformItems/
+    );
+    assert.throws(
+      () => manager.use({ name: "value", beforeWrite: "x" }),
+      /Plugin "value": beforeWrite must be a function/
+    );
+    assert.throws(
+      () => manager.use({ name: "prefix" }),
+      /already registered: "prefix"/
+    );
+
+    // Config files register plugins, module paths relative to the config
+    await writeFile(
+      path.join(dir, "plugin.mjs"),
+      `export default {
+  name: "from-module",
+  transformItem: (item) => ({ ...item, title: "Module " + item.title }),
+};
+`
+    );
+    const configPath = path.join(dir, "llms.config.json");
+    await writeFile(
+      configPath,
+      JSON.stringify({
+        sitemap: "sitemap.xml",
+        metadata: { title: "Config", description: "With plugins" },
+        plugins: ["./plugin.mjs"],
+        output: { llmsTxt: "config-llms.txt" },
+      })
+    );
+    const { manager: configured } = await LLMSManager.build(configPath);
+    assert.deepStrictEqual(configured.getPlugins(), ["from-module"]);
+    assert.ok(
+      (await readFile(path.join(dir, "config-llms.txt"), "utf-8")).includes(
+        "- [Module Guide](https://staging.example.com/guide)"
+      )
+    );
+    await assert.rejects(
+      LLMSManager.fromConfig({
+        sitemap: pathToFileURL(sitemapPath).href,
+        metadata: { title: "T", description: "D" },
+        plugins: [{ transformItem() {} }],
+      }),
+      /plugins\[0\] must be a module path or a plugin object with a name/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Plugin tests passed successfully!");
+}
+
+async function runSerializationTest() {
+  console.log("🧪 Starting serialization test...");
+
+  const dir = await mkdtemp(path.join(tmpdir(), "llms-json-"));
+  const sitemapPath = path.join(dir, "sitemap.xml");
+  await writeFile(
+    sitemapPath,
+    `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+<url><loc>https://example.com/guide</loc><lastmod>2024-05-01T10:00:00Z</lastmod><priority>0.9</priority>
+<xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/guide"/></url>
+<url><loc>https://example.com/api</loc><changefreq>weekly</changefreq></url>
+</urlset>`
+  );
+
+  try {
+    const manager = new LLMSManager({
+      sitemapUrl: pathToFileURL(sitemapPath).href,
+      sources: [
+        { type: "feed", url: "https://example.com/feed.xml", name: "blog" },
+      ],
+      maxSitemapDepth: 2,
+      http: { timeout: 1234, headers: { "X-Team": "docs" } },
+      robots: { userAgent: "DocsBot" },
+      cacheDir: path.join(dir, "cache"),
+      normalizeUrls: {
+        stripTrackingParams: ["ref", /^utm_/i],
+        forceHttps: true,
+      },
+    });
+    manager.setMetadata(
+      "Snapshot <Docs>",
+      "Everything & more",
+      "Intro line.\n\n```\n<code> & more\n```"
+    );
+    manager.addSectionContent("Guides", [
+      { title: "Guide", url: "https://example.com/guide", notes: "Start here" },
+    ]);
+    manager.addOptionalContent([
+      { title: "API", url: "https://example.com/api" },
+    ]);
+    manager.addSection("Later", { optional: false, position: 1 });
+    manager.addSectionContent("Later", [
+      { title: "Script", url: "javascript:alert(1)" },
+    ]);
+
+    // Sitemap entries: loaded from a file snapshot with lastmod dates
+    const loaded = new LLMSManager({
+      sitemapUrl: pathToFileURL(sitemapPath).href,
+    });
+    await loaded.loadSitemap();
+    loaded.setMetadata("Loaded", "With entries");
+    const restoredEntries = LLMSManager.fromJSON(JSON.stringify(loaded));
+    assert.deepStrictEqual(
+      restoredEntries.getSitemapEntries(),
+      loaded.getSitemapEntries()
+    );
+    assert.ok(restoredEntries.getSitemapEntries()[0].lastmod instanceof Date);
+
+    // toJSON / fromJSON round trip
+    const json = JSON.stringify(manager);
+    const snapshot = JSON.parse(json);
+    assert.strictEqual(snapshot.version, 1);
+    assert.deepStrictEqual(snapshot.options.normalizeUrls.stripTrackingParams, [
+      "ref",
+      { regex: "^utm_", flags: "i" },
+    ]);
+    assert.deepStrictEqual(snapshot.options.robots, { userAgent: "docsbot" });
+    assert.strictEqual(snapshot.options.cacheDir, path.join(dir, "cache"));
+    assert.strictEqual(snapshot.options.http.timeout, 1234);
+    assert.ok(!json.includes("X-Team"));
+    const restored = LLMSManager.fromJSON(json);
+    assert.strictEqual(JSON.stringify(restored), json);
+    assert.deepStrictEqual(restored.getSources(), manager.getSources());
+    assert.deepStrictEqual(restored.getSections(), manager.getSections());
+    assert.deepStrictEqual(restored.getMetadata(), manager.getMetadata());
+    assert.strictEqual(restored.generateLLMSTxt(), manager.generateLLMSTxt());
+    restored.addCoreContent([
+      { title: "Tracked", url: "http://example.com/guide?ref=x&UTM_source=y" },
+    ]);
+    assert.deepStrictEqual(restored.getMergedDuplicates(), [
+      {
+        url: "https://example.com/guide",
+        source: "content",
+        duplicates: ["http://example.com/guide?ref=x&UTM_source=y"],
+      },
+    ]);
+    assert.deepStrictEqual(
+      JSON.parse(
+        JSON.stringify(
+          new LLMSManager({ sitemapUrl: "https://example.com/s.xml" })
+        )
+      ).options.normalizeUrls,
+      false
+    );
+    assert.throws(() => LLMSManager.fromJSON("{"), /Invalid snapshot JSON/);
+    assert.throws(
+      () => LLMSManager.fromJSON({ ...snapshot, version: 2 }),
+      /Unsupported snapshot version: 2/
+    );
+    assert.throws(
+      () => LLMSManager.fromJSON({ version: 1, options: {} }),
+      /snapshot must have options, metadata, sections and sitemapEntries/
+    );
+
+    // Headers stay out of snapshots and come back through the http override
+    let seenHeaders = {};
+    const server = createServer((req, res) => {
+      seenHeaders = req.headers;
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(SAMPLE_SITEMAP_XML);
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    try {
+      const secret = new LLMSManager({
+        sitemapUrl: `http://localhost:${server.address().port}/sitemap.xml`,
+        http: { headers: { Authorization: "Bearer secret" } },
+      });
+      const secretJson = JSON.stringify(secret);
+      assert.ok(!secretJson.includes("secret"));
+      await LLMSManager.fromJSON(secretJson).loadSitemap();
+      assert.strictEqual(seenHeaders.authorization, undefined);
+      await LLMSManager.fromJSON(secretJson, {
+        http: { headers: { Authorization: "Bearer secret" } },
+      }).loadSitemap();
+      assert.strictEqual(seenHeaders.authorization, "Bearer secret");
+    } finally {
+      server.close();
+    }
+
+    // Exporters render the same content
+    const asJson = JSON.parse(await manager.exportAs("json"));
+    assert.deepStrictEqual(asJson, {
+      title: "Snapshot <Docs>",
+      description: "Everything & more",
+      details: "Intro line.\n\n```\n<code> & more\n```",
+      sections: [
+        {
+          name: "Guides",
+          optional: false,
+          items: [
+            {
+              title: "Guide",
+              url: "https://example.com/guide",
+              notes: "Start here",
+            },
+          ],
+        },
+        {
+          name: "Later",
+          optional: false,
+          items: [{ title: "Script", url: "javascript:alert(1)", notes: "" }],
+        },
+        {
+          name: "Optional",
+          optional: true,
+          items: [{ title: "API", url: "https://example.com/api", notes: "" }],
+        },
+      ],
+    });
+
+    const lines = (await manager.exportAs("jsonl", { includeOptional: false }))
+      .trimEnd()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepStrictEqual(lines[0], {
+      type: "metadata",
+      title: "Snapshot <Docs>",
+      description: "Everything & more",
+      details: "Intro line.\n\n```\n<code> & more\n```",
+    });
+    assert.deepStrictEqual(lines.slice(1), [
+      {
+        type: "link",
+        section: "Guides",
+        optional: false,
+        title: "Guide",
+        url: "https://example.com/guide",
+        notes: "Start here",
+      },
+      {
+        type: "link",
+        section: "Later",
+        optional: false,
+        title: "Script",
+        url: "javascript:alert(1)",
+        notes: "",
+      },
+    ]);
+
+    const jsonLd = JSON.parse(await manager.exportAs("jsonld"));
+    assert.strictEqual(jsonLd["@context"], "https://schema.org");
+    assert.strictEqual(jsonLd["@type"], "ItemList");
+    assert.strictEqual(jsonLd.numberOfItems, 3);
+    assert.deepStrictEqual(jsonLd.itemListElement[0], {
+      "@type": "ListItem",
+      position: 1,
+      name: "Guide",
+      url: "https://example.com/guide",
+      description: "Start here",
+    });
+    assert.strictEqual(jsonLd.itemListElement[2].position, 3);
+
+    const html = await manager.exportAs("html", { lang: "en" });
+    assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="en">\n'));
+    assert.ok(html.includes("<title>Snapshot &lt;Docs&gt;</title>"));
+    assert.ok(
+      html.includes('<meta name="description" content="Everything &amp; more">')
+    );
+    assert.ok(
+      html.includes(
+        "<p>Intro line.</p>\n<pre><code>&lt;code&gt; &amp; more</code></pre>"
+      )
+    );
+    assert.ok(
+      html.includes(
+        '<li><a href="https://example.com/guide">Guide</a>: Start here</li>'
+      )
+    );
+    assert.ok(html.includes("<li>Script</li>"));
+    assert.ok(!html.includes('href="javascript:'));
+    const script = html.match(
+      /<script type="application\/ld\+json">(.*)<\/script>/
+    )[1];
+    assert.ok(!script.includes("<"));
+    assert.deepStrictEqual(
+      JSON.parse(script),
+      JSON.parse(JSON.stringify(jsonLd))
+    );
+
+    await assert.rejects(manager.exportAs("xml"), /format must be/);
+    await assert.rejects(
+      manager.exportAs("html", { lang: "??" }),
+      /lang must be/
+    );
+
+    // Importing an existing llms.txt for editing
+    const text = manager.generateLLMSTxt();
+    const imported = LLMSManager.fromLLMSTxt(text, {
+      sitemapUrl: "https://example.com/sitemap.xml",
+    });
+    assert.strictEqual(imported.generateLLMSTxt(), text);
+    assert.deepStrictEqual(
+      imported.getSections().map((s) => [s.name, s.optional]),
+      [
+        ["Guides", false],
+        ["Later", false],
+        ["Optional", true],
+      ]
+    );
+    assert.deepStrictEqual(imported.getSections()[2].items, [
+      { title: "API", url: "https://example.com/api", notes: "" },
+    ]);
+    imported.addSectionContent("Guides", [
+      { title: "New", url: "https://example.com/new" },
+    ]);
+    const edited = path.join(dir, "llms.txt");
+    await imported.saveToFile(edited);
+    assert.ok(
+      (await readFile(edited, "utf-8")).includes(
+        "- [Guide](https://example.com/guide): Start here\n- [New](https://example.com/new)\n"
+      )
+    );
+    const fromExport = LLMSManager.fromLLMSTxt(asJson, {
+      sitemapUrl: "https://example.com/sitemap.xml",
+    });
+    assert.strictEqual(fromExport.generateLLMSTxt(), text);
+    const merged = LLMSManager.fromLLMSTxt(
+      "# Docs\n> Two lists\n\n## A\n- [One](https://example.com/1)\n\n## A\n- [Two](https://example.com/2)\n",
+      { sitemapUrl: "https://example.com/sitemap.xml" }
+    );
+    assert.strictEqual(merged.getSections()[0].items.length, 2);
+    assert.throws(
+      () =>
+        LLMSManager.fromLLMSTxt(
+          { title: "No sections" },
+          { sitemapUrl: "https://example.com/s.xml" }
+        ),
+      /document must be llms.txt text or an object with sections/
+    );
+    // Files without a summary need a description to import
+    const noSummary = "# T\n\n## Docs\n- [a](https://x.y/a)\n";
+    assert.throws(
+      () =>
+        LLMSManager.fromLLMSTxt(noSummary, {
+          sitemapUrl: "https://example.com/sitemap.xml",
+        }),
+      /^TypeError: document has no summary/
+    );
+    const described = LLMSManager.fromLLMSTxt(noSummary, {
+      sitemapUrl: "https://example.com/sitemap.xml",
+      description: "Added summary",
+    });
+    assert.strictEqual(described.getMetadata().description, "Added summary");
+    assert.strictEqual(
+      described.getSections()[0].items[0].url,
+      "https://x.y/a"
+    );
+    assert.throws(
+      () => LLMSManager.fromLLMSTxt(text),
+      /^TypeError: options must be constructor options with a sitemapUrl/
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log("✅ Serialization tests passed successfully!");
+}
+
+const tests = [
+  runTest,
+  runSitemapIndexTest,
+  runCompressedSitemapTest,
+  runStreamingTest,
+  runHttpClientTest,
+  runSitemapProtocolTest,
+  runSpecParserTest,
+  runSectionsTest,
+  runValidateTest,
+  runDiffTest,
+  runFullTxtTest,
+  runCliTest,
+  runConfigTest,
+  runRulesTest,
+  runEnrichTest,
+  runRobotsTest,
+  runCacheTest,
+  runLinkCheckTest,
+  runSourcesTest,
+  runNormalizeTest,
+  runBudgetTest,
+  runRoundTripTest,
+  runHandlerTest,
+  runLocaleTest,
+  runPluginTest,
+  runSerializationTest,
+];
+
+(async () => {
+  for (const test of tests) await test();
+})().catch((e) => {
   console.error("❌ LLMSManager test failed:", e);
   process.exit(1);
 });